@@ -5,12 +5,22 @@ const productRoutes = require('./src/routes/product-routes');
 const inventoryRoutes = require('./src/routes/inventory-routes');
 const adminRoutes = require('./src/routes/admin-routes');
 const publicRoutes = require('./src/routes/public-routes');
+const locationRoutes = require('./src/routes/location-routes');
+const purchaseOrderRoutes = require('./src/routes/purchase-order-routes');
+const salesOrderRoutes = require('./src/routes/sales-order-routes');
+const cycleCountRoutes = require('./src/routes/cycle-count-routes');
+const reportRoutes = require('./src/routes/report-routes');
+const importRoutes = require('./src/routes/import-routes');
+const exportRoutes = require('./src/routes/export-routes');
+const supplierRoutes = require('./src/routes/supplier-routes');
+const rmaRoutes = require('./src/routes/rma-routes');
 const {
   authenticateApiKey,
   authenticate,
   requirePermission,
   rateLimits
 } = require('./src/middleware/auth');
+const { keepRawBody } = require('./src/middleware/idempotency');
 const { AuditLogger, AUDIT_EVENTS } = require('./src/utils/audit-logger');
 const dotenv = require('dotenv');
 
@@ -29,7 +39,7 @@ const port = process.env.PORT || 3000;
 // Trust proxy for rate limiting
 app.set('trust proxy', 1);
 
-app.use(bodyParser.json());
+app.use(bodyParser.json({ verify: keepRawBody }));
 
 // Serve static files for customer portal
 app.use('/public', express.static('public'));
@@ -75,6 +85,15 @@ app.get('/verify', (req, res) => {
 app.use('/api/admin', adminRoutes); // Admin routes (JWT required)
 app.use('/api/products', productRoutes); // Legacy API key or JWT
 app.use('/api/inventory', inventoryRoutes); // Legacy API key or JWT
+app.use('/api/locations', locationRoutes); // Legacy API key or JWT
+app.use('/api/purchase-orders', purchaseOrderRoutes); // Legacy API key or JWT
+app.use('/api/sales-orders', salesOrderRoutes); // Legacy API key or JWT
+app.use('/api/cycle-counts', cycleCountRoutes); // Legacy API key or JWT
+app.use('/api/reports', reportRoutes); // Legacy API key or JWT
+app.use('/api/import', importRoutes); // Legacy API key or JWT
+app.use('/api/export', exportRoutes); // Legacy API key or JWT
+app.use('/api/suppliers', supplierRoutes); // Legacy API key or JWT
+app.use('/api/returns', rmaRoutes); // Legacy API key or JWT
 app.use('/public', publicRoutes); // Public routes (no authentication required)
 
 // 5. GET /api/audit/verify/:transaction_id - Verify specific transaction (Immudb low-level verification)
@@ -179,46 +198,21 @@ app.get('/api/inventory/time-travel/:sku', authenticate, requirePermission('inve
       }
 
       // 2. Get all transactions up to the target timestamp
-      let historicalStock = 0;
-      let lastTransactionTimestamp = product.created_at;
-      const relevantTransactions = [];
+      const { InventoryLedger } = require('./src/utils/inventory-ledger');
+      let relevantTransactions = [];
 
       try {
-        // Scan for transaction keys
-        const scanResponse = await client.scan({
-          seekKey: Buffer.from('transaction:'),
-          limit: 1000,
-          desc: false
+        relevantTransactions = await InventoryLedger.getTransactions(client, {
+          sku,
+          until: targetTimestamp
         });
-
-        for (const item of scanResponse.entriesList) {
-          const key = item.key;
-          if (key.startsWith('transaction:')) {
-            try {
-              const tx = JSON.parse(item.value);
-              if (tx.sku === sku) {
-                const txTimestamp = new Date(tx.timestamp);
-                
-                // Only include transactions up to the target timestamp
-                if (txTimestamp <= targetTimestamp) {
-                  historicalStock += tx.quantity_change;
-                  if (tx.timestamp > lastTransactionTimestamp) {
-                    lastTransactionTimestamp = tx.timestamp;
-                  }
-                  relevantTransactions.push(tx);
-                }
-              }
-            } catch (parseError) {
-              // Skip invalid transaction entries
-              continue;
-            }
-          }
-        }
       } catch (scanError) {
         console.warn('Error scanning transactions for time travel:', scanError);
         // Continue with historical stock as 0 if scan fails
       }
 
+      const historicalStock = InventoryLedger.summarizeStock(relevantTransactions, product.created_at);
+
       // Log time travel query
       await AuditLogger.logInventoryOperation(
         AUDIT_EVENTS.TIME_TRAVEL_QUERY,
@@ -239,9 +233,10 @@ app.get('/api/inventory/time-travel/:sku', authenticate, requirePermission('inve
           supplier: product.supplier,
           created_at: product.created_at
         },
-        historical_stock_at_timestamp: historicalStock,
+        historical_stock_at_timestamp: historicalStock.current_stock,
+        historical_stock_by_location: historicalStock.stock_by_location,
         target_timestamp: timestamp,
-        last_transaction_before_timestamp: lastTransactionTimestamp,
+        last_transaction_before_timestamp: historicalStock.last_transaction_timestamp,
         transactions_included: relevantTransactions.length,
         immudb_verification_status: 'OK',
         message: `Inventory state for SKU '${sku}' at ${timestamp}`
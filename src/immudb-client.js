@@ -53,10 +53,140 @@ async function withImmudb(callback) {
 const objToBuffer = (obj) => Buffer.from(JSON.stringify(obj));
 const bufferToObj = (buf) => JSON.parse(buf.toString());
 
+const SCAN_PAGE_SIZE = 1000;
+
+/**
+ * Immudb rejects with either an Error or a bare message string depending on the call.
+ * @param {Error|string} error - The rejection reason.
+ * @returns {boolean} True when the rejection means the key does not exist.
+ */
+const isKeyNotFound = (error) => {
+  const message = typeof error === 'string' ? error : error && error.message;
+  return Boolean(message && message.includes('key not found'));
+};
+
+/**
+ * Reads a JSON value by key, returning null instead of throwing when the key is missing.
+ * @param {ImmudbClient} client - An authenticated client (use inside withImmudb).
+ * @param {string} key - The key to read.
+ * @returns {Promise<Object|null>} The parsed value, or null if the key does not exist.
+ */
+async function getObj(client, key) {
+  try {
+    const response = await client.get({
+      key: Buffer.from(key)
+    });
+    return bufferToObj(response.value);
+  } catch (error) {
+    if (isKeyNotFound(error)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Scans every key under a prefix, paging past the per-call scan limit.
+ * @param {ImmudbClient} client - An authenticated client (use inside withImmudb).
+ * @param {string} prefix - The key prefix to scan, e.g. 'transaction:'.
+ * @returns {Promise<Array<{key: string, value: string, tx: number}>>} Entries in key order.
+ */
+async function scanPrefix(client, prefix) {
+  const entries = [];
+  let seekkey;
+
+  for (;;) {
+    const scanResponse = await client.scan({
+      prefix,
+      seekkey,
+      limit: SCAN_PAGE_SIZE,
+      desc: false
+    });
+
+    const page = (scanResponse && scanResponse.entriesList) || [];
+    for (const item of page) {
+      if (item.key !== seekkey && item.key.startsWith(prefix)) {
+        entries.push(item);
+      }
+    }
+
+    if (page.length < SCAN_PAGE_SIZE) break;
+    seekkey = page[page.length - 1].key;
+  }
+
+  return entries;
+}
+
+/**
+ * Reads one page of keys under a prefix, starting after a seek key.
+ * @param {ImmudbClient} client - An authenticated client (use inside withImmudb).
+ * @param {string} prefix - The key prefix to scan, e.g. 'product:'.
+ * @param {Object} [options] - seekkey (exclusive start key), limit and desc (reverse key order).
+ * @returns {Promise<{entries: Array<{key: string, value: string, tx: number}>, exhausted: boolean}>} The page, and whether the prefix has no more keys.
+ */
+async function scanPage(client, prefix, { seekkey, limit = SCAN_PAGE_SIZE, desc = false } = {}) {
+  // Ask for one extra entry in case the seek key itself is returned
+  const scanResponse = await client.scan({
+    prefix,
+    seekkey,
+    limit: limit + 1,
+    desc
+  });
+
+  const page = (scanResponse && scanResponse.entriesList) || [];
+  const entries = page
+    .filter(item => item.key !== seekkey && item.key.startsWith(prefix))
+    .slice(0, limit);
+
+  return {
+    entries,
+    exhausted: page.length < limit + 1
+  };
+}
+
+/**
+ * Reads every version ever written to a key, oldest first, paging past the per-call limit.
+ * @param {ImmudbClient} client - An authenticated client (use inside withImmudb).
+ * @param {string} key - The key whose history to read, e.g. 'product:SKU-1'.
+ * @returns {Promise<Array<{key: string, value: string, tx: number}>>} Versions in write order (empty if the key does not exist).
+ */
+async function getHistory(client, key) {
+  const entries = [];
+  let offset = 0;
+
+  for (;;) {
+    let historyResponse;
+    try {
+      historyResponse = await client.history({
+        key,
+        offset,
+        limit: SCAN_PAGE_SIZE,
+        desc: false
+      });
+    } catch (error) {
+      if (isKeyNotFound(error)) break;
+      throw error;
+    }
+
+    const page = (historyResponse && historyResponse.entriesList) || [];
+    entries.push(...page);
+
+    if (page.length < SCAN_PAGE_SIZE) break;
+    offset += page.length;
+  }
+
+  return entries;
+}
+
 module.exports = {
   withImmudb,
   objToBuffer,
   bufferToObj,
+  isKeyNotFound,
+  getObj,
+  scanPrefix,
+  scanPage,
+  getHistory,
   ImmudbClient // Export ImmudbClient
 };
 
@@ -2,6 +2,7 @@ const { UserManager } = require('../utils/user-manager');
 const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
 const rateLimit = require('express-rate-limit');
 const CertificateManager = require('../utils/certificate-manager');
+const { idempotency } = require('./idempotency');
 
 const API_KEY = process.env.API_KEY || 'supersecretapikey'; // Legacy API key for backward compatibility
 
@@ -25,7 +26,8 @@ const authenticateApiKey = (req, res, next) => {
     permissions: ['inventory.read', 'inventory.write', 'products.read', 'products.write']
   };
   
-  next();
+  // Honour an Idempotency-Key now that the caller is known
+  idempotency(req, res, next);
 };
 
 /**
@@ -165,14 +167,17 @@ const authenticateCertificate = async (req, res, next) => {
  * Flexible authentication - supports JWT, Certificate, or Legacy API Key
  */
 const authenticate = async (req, res, next) => {
+  // An Idempotency-Key is honoured once the caller is known (the API key path does this itself)
+  const proceed = () => idempotency(req, res, next);
+
   // Check for JWT token first
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
-    return authenticateJWT(req, res, next);
+    return authenticateJWT(req, res, proceed);
   }
   
   // Check for client certificate
   if (req.headers['x-client-certificate']) {
-    return authenticateCertificate(req, res, next);
+    return authenticateCertificate(req, res, proceed);
   }
   
   // Fall back to legacy API key
@@ -0,0 +1,127 @@
+const bodyParser = require('body-parser');
+const { IdempotencyManager, IDEMPOTENCY_HEADER, IDEMPOTENCY_STATUSES } = require('../utils/idempotency-manager');
+const { MAX_IMPORT_FILE_SIZE } = require('../utils/import-manager');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * body-parser verify hook keeping the raw bytes of a request body for the request hash
+ */
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Bodies the global JSON parser leaves alone (CSV and NDJSON imports) are parsed by their route,
+// after this middleware. They are read here as text so the hash covers them; the route's parser
+// then finds the body already read and keeps req.body as it is.
+const readUnparsedBody = bodyParser.text({
+  type: () => true,
+  limit: MAX_IMPORT_FILE_SIZE,
+  verify: keepRawBody
+});
+
+/**
+ * Honour an Idempotency-Key header on an authenticated write request. Called by the authentication
+ * middleware once the caller is known, since keys belong to a caller. The request claims its key
+ * before it runs; a successful JSON response is stored before it is sent and any other response
+ * frees the key. A retry by the same caller with the same key and request gets the stored
+ * response back (with Idempotent-Replayed: true), or 409 while the original is still running.
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined || !WRITE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  readUnparsedBody(req, res, (error) => {
+    if (error) return next(error);
+    replayOrRecord(req, res, next, key);
+  });
+};
+
+/**
+ * Replay the response held by the caller's key, or claim the key and run the request
+ */
+const replayOrRecord = async (req, res, next, key) => {
+  const userId = req.user.user_id;
+
+  let claim;
+  try {
+    IdempotencyManager.validateKey(key);
+    const requestHash = IdempotencyManager.requestHash(req.method, req.originalUrl, req.rawBody);
+
+    const { claimed, record } = await IdempotencyManager.claim(userId, key, {
+      method: req.method,
+      path: req.originalUrl,
+      requestHash
+    });
+
+    if (!claimed) {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          message: `${IDEMPOTENCY_HEADER} '${key}' was already used for a different request (${record.method} ${record.path}).`
+        });
+      }
+
+      if (record.status === IDEMPOTENCY_STATUSES.PENDING) {
+        return res.status(409).json({
+          message: `A request with ${IDEMPOTENCY_HEADER} '${key}' is still being processed. Retry shortly.`
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status_code).json(record.response_body);
+    }
+
+    claim = record;
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Idempotency lookup error:', error);
+    return res.status(500).json(errorBody(error, 'Failed to check idempotency key'));
+  }
+
+  // The key stays claimed until the handler answers, even if the client disconnects first
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  const end = res.end.bind(res);
+
+  // Hold a successful response until it is stored, so a later retry can only replay it
+  res.json = (body) => {
+    if (settled || res.statusCode < 200 || res.statusCode >= 300) {
+      return sendJson(body);
+    }
+    settled = true;
+
+    IdempotencyManager.complete(userId, key, claim, { statusCode: res.statusCode, body })
+      .catch((error) => {
+        // The write is already committed, so its success is still reported. The key stays
+        // PENDING, and a retry gets 409 instead of running the write again.
+        console.error('Idempotency store error:', error);
+      })
+      .then(() => sendJson(body));
+
+    return res;
+  };
+
+  // Any other response means the request failed, so the key is freed for a retry
+  res.end = (...args) => {
+    if (settled) {
+      return end(...args);
+    }
+    settled = true;
+
+    IdempotencyManager.release(userId, key, claim)
+      .catch(error => console.error('Idempotency release error:', error))
+      .then(() => end(...args));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotency, keepRawBody };
@@ -3,6 +3,7 @@ const router = express.Router();
 const { UserManager, USER_ROLES } = require('../utils/user-manager');
 const CertificateManager = require('../utils/certificate-manager');
 const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { ReorderManager, ALERT_STATUSES } = require('../utils/reorder-manager');
 const { authenticateJWT, requireAdmin, requireSuperAdmin, requirePermission, rateLimits } = require('../middleware/auth');
 
 // Apply rate limiting to all admin routes
@@ -670,12 +671,14 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
       users,
       certificates,
       auditStats,
-      securityAlerts
+      securityAlerts,
+      lowStockAlerts
     ] = await Promise.all([
       UserManager.listUsers(),
       CertificateManager.listCertificates(),
       AuditLogger.getAuditStats('24h'),
-      AuditLogger.getSecurityAlerts(10)
+      AuditLogger.getSecurityAlerts(10),
+      ReorderManager.listAlerts({ status: ALERT_STATUSES.OPEN })
     ]);
     
     const dashboard = {
@@ -707,7 +710,11 @@ router.get('/dashboard', requireAdmin, async (req, res) => {
         }, {})
       },
       audit_summary: auditStats,
-      recent_alerts: securityAlerts.slice(0, 5)
+      recent_alerts: securityAlerts.slice(0, 5),
+      low_stock_alerts: {
+        open: lowStockAlerts.length,
+        alerts: lowStockAlerts.slice(0, 10)
+      }
     };
     
     await AuditLogger.logEvent(AUDIT_EVENTS.ADMIN_ACCESS, {
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const { CycleCountManager } = require('../utils/cycle-count-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+/**
+ * Map a manager error message to an HTTP status; errors that are not RequestErrors are internal (500)
+ */
+const errorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('cannot approve')) return 403;
+  if (error.message.includes('already') || error.message.includes('cannot move stock') || error.message.includes('cannot receive new stock')) return 409;
+  return 400;
+};
+
+/**
+ * The acting user as recorded on count sessions
+ */
+const actor = (req) => ({ user_id: req.user.user_id, username: req.user.username });
+
+// GET /api/cycle-counts - List count sessions
+router.get('/', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, sku, location_id } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (sku) filters.sku = sku;
+    if (location_id) filters.location_id = location_id;
+
+    const sessions = await CycleCountManager.listSessions(filters);
+
+    res.status(200).json({
+      sessions,
+      total: sessions.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('List count sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve count sessions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cycle-counts/:sessionId - Get count session with variances
+router.get('/:sessionId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await CycleCountManager.getSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        message: `Count session '${sessionId}' not found.`
+      });
+    }
+
+    res.status(200).json({ session });
+  } catch (error) {
+    console.error('Get count session error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve count session',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cycle-counts - Open a count session, freezing expected quantities
+router.post('/', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await CycleCountManager.openSession(req.body, actor(req));
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.COUNT_SESSION_OPENED,
+      req.user.user_id,
+      req.user.username,
+      result.session.session_id,
+      req.ip,
+      { frozen_at: result.session.frozen_at, lines: result.session.lines.length }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Count session opened; expected quantities frozen.'
+    });
+  } catch (error) {
+    console.error('Open count session error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to open count session'));
+  }
+});
+
+// POST /api/cycle-counts/:sessionId/counts - Record counted quantities from scanners
+router.post('/:sessionId/counts', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { counts } = req.body || {};
+    const result = await CycleCountManager.recordCounts(req.params.sessionId, counts, actor(req));
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.COUNT_RECORDED,
+      req.user.user_id,
+      req.user.username,
+      result.session.session_id,
+      req.ip,
+      { counts }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Counts recorded.'
+    });
+  } catch (error) {
+    console.error('Record counts error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to record counts'));
+  }
+});
+
+// POST /api/cycle-counts/:sessionId/approve - Post variances as ADJUSTMENT transactions
+router.post('/:sessionId/approve', authenticate, requirePermission('inventory.approve'), async (req, res) => {
+  try {
+    const result = await CycleCountManager.approveSession(req.params.sessionId, actor(req));
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.COUNT_SESSION_APPROVED,
+      req.user.user_id,
+      req.user.username,
+      result.session.session_id,
+      req.ip,
+      {
+        summary: result.session.summary,
+        adjustment_transaction_ids: result.session.adjustment_transaction_ids
+      }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Count session approved; variances adjusted.'
+    });
+  } catch (error) {
+    console.error('Approve count session error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to approve count session'));
+  }
+});
+
+// POST /api/cycle-counts/:sessionId/cancel - Cancel an open count session
+router.post('/:sessionId/cancel', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await CycleCountManager.cancelSession(req.params.sessionId, actor(req), reason);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.COUNT_SESSION_CANCELLED,
+      req.user.user_id,
+      req.user.username,
+      result.session.session_id,
+      req.ip,
+      { reason }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Count session cancelled.'
+    });
+  } catch (error) {
+    console.error('Cancel count session error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to cancel count session'));
+  }
+});
+
+module.exports = router;
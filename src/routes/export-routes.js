@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { ExportManager, EXPORT_FORMATS, EXPORT_COLUMNS, CONTENT_TYPES } = require('../utils/export-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+
+/**
+ * Stream one dataset as a file download in the requested format (?format=csv|ndjson|xlsx)
+ */
+const streamExport = (dataset, parseOptions, run) => async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `Invalid export format: ${format}. Valid formats: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  let options;
+  try {
+    options = parseOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      message: error.message
+    });
+  }
+
+  try {
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.DATA_EXPORTED,
+      req.user.user_id,
+      req.user.username,
+      dataset,
+      req.ip,
+      { format, filters: req.query }
+    );
+
+    const filename = `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.status(200);
+
+    await run(ExportManager.createWriter(format, res, dataset, EXPORT_COLUMNS[dataset]), options);
+  } catch (error) {
+    console.error(`Error exporting ${dataset}:`, error);
+
+    // Once rows are on the wire the download is cut off so it cannot pass for a complete file
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      message: `Failed to export ${dataset}`,
+      error: error.message
+    });
+  }
+};
+
+// GET /api/export/products - Catalogue, current version of every product
+router.get('/products', authenticate, requirePermission('products.read'), streamExport(
+  'products',
+  () => ({}),
+  (writer) => ExportManager.exportProducts(writer)
+));
+
+// GET /api/export/snapshot - Current stock per SKU and location (?include_archived=true)
+router.get('/snapshot', authenticate, requirePermission('inventory.read'), streamExport(
+  'snapshot',
+  (query) => ({ include_archived: query.include_archived === 'true' }),
+  (writer, options) => ExportManager.exportSnapshot(writer, options)
+));
+
+// GET /api/export/transactions - Ledger entries (?start_date=&end_date=&sku=&location_id=&type=)
+router.get('/transactions', authenticate, requirePermission('inventory.read'), streamExport(
+  'transactions',
+  (query) => ExportManager.parseLedgerFilters(query),
+  (writer, filters) => ExportManager.exportTransactions(writer, filters)
+));
+
+module.exports = router;
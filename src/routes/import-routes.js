@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { ImportManager, IMPORT_FORMATS, IMPORT_MODES, MAX_IMPORT_FILE_SIZE } = require('../utils/import-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+
+// Content types the import file may be sent as, and the format each implies
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+const importBody = express.text({
+  type: [...Object.keys(CONTENT_TYPE_FORMATS), 'text/plain'],
+  limit: MAX_IMPORT_FILE_SIZE
+});
+
+// POST /api/import/products?mode=dry_run|commit - Import products and opening balances from CSV or NDJSON
+router.post('/products', authenticate, requirePermission('products.write'), importBody, async (req, res) => {
+  const { mode = 'dry_run' } = req.query;
+  const format = req.query.format || CONTENT_TYPE_FORMATS[(req.headers['content-type'] || '').split(';')[0].trim()];
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({
+      message: `Invalid mode: ${mode}. Valid modes: ${IMPORT_MODES.join(', ')}`
+    });
+  }
+
+  if (typeof req.body !== 'string' || !format) {
+    return res.status(400).json({
+      message: `Send the file as text/csv or application/x-ndjson (or set format to one of: ${IMPORT_FORMATS.join(', ')})`
+    });
+  }
+
+  let rows;
+  try {
+    rows = ImportManager.parseFile(req.body, format);
+  } catch (error) {
+    return res.status(400).json({
+      message: error.message
+    });
+  }
+
+  try {
+    if (mode === 'dry_run') {
+      const result = await ImportManager.dryRun(rows, req.user.username);
+      return res.status(200).json(result);
+    }
+
+    const job = await ImportManager.startImport(rows, format, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.PRODUCT_IMPORT_STARTED,
+      req.user.user_id,
+      req.user.username,
+      job.job_id,
+      req.ip,
+      { format, total_rows: job.total_rows, failed_rows: job.failed_rows }
+    );
+
+    res.status(202).json({
+      job,
+      message: `Import started: ${job.total_rows - job.failed_rows} of ${job.total_rows} row(s) passed validation.`
+    });
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({
+      message: 'Failed to import products',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/import/jobs/:jobId - Import job status and progress
+router.get('/jobs/:jobId', authenticate, requirePermission('products.read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await ImportManager.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        message: `Import job '${jobId}' not found.`
+      });
+    }
+
+    res.status(200).json({ job });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve import job',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/import/jobs/:jobId/errors - Download the job's row errors as CSV
+router.get('/jobs/:jobId/errors', authenticate, requirePermission('products.read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = await ImportManager.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        message: `Import job '${jobId}' not found.`
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=import-${jobId}-errors.csv`);
+    res.status(200).send(ImportManager.errorReportCsv(job));
+  } catch (error) {
+    console.error('Get import errors error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve import errors',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
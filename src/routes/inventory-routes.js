@@ -2,186 +2,300 @@ const express = require('express');
 const router = express.Router();
 const {
   withImmudb,
-  objToBuffer,
-  bufferToObj
+  getObj,
+  scanPrefix
 } = require('../immudb-client');
 const {
-  authenticateApiKey
+  authenticateApiKey,
+  authenticate,
+  requirePermission
 } = require('../middleware/auth');
-const {
-  generateUuid
-} = require('../utils/helpers');
-const {
-  Buffer
-} = require('buffer');
-
-const PRODUCTS_COLLECTION = 'products';
-const TRANSACTIONS_COLLECTION = 'inventory_transactions';
-
-// 3. POST /api/inventory/transaction - Record inventory movement
+const { InventoryLedger, TRANSACTION_PREFIX, DEFAULT_LOCATION_ID, PRODUCT_STATUSES, STOCK_STATUSES } = require('../utils/inventory-ledger');
+const { TransferManager } = require('../utils/transfer-manager');
+const { ReservationManager } = require('../utils/reservation-manager');
+const { ReorderManager } = require('../utils/reorder-manager');
+const { ProductManager } = require('../utils/product-manager');
+const { UnitManager } = require('../utils/unit-manager');
+const { AssemblyManager } = require('../utils/assembly-manager');
+const { ReversalManager } = require('../utils/reversal-manager');
+const { ApprovalManager } = require('../utils/approval-manager');
+const { StockStatusManager } = require('../utils/stock-status-manager');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+/**
+ * Map a manager error message to an HTTP status; errors that are not RequestErrors are internal (500)
+ */
+const errorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already') || error.message.includes('cannot move stock') || error.message.includes('cannot receive new stock') || error.message.includes('cannot be reversed') || error.message.includes('belongs to sales order')) return 409;
+  return 400;
+};
+
+/**
+ * Status for a rejected manual movement: unknown SKU or location, or a product whose status
+ * forbids it. Anything that is not a RequestError is an internal failure.
+ */
+const transactionErrorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('cannot move stock') || error.message.includes('cannot receive new stock')) return 409;
+  return 400;
+};
+
+// 3. POST /api/inventory/transaction - Record inventory movement at a location
+// (large adjustments and outbound movements are held for approval and answered with 202)
 router.post('/transaction', authenticateApiKey, async (req, res) => {
-  const {
-    sku,
-    type,
-    quantity,
-    reason
-  } = req.body; 
+  try {
+    const result = await ApprovalManager.submitTransaction(
+      req.body,
+      req.headers['x-api-key'] ? 'API Key User' : 'System',
+      { user_id: req.user.user_id, username: req.user.username }
+    );
+
+    if (result.approval) {
+      await AuditLogger.logInventoryOperation(
+        AUDIT_EVENTS.TRANSACTION_APPROVAL_REQUESTED,
+        req.user.user_id,
+        req.user.username,
+        result.approval.approval_id,
+        req.ip,
+        { sku: result.approval.sku, type: result.approval.type, quantity_change: result.approval.quantity_change, value: result.approval.value }
+      );
+
+      return res.status(202).json({
+        ...result,
+        message: `Transaction value ${result.approval.value} exceeds the approval threshold of ${result.approval.threshold}; held for approval.`
+      });
+    }
 
-  if (!sku || !type || quantity == null || quantity <= 0 || !reason) {
-    return res.status(400).json({
-      message: 'Missing or invalid transaction fields (sku, type, quantity, reason). Quantity must be positive.'
+    res.status(201).json({
+      ...result,
+      message: 'Inventory transaction recorded successfully.'
     });
+  } catch (error) {
+    console.error('Error recording inventory transaction:', error);
+    res.status(transactionErrorStatus(error)).json(errorBody(error, 'Failed to record inventory transaction'));
   }
+});
 
-  const validTypes = ['IN', 'OUT', 'ADJUSTMENT'];
-  if (!validTypes.includes(type.toUpperCase())) {
-    return res.status(400).json({
-      message: `Invalid transaction type. Must be one of: ${validTypes.join(', ')}`
+// POST /api/inventory/transactions/:transactionId/reverse - Correct an entry recorded in error
+router.post('/transactions/:transactionId/reverse', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { reason } = req.body || {};
+    const result = await ReversalManager.reverseTransaction(transactionId, reason, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.TRANSACTION_REVERSED,
+      req.user.user_id,
+      req.user.username,
+      transactionId,
+      req.ip,
+      { reversal_transaction_id: result.transaction.transaction_id, sku: result.transaction.sku, reason }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Transaction reversed.'
     });
+  } catch (error) {
+    console.error('Error reversing transaction:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to reverse transaction'));
   }
+});
 
+// GET /api/inventory/approvals - Movements held for approval (?status=, ?sku=)
+router.get('/approvals', authenticate, requirePermission('inventory.read'), async (req, res) => {
   try {
-    const result = await withImmudb(async (client, collectionClient) => { 
-      const productGetResponse = await collectionClient.get({ 
-        collection: PRODUCTS_COLLECTION,
-        key: Buffer.from(sku)
-      });
+    const { status, sku } = req.query;
+    const filters = {};
 
-      if (productGetResponse.status !== 'OK') {
-        return res.status(404).json({
-          message: `Product with SKU '${sku}' not found.`
-        });
-      }
+    if (status) filters.status = status;
+    if (sku) filters.sku = sku;
 
-      // 2. Calculate current stock to check for negative stock on 'OUT' transactions
-      const transactionsResponse = await collectionClient.getAll({ 
-      collection: TRANSACTIONS_COLLECTION,
-        query: {
-          expressions: [{
-            fieldComparisons: [{
-              field: 'sku',
-              operator: 'EQ',
-              value: {
-                s: sku
-              }
-            }],
-          }],
-        },
-      });
+    const approvals = await ApprovalManager.listApprovals(filters);
 
-      let currentStock = 0;
-      transactionsResponse.rows.forEach(row => {
-        const tx = bufferToObj(row.value);
-        currentStock += tx.quantity_change;
-      });
+    res.status(200).json({
+      approvals,
+      total: approvals.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('Error listing approvals:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve approvals',
+      error: error.message
+    });
+  }
+});
 
-      let quantityChange = quantity;
-      if (type.toUpperCase() === 'OUT') {
-        quantityChange = -quantity;
-        if (currentStock + quantityChange < 0) { 
-          return res.status(400).json({
-            message: `Insufficient stock for SKU '${sku}'. Current stock: ${currentStock}, attempting to remove: ${quantity}.`
-          });
-        }
-      }
+// GET /api/inventory/approvals/:approvalId - Get approval
+router.get('/approvals/:approvalId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { approvalId } = req.params;
+    const approval = await ApprovalManager.getApproval(approvalId);
 
-      const transaction = {
-        transaction_id: generateUuid(),
-        sku,
-        type: type.toUpperCase(),
-        quantity_change: quantityChange,
-        reason,
-        performed_by: req.headers['x-api-key'] ? 'API Key User' : 'System',
-        timestamp: new Date().toISOString()
-      };
+    if (!approval) {
+      return res.status(404).json({
+        message: `Approval '${approvalId}' not found.`
+      });
+    }
 
-      // 3. Store the inventory transaction
-      const setResponse = await collectionClient.set({ 
-        collection: TRANSACTIONS_COLLECTION,
-        kv_pairs: [{
-          key: Buffer.from(transaction.transaction_id),
-          value: objToBuffer(transaction),
-        }],
-     });
+    res.status(200).json({ approval });
+  } catch (error) {
+    console.error('Error getting approval:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve approval',
+      error: error.message
+    });
+  }
+});
 
-      const verificationHash = setResponse.transaction.header.id.toString('hex');
+// POST /api/inventory/approvals/:approvalId/approve - Approve a held movement; it is written to the ledger
+router.post('/approvals/:approvalId/approve', authenticate, requirePermission('inventory.approve'), async (req, res) => {
+  try {
+    const { approvalId } = req.params;
+    const result = await ApprovalManager.approveTransaction(approvalId, { user_id: req.user.user_id, username: req.user.username });
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.TRANSACTION_APPROVED,
+      req.user.user_id,
+      req.user.username,
+      approvalId,
+      req.ip,
+      { requested_by: result.approval.requested_by, transaction_id: result.transaction.transaction_id, value: result.approval.value }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Transaction approved and recorded.'
+    });
+  } catch (error) {
+    console.error('Error approving transaction:', error);
+    res.status(error instanceof RequestError && error.message.includes('cannot approve') ? 403 : errorStatus(error)).json(errorBody(error, 'Failed to approve transaction'));
+  }
+});
 
-      return {
-        transaction,
-        immudb_tx_hash: verificationHash,
-        message: 'Inventory transaction recorded successfully.'
-      };
+// POST /api/inventory/approvals/:approvalId/reject - Reject a held movement
+router.post('/approvals/:approvalId/reject', authenticate, requirePermission('inventory.approve'), async (req, res) => {
+  try {
+    const { approvalId } = req.params;
+    const { reason } = req.body || {};
+    const result = await ApprovalManager.rejectTransaction(approvalId, { user_id: req.user.user_id, username: req.user.username }, reason);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.TRANSACTION_REJECTED,
+      req.user.user_id,
+      req.user.username,
+      approvalId,
+      req.ip,
+      { requested_by: result.approval.requested_by, reason: reason || null, value: result.approval.value }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Transaction rejected; nothing was recorded.'
     });
+  } catch (error) {
+    console.error('Error rejecting transaction:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to reject transaction'));
+  }
+});
 
-    if (result && result.message && result.message.includes('Insufficient stock')) {
-      return res.status(400).json(result);
-    }
-    if (result && result.message && result.message.includes('not found')) {
-      return res.status(404).json(result);
-    }
-    if (result) {
-      return res.status(201).json(result);
-    }
+// POST /api/inventory/status-changes - Move stock between status buckets (e.g. place a lot on hold)
+router.post('/status-changes', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await StockStatusManager.changeStatus(req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.STOCK_STATUS_CHANGED,
+      req.user.user_id,
+      req.user.username,
+      result.status_change.status_change_id,
+      req.ip,
+      { status_change: result.status_change }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: `Stock moved from ${result.status_change.from_status} to ${result.status_change.to_status}.`
+    });
+  } catch (error) {
+    console.error('Error changing stock status:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to change stock status'));
+  }
+});
+
+// GET /api/inventory/stock-status - Stock outside the AVAILABLE bucket (?sku=, ?location_id=, ?status=)
+router.get('/stock-status', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { sku, location_id, status } = req.query;
+    const filters = {};
+
+    if (sku) filters.sku = sku;
+    if (location_id) filters.location_id = location_id;
+    if (status) filters.status = status;
 
+    const held = await StockStatusManager.getHeldStock(filters);
 
+    res.status(200).json({
+      held_stock: held,
+      total_quantity: held.reduce((sum, row) => sum + row.quantity, 0),
+      filters_applied: filters
+    });
   } catch (error) {
-    console.error('Error recording inventory transaction:', error);
+    console.error('Error retrieving held stock:', error);
     res.status(500).json({
-      message: 'Failed to record inventory transaction',
+      message: 'Failed to retrieve held stock',
       error: error.message
     });
   }
 });
 
-
 // 4. GET /api/inventory/history/:sku - Return complete transaction history for a product
+// (entries a later REVERSAL undoes are marked reversed)
 router.get('/history/:sku', authenticateApiKey, async (req, res) => {
   const {
     sku
   } = req.params;
+  const { location_id } = req.query;
 
   try {
-    const history = await withImmudb(async (client, collectionClient) => { 
-        const productGetResponse = await collectionClient.get({ 
-          collection: PRODUCTS_COLLECTION,
-          key: Buffer.from(sku)
-        });
-
-      if (productGetResponse.status !== 'OK') {
+    const history = await withImmudb(async (client) => { 
+      const product = await getObj(client, `product:${sku}`);
+      if (!product) {
         return res.status(404).json({
           message: `Product with SKU '${sku}' not found.`
         });
       }
 
-      const transactionsResponse = await collectionClient.getAll({ 
-       collection: TRANSACTIONS_COLLECTION,
-        query: {
-          expressions: [{
-            fieldComparisons: [{
-              field: 'sku',
-              operator: 'EQ',
-              value: {
-                s: sku
-              }
-            }],
-          }],
-        },
-       
-      });
+      const transactions = ReversalManager.markReversed(await InventoryLedger.getTransactions(client, { sku, location_id }));
 
       let runningBalance = 0;
-      const verifiedTransactions = transactionsResponse.rows.map(row => {
-        const tx = bufferToObj(row.value);
+      const locationBalances = {};
+      const lotBalances = {};
+      return transactions.map(tx => {
         runningBalance += tx.quantity_change;
+        locationBalances[tx.location_id] = (locationBalances[tx.location_id] || 0) + tx.quantity_change;
+
+        // Balance of each lot this entry touched, at the entry's location
+        const lotRunningBalances = {};
+        for (const allocation of tx.lot_allocations || []) {
+          const key = `${tx.location_id}|${allocation.lot_number}`;
+          lotBalances[key] = (lotBalances[key] || 0) + Math.sign(tx.quantity_change) * allocation.quantity;
+          lotRunningBalances[allocation.lot_number] = lotBalances[key];
+        }
+
         return {
           ...tx,
           running_balance: runningBalance,
-          immudb_tx_id: row.transaction.header.id.toString('hex'), 
-          immudb_verification_status: 'Verified (Collection Get)' 
+          location_running_balance: locationBalances[tx.location_id],
+          lot_running_balances: lotRunningBalances,
+          immudb_verification_status: 'Verified (Immudb Scan)' 
         };
-      }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)); 
-
-      return verifiedTransactions;
+      });
     });
 
     if (res.headersSent) return; 
@@ -190,11 +304,6 @@ router.get('/history/:sku', authenticateApiKey, async (req, res) => {
 
   } catch (error) {
     console.error('Error getting transaction history:', error);
-    if (error.message.includes('not found')) {
-      return res.status(404).json({
-        message: `Product with SKU '${sku}' not found.`
-      });
-    }
     res.status(500).json({
       message: 'Failed to retrieve transaction history',
       error: error.message
@@ -203,53 +312,106 @@ router.get('/history/:sku', authenticateApiKey, async (req, res) => {
 });
 
 // 6. GET /api/inventory/snapshot - Return current inventory levels for all products
+// (?include_archived=true for archived ones, ?group_by=parent to nest variants under their parent,
+// ?unit=CASE to add figures in that unit for products that define it)
 router.get('/snapshot', authenticateApiKey, async (req, res) => {
-  try {
-    const snapshot = await withImmudb(async (client, collectionClient) => { 
-      const allProductsResponse = await collectionClient.getAll({ 
-        collection: PRODUCTS_COLLECTION,
-      });
+  const { location_id, include_archived, group_by, unit } = req.query;
+
+  // Products without the requested unit report unit_stock as null
+  const unitStock = (product, row) => {
+    try {
+      return UnitManager.convertStock(product, row, unit);
+    } catch (unitError) {
+      return null;
+    }
+  };
+
+  if (group_by !== undefined && group_by !== 'parent') {
+    return res.status(400).json({
+      message: 'Invalid group_by. Supported: parent'
+    });
+  }
 
-      const products = allProductsResponse.rows.map(row => bufferToObj(row.value));
+  try {
+    const snapshot = await withImmudb(async (client) => { 
+      const productEntries = await scanPrefix(client, 'product:');
+      const transactions = await InventoryLedger.getTransactions(client, { location_id });
+      const reservedBySku = ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
 
       const inventorySnapshot = [];
+      const parents = [];
+
+      for (const item of productEntries) {
+        let product;
+        try {
+          product = JSON.parse(item.value);
+        } catch (parseError) {
+          continue;
+        }
 
-     for (const product of products) {
-      const transactionsResponse = await collectionClient.getAll({ 
-        collection: TRANSACTIONS_COLLECTION,
-          query: {
-            expressions: [{
-              fieldComparisons: [{
-                field: 'sku',
-                operator: 'EQ',
-                value: {
-                  s: product.sku
-                }
-              }],
-            }],
-          },
-        });
+        if (product.status === PRODUCT_STATUSES.ARCHIVED && include_archived !== 'true') continue;
 
-        let currentStock = 0;
-        let lastTransactionTimestamp = product.created_at;
+        // Variant parents hold no stock of their own
+        if (product.variants) {
+          parents.push(product);
+          continue;
+        }
 
-        transactionsResponse.rows.forEach(row => {
-          const tx = bufferToObj(row.value);
-          currentStock += tx.quantity_change;
-          if (tx.timestamp > lastTransactionTimestamp) {
-            lastTransactionTimestamp = tx.timestamp;
-          }
-        });
+        const stock = InventoryLedger.summarizeStock(
+          transactions.filter(tx => tx.sku === product.sku),
+          product.created_at
+        );
+
+        const reservedByLocation = reservedBySku[product.sku] || {};
+        const reserved = location_id
+          ? (reservedByLocation[location_id] || 0)
+          : Object.values(reservedByLocation).reduce((sum, qty) => sum + qty, 0);
 
-        inventorySnapshot.push({
+        const row = {
           sku: product.sku,
           name: product.name,
-          current_stock: currentStock,
-          last_transaction_timestamp: lastTransactionTimestamp,
-         
-        });
+          status: product.status || PRODUCT_STATUSES.ACTIVE,
+          parent_sku: product.parent_sku || null,
+          current_stock: stock.current_stock,
+          on_hand: stock.current_stock,
+          held: stock.current_stock - stock.available_stock,
+          reserved,
+          available: stock.available_stock - reserved,
+          stock_by_location: stock.stock_by_location,
+          stock_by_status: stock.stock_by_status,
+          reserved_by_location: reservedByLocation,
+          last_transaction_timestamp: stock.last_transaction_timestamp
+        };
+
+        if (unit) row.unit_stock = unitStock(product, row);
+        inventorySnapshot.push(row);
+      }
+
+      if (group_by !== 'parent') {
+        return inventorySnapshot.sort((a, b) => a.sku.localeCompare(b.sku));
+      }
+
+      // Variants nest under their parent, whose figures are the variants' totals
+      const grouped = inventorySnapshot.filter(row => !parents.some(parent => parent.sku === row.parent_sku));
+      for (const parent of parents) {
+        const variants = inventorySnapshot
+          .filter(row => row.parent_sku === parent.sku)
+          .sort((a, b) => a.sku.localeCompare(b.sku));
+
+        const row = {
+          sku: parent.sku,
+          name: parent.name,
+          status: parent.status || PRODUCT_STATUSES.ACTIVE,
+          parent_sku: null,
+          ...ProductManager.rollUpStock(variants),
+          variants
+        };
+
+        if (unit) row.unit_stock = unitStock(parent, row);
+        grouped.push(row);
       }
-      return inventorySnapshot.sort((a, b) => a.sku.localeCompare(b.sku));
+
+      return grouped.sort((a, b) => a.sku.localeCompare(b.sku));
     });
 
     res.status(200).json(snapshot);
@@ -263,5 +425,477 @@ router.get('/snapshot', authenticateApiKey, async (req, res) => {
   }
 });
 
+// GET /api/inventory/expiring?within=30d - Lots with stock that expire within a window (or already have)
+router.get('/expiring', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  const { within = '30d', location_id, sku } = req.query;
+
+  const match = /^(\d+)d?$/.exec(within);
+  if (!match) {
+    return res.status(400).json({
+      message: 'Invalid within parameter. Use a number of days, e.g. 30d'
+    });
+  }
+
+  const withinDays = parseInt(match[1]);
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000);
+
+  try {
+    const lots = await withImmudb(async (client) => {
+      const transactions = await InventoryLedger.getTransactions(client, { sku, location_id });
+      return InventoryLedger.summarizeLots(transactions);
+    });
+
+    const expiring = lots
+      .filter(lot => lot.quantity > 0 && lot.expires_at && new Date(lot.expires_at) <= cutoff)
+      .map(lot => ({
+        ...lot,
+        days_until_expiry: Math.floor((new Date(lot.expires_at) - now) / (24 * 60 * 60 * 1000)),
+        expired: new Date(lot.expires_at) <= now
+      }))
+      .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+
+    res.status(200).json({
+      as_of: now.toISOString(),
+      within_days: withinDays,
+      cutoff: cutoff.toISOString(),
+      lots: expiring,
+      total_lots: expiring.length,
+      total_quantity: expiring.reduce((sum, lot) => sum + lot.quantity, 0)
+    });
+  } catch (error) {
+    console.error('Error getting expiring lots:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve expiring lots',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/serials/:serial - Custody chain of one serialized unit, verified against immudb
+router.get('/serials/:serial', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  const { serial } = req.params;
+
+  try {
+    const custody = await withImmudb(async (client) => {
+      const transactionIds = await InventoryLedger.getSerialTransactionIds(client, serial);
+      if (transactionIds.length === 0) {
+        return res.status(404).json({
+          message: `Serial '${serial}' not found.`
+        });
+      }
+
+      const chain = [];
+      for (const transactionId of transactionIds) {
+        let verifiedEntry = null;
+        try {
+          verifiedEntry = await client.verifiedGet({
+            key: `${TRANSACTION_PREFIX}${transactionId}`
+          });
+        } catch (verificationError) {
+          // verifiedGet rejects when the inclusion or consistency proof does not hold
+        }
+
+        if (!verifiedEntry) {
+          chain.push({
+            transaction_id: transactionId,
+            immudb_verification_status: 'FAILED'
+          });
+          continue;
+        }
+
+        const tx = JSON.parse(verifiedEntry.value);
+        chain.push({
+          transaction_id: tx.transaction_id,
+          sku: tx.sku,
+          type: tx.type,
+          quantity_change: tx.quantity_change,
+          location_id: tx.location_id || DEFAULT_LOCATION_ID,
+          reason: tx.reason,
+          performed_by: tx.performed_by,
+          timestamp: tx.timestamp,
+          ...(tx.transfer_id && { transfer_id: tx.transfer_id }),
+          ...(tx.stock_status && { stock_status: tx.stock_status }),
+          immudb_tx_id: verifiedEntry.tx,
+          immudb_verification_status: 'VERIFIED'
+        });
+      }
+
+      chain.sort((a, b) =>
+        (new Date(a.timestamp) - new Date(b.timestamp)) || (a.quantity_change - b.quantity_change)
+      );
+
+      const verified = chain.filter(entry => entry.immudb_verification_status === 'VERIFIED');
+      const last = verified[verified.length - 1];
+
+      return {
+        serial_number: serial,
+        sku: last ? last.sku : null,
+        status: last && last.quantity_change > 0 ? 'IN_STOCK' : 'OUT_OF_STOCK',
+        current_location_id: last && last.quantity_change > 0 ? last.location_id : null,
+        stock_status: last && last.quantity_change > 0 ? last.stock_status || STOCK_STATUSES.AVAILABLE : null,
+        custody_chain: chain,
+        immudb_verification_status: verified.length === chain.length ? 'OK' : 'FAILED'
+      };
+    });
+
+    if (res.headersSent) return;
+
+    if (custody.immudb_verification_status !== 'OK') {
+      await AuditLogger.logInventoryOperation(
+        AUDIT_EVENTS.DATA_VERIFICATION_FAILED,
+        req.user.user_id,
+        req.user.username,
+        serial,
+        req.ip,
+        { custody_chain: custody.custody_chain }
+      );
+    }
+
+    res.status(200).json(custody);
+  } catch (error) {
+    console.error('Error getting serial custody chain:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve serial custody chain',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/reorder-suggestions - SKUs at or below their reorder point, with quantities to order
+// (?supplier_id= keeps those whose preferred supplier it is)
+router.get('/reorder-suggestions', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { sku, supplier_id } = req.query;
+    const suggestions = await ReorderManager.getReorderSuggestions({ sku, supplier_id });
+
+    res.status(200).json({
+      as_of: new Date().toISOString(),
+      suggestions,
+      total: suggestions.length
+    });
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    res.status(500).json({
+      message: 'Failed to build reorder suggestions',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/transfers - Dispatch stock from one location to another
+router.post('/transfers', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await TransferManager.dispatchTransfer(req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.TRANSFER_DISPATCHED,
+      req.user.user_id,
+      req.user.username,
+      result.transfer.transfer_id,
+      req.ip,
+      { transfer: result.transfer }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Transfer dispatched; stock is in transit.'
+    });
+  } catch (error) {
+    console.error('Error dispatching transfer:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to dispatch transfer'));
+  }
+});
+
+// GET /api/inventory/transfers - List transfers
+router.get('/transfers', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, sku, location_id } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (sku) filters.sku = sku;
+    if (location_id) filters.location_id = location_id;
+
+    const transfers = await TransferManager.listTransfers(filters);
+
+    res.status(200).json({
+      transfers,
+      total: transfers.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('Error listing transfers:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve transfers',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/transfers/:transferId - Get transfer
+router.get('/transfers/:transferId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { transferId } = req.params;
+    const transfer = await TransferManager.getTransfer(transferId);
+
+    if (!transfer) {
+      return res.status(404).json({
+        message: `Transfer '${transferId}' not found.`
+      });
+    }
+
+    res.status(200).json({ transfer });
+  } catch (error) {
+    console.error('Error getting transfer:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve transfer',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/transfers/:transferId/receive - Receive in-transit stock at the destination
+router.post('/transfers/:transferId/receive', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await TransferManager.receiveTransfer(req.params.transferId, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.TRANSFER_RECEIVED,
+      req.user.user_id,
+      req.user.username,
+      result.transfer.transfer_id,
+      req.ip,
+      { transfer: result.transfer }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Transfer received at destination.'
+    });
+  } catch (error) {
+    console.error('Error receiving transfer:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to receive transfer'));
+  }
+});
+
+// POST /api/inventory/transfers/:transferId/cancel - Return in-transit stock to the source
+router.post('/transfers/:transferId/cancel', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await TransferManager.cancelTransfer(req.params.transferId, req.user.username, reason);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.TRANSFER_CANCELLED,
+      req.user.user_id,
+      req.user.username,
+      result.transfer.transfer_id,
+      req.ip,
+      { transfer: result.transfer }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Transfer cancelled; stock returned to source.'
+    });
+  } catch (error) {
+    console.error('Error cancelling transfer:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to cancel transfer'));
+  }
+});
+
+
+// POST /api/inventory/assemblies - Assemble kits: components OUT and the kit IN in one immudb transaction
+router.post('/assemblies', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await AssemblyManager.assemble(req.body || {}, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.KIT_ASSEMBLED,
+      req.user.user_id,
+      req.user.username,
+      result.assembly.assembly_id,
+      req.ip,
+      { assembly: result.assembly }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Kits assembled; components consumed.'
+    });
+  } catch (error) {
+    console.error('Error assembling kits:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to assemble kits'));
+  }
+});
+
+// POST /api/inventory/disassemblies - Break kits down: the kit OUT and its components IN
+router.post('/disassemblies', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await AssemblyManager.disassemble(req.body || {}, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.KIT_DISASSEMBLED,
+      req.user.user_id,
+      req.user.username,
+      result.assembly.assembly_id,
+      req.ip,
+      { assembly: result.assembly }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Kits disassembled; components returned to stock.'
+    });
+  } catch (error) {
+    console.error('Error disassembling kits:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to disassemble kits'));
+  }
+});
+
+// GET /api/inventory/assemblies/:assemblyId - Get an assembly or disassembly record
+router.get('/assemblies/:assemblyId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { assemblyId } = req.params;
+    const assembly = await AssemblyManager.getAssembly(assemblyId);
+
+    if (!assembly) {
+      return res.status(404).json({
+        message: `Assembly '${assemblyId}' not found.`
+      });
+    }
+
+    res.status(200).json({ assembly });
+  } catch (error) {
+    console.error('Error getting assembly:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve assembly',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/reservations - Reserve available stock for an order in flight
+router.post('/reservations', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await ReservationManager.createReservation(req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.RESERVATION_CREATED,
+      req.user.user_id,
+      req.user.username,
+      result.reservation.reservation_id,
+      req.ip,
+      { reservation: result.reservation }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: 'Stock reserved.'
+    });
+  } catch (error) {
+    console.error('Error creating reservation:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to create reservation'));
+  }
+});
+
+// GET /api/inventory/reservations - List reservations
+router.get('/reservations', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, sku, location_id, reference } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (sku) filters.sku = sku;
+    if (location_id) filters.location_id = location_id;
+    if (reference) filters.reference = reference;
+
+    const reservations = await ReservationManager.listReservations(filters);
+
+    res.status(200).json({
+      reservations,
+      total: reservations.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('Error listing reservations:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve reservations',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/reservations/:reservationId - Get reservation
+router.get('/reservations/:reservationId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const reservation = await ReservationManager.getReservation(reservationId);
+
+    if (!reservation) {
+      return res.status(404).json({
+        message: `Reservation '${reservationId}' not found.`
+      });
+    }
+
+    res.status(200).json({ reservation });
+  } catch (error) {
+    console.error('Error getting reservation:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve reservation',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/reservations/:reservationId/release - Give reserved stock back to available
+router.post('/reservations/:reservationId/release', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await ReservationManager.releaseReservation(req.params.reservationId, req.user.username, reason);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.RESERVATION_RELEASED,
+      req.user.user_id,
+      req.user.username,
+      result.reservation.reservation_id,
+      req.ip,
+      { reservation: result.reservation }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Reservation released.'
+    });
+  } catch (error) {
+    console.error('Error releasing reservation:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to release reservation'));
+  }
+});
+
+// POST /api/inventory/reservations/:reservationId/commit - Ship reserved stock (records the OUT transaction)
+router.post('/reservations/:reservationId/commit', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await ReservationManager.commitReservation(req.params.reservationId, req.user.username, req.body || {});
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.RESERVATION_COMMITTED,
+      req.user.user_id,
+      req.user.username,
+      result.reservation.reservation_id,
+      req.ip,
+      { reservation: result.reservation, transaction_id: result.transaction.transaction_id }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: 'Reservation committed; stock removed.'
+    });
+  } catch (error) {
+    console.error('Error committing reservation:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to commit reservation'));
+  }
+});
+
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
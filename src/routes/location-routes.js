@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { LocationManager } = require('../utils/location-manager');
+const { withImmudb } = require('../immudb-client');
+const { InventoryLedger } = require('../utils/inventory-ledger');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+// GET /api/locations - List all locations
+router.get('/', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (type) filters.type = type;
+
+    const locations = await LocationManager.listLocations(filters);
+
+    res.status(200).json({
+      locations,
+      total: locations.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('List locations error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve locations',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/locations/:locationId - Get location with the stock it currently holds
+router.get('/:locationId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const location = await LocationManager.getLocation(locationId);
+
+    if (!location) {
+      return res.status(404).json({
+        message: `Location '${locationId}' not found.`
+      });
+    }
+
+    const stockBySku = await withImmudb(async (client) => {
+      const transactions = await InventoryLedger.getTransactions(client, { location_id: locationId });
+      return transactions.reduce((acc, tx) => {
+        acc[tx.sku] = (acc[tx.sku] || 0) + tx.quantity_change;
+        return acc;
+      }, {});
+    });
+
+    res.status(200).json({
+      location,
+      stock_by_sku: stockBySku
+    });
+  } catch (error) {
+    console.error('Get location error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve location',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/locations - Create new location
+router.post('/', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const location = await LocationManager.createLocation({
+      ...req.body,
+      created_by: req.user.user_id
+    });
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.LOCATION_CREATED,
+      req.user.user_id,
+      req.user.username,
+      location.location_id,
+      req.ip,
+      { location }
+    );
+
+    res.status(201).json({
+      message: 'Location created successfully',
+      location
+    });
+  } catch (error) {
+    console.error('Create location error:', error);
+    let status = 500;
+    if (error instanceof RequestError) {
+      status = error.message.includes('already exists') ? 409 : 400;
+    }
+    res.status(status).json(errorBody(error, 'Failed to create location'));
+  }
+});
+
+// PUT /api/locations/:locationId - Update location
+router.put('/:locationId', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+
+    const oldLocation = await LocationManager.getLocation(locationId);
+    if (!oldLocation) {
+      return res.status(404).json({
+        message: `Location '${locationId}' not found.`
+      });
+    }
+
+    // Deactivation goes through DELETE so the stock check cannot be bypassed; PUT may only reactivate
+    const { status, ...updates } = req.body || {};
+    if (status !== undefined && status !== 'ACTIVE') {
+      return res.status(400).json({
+        message: `Invalid status: ${status}. Use DELETE /api/locations/${locationId} to deactivate a location.`
+      });
+    }
+    if (status !== undefined) updates.status = status;
+
+    const location = await LocationManager.updateLocation(locationId, updates, req.user.user_id);
+
+    await AuditLogger.logEvent(AUDIT_EVENTS.LOCATION_UPDATED, {
+      user_id: req.user.user_id,
+      username: req.user.username,
+      ip_address: req.ip,
+      resource: 'inventory',
+      action: 'location_updated',
+      resource_id: locationId,
+      old_values: oldLocation,
+      new_values: location
+    });
+
+    res.status(200).json({
+      message: 'Location updated successfully',
+      location
+    });
+  } catch (error) {
+    console.error('Update location error:', error);
+    const status = error instanceof RequestError ? 400 : 500;
+    res.status(status).json(errorBody(error, 'Failed to update location'));
+  }
+});
+
+// DELETE /api/locations/:locationId - Deactivate location (soft delete)
+router.delete('/:locationId', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { locationId } = req.params;
+    const location = await LocationManager.deactivateLocation(locationId, req.user.user_id);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.LOCATION_DEACTIVATED,
+      req.user.user_id,
+      req.user.username,
+      locationId,
+      req.ip
+    );
+
+    res.status(200).json({
+      message: 'Location deactivated successfully',
+      location
+    });
+  } catch (error) {
+    console.error('Deactivate location error:', error);
+    let status = 500;
+    if (error instanceof RequestError) {
+      status = 400;
+      if (error.message.includes('not found')) status = 404;
+      if (error.message.includes('still holds')) status = 409;
+    }
+    res.status(status).json(errorBody(error, 'Failed to deactivate location'));
+  }
+});
+
+module.exports = router;
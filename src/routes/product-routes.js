@@ -3,13 +3,26 @@ const router = express.Router();
 const {
   withImmudb,
   objToBuffer,
-  bufferToObj
+  bufferToObj,
+  getObj,
+  isKeyNotFound
 } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID } = require('../utils/inventory-ledger');
+const { LocationManager } = require('../utils/location-manager');
+const { ReservationManager } = require('../utils/reservation-manager');
+const { ReorderManager } = require('../utils/reorder-manager');
+const { ValuationManager } = require('../utils/valuation-manager');
+const { ProductManager, PRODUCT_STATUSES } = require('../utils/product-manager');
+const { UnitManager, DEFAULT_BASE_UNIT } = require('../utils/unit-manager');
+const { AssemblyManager } = require('../utils/assembly-manager');
+const { BarcodeManager, LABEL_FORMATS } = require('../utils/barcode-manager');
+const { SupplierManager } = require('../utils/supplier-manager');
 const {
   authenticate,
   requirePermission
 } = require('../middleware/auth');
 const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
 const {
   Buffer
 } = require('buffer');
@@ -26,15 +39,83 @@ router.post('/', authenticate, requirePermission('products.write'), async (req,
     price,
     quantity,
     category,
-    supplier
+    supplier,
+    location_id = DEFAULT_LOCATION_ID,
+    lot_number,
+    manufactured_at,
+    expires_at,
+    serialized = false,
+    serial_numbers = [],
+    unit_cost,
+    variant_attributes,
+    bom
   } = req.body;
 
+  // A parent with variant attributes is created together with its generated child SKUs
+  if (variant_attributes !== undefined) {
+    try {
+      const result = await ProductManager.createVariantParent(req.body, req.user.username);
+
+      await AuditLogger.logInventoryOperation(
+        AUDIT_EVENTS.PRODUCT_CREATED,
+        req.user.user_id,
+        req.user.username,
+        sku,
+        req.ip,
+        { product: result.product }
+      );
+
+      return res.status(200).json({
+        ...result,
+        message: `Product added with ${result.variants.length} variant(s).`
+      });
+    } catch (error) {
+      console.error('Error adding variant product:', error);
+      let status = 500;
+      if (error instanceof RequestError) {
+        status = error.message.includes('already exists') ? 409 : 400;
+      }
+      return res.status(status).json(errorBody(error, 'Failed to add product'));
+    }
+  }
+
   if (!sku || !name || price == null || quantity == null) {
     return res.status(400).json({
       message: 'Missing required product fields (sku, name, price, quantity)'
     });
   }
 
+  let trackingDetails;
+  let reorderSettings;
+  let unitSettings;
+  let unitCost;
+  try {
+    reorderSettings = ReorderManager.parseReorderSettings(req.body);
+    unitSettings = UnitManager.parseUnitSettings(req.body);
+    unitCost = ValuationManager.parseUnitCost(unit_cost);
+    trackingDetails = InventoryLedger.buildLotDetails({ lot_number, manufactured_at, expires_at }, quantity);
+
+    // Each unit of a serialized product is registered individually
+    if (serialized === true) {
+      InventoryLedger.checkSerials({}, serial_numbers, quantity, { inbound: true, location_id });
+      trackingDetails.serial_numbers = serial_numbers;
+    }
+  } catch (error) {
+    return res.status(400).json({
+      message: error.message
+    });
+  }
+
+  try {
+    await LocationManager.getActiveLocation(location_id);
+  } catch (error) {
+    let status = 500;
+    if (error instanceof RequestError) {
+      status = error.message.includes('not found') ? 404 : 400;
+    }
+    return res.status(status).json(errorBody(error, 'Failed to add product'));
+  }
+
   try {
     const newProduct = {
       sku,
@@ -44,7 +125,18 @@ router.post('/', authenticate, requirePermission('products.write'), async (req,
       initial_quantity: quantity,
       category,
       supplier,
-      created_at: new Date().toISOString()
+      serialized: serialized === true,
+      base_unit: DEFAULT_BASE_UNIT,
+      units: {},
+      ...unitSettings,
+      reorder_point: null,
+      reorder_quantity: null,
+      safety_stock: null,
+      ...reorderSettings,
+      status: PRODUCT_STATUSES.ACTIVE,
+      version: 1,
+      created_at: new Date().toISOString(),
+      created_by: req.user.username
     };
 
     const result = await withImmudb(async (client) => { 
@@ -66,34 +158,50 @@ router.post('/', authenticate, requirePermission('products.write'), async (req,
         }
       }
 
-      // Add the product using basic key-value operations
-      const setResponse = await client.set({
-        key: Buffer.from(productKey),
-        value: objToBuffer(newProduct)
-      });
-
-      const verificationHash = setResponse.id.toString();
+      // A kit lists the component SKUs and quantities one kit is assembled from
+      if (bom !== undefined) {
+        try {
+          newProduct.bom = await AssemblyManager.checkBom(client, sku, bom);
+        } catch (bomError) {
+          if (!(bomError instanceof RequestError)) throw bomError;
+          return res.status(bomError.message.includes('not found') ? 404 : 400).json({
+            message: bomError.message
+          });
+        }
+      }
 
       // Create initial stock transaction
-      const {
-        generateUuid
-      } = require('../utils/helpers');
-      const initialTransaction = {
-        transaction_id: generateUuid(),
+      const initialTransaction = InventoryLedger.buildTransaction({
         sku,
         type: 'IN',
         quantity_change: quantity,
+        location_id,
         reason: 'Initial Stock',
         performed_by: req.user.username,
-        timestamp: new Date().toISOString()
-      };
+        ...(unitCost !== undefined && { unit_cost: unitCost }),
+        ...trackingDetails
+      });
+
+      // Serial numbers are unique across the catalogue; check them before the product is stored
+      try {
+        await InventoryLedger.checkSerialOwners(client, [initialTransaction]);
+      } catch (serialError) {
+        if (!(serialError instanceof RequestError)) throw serialError;
+        return res.status(409).json({
+          message: serialError.message
+        });
+      }
 
-      const transactionKey = `transaction:${initialTransaction.transaction_id}`;
-      await client.set({
-        key: Buffer.from(transactionKey),
-        value: objToBuffer(initialTransaction)
+      // Add the product using basic key-value operations
+      const setResponse = await client.set({
+        key: Buffer.from(productKey),
+        value: objToBuffer(newProduct)
       });
 
+      const verificationHash = setResponse.id.toString();
+
+      await InventoryLedger.recordTransaction(client, initialTransaction);
+
       // Log product creation
       await AuditLogger.logInventoryOperation(
         AUDIT_EVENTS.PRODUCT_CREATED,
@@ -130,89 +238,501 @@ router.post('/', authenticate, requirePermission('products.write'), async (req,
   }
 });
 
-// 2. GET /api/products/:sku - Get current product details with stock level
+// GET /api/products - List the catalogue with filters, sorting and cursor pagination
+router.get('/', authenticate, requirePermission('products.read'), async (req, res) => {
+  try {
+    const page = await ProductManager.listProducts(req.query);
+
+    res.status(200).json({
+      ...page,
+      count: page.products.length
+    });
+  } catch (error) {
+    console.error('Error listing products:', error);
+    if (error instanceof RequestError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      message: 'Failed to list products',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/products/by-barcode/:code - Resolve a scanned barcode to its product
+router.get('/by-barcode/:code', authenticate, requirePermission('products.read'), async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const match = await BarcodeManager.findByBarcode(code);
+
+    if (!match) {
+      return res.status(404).json({
+        message: `No product registered for barcode '${code}'.`
+      });
+    }
+
+    res.status(200).json(match);
+  } catch (error) {
+    console.error('Error looking up barcode:', error);
+    res.status(500).json({
+      message: 'Failed to look up barcode',
+      error: error.message
+    });
+  }
+});
+
+// 2. GET /api/products/:sku?as_of=&unit= - Get current (or as-of) product details with stock level
 router.get('/:sku', authenticate, requirePermission('products.read'), async (req, res) => {
   const {
     sku
   } = req.params;
+  const { as_of, unit } = req.query;
 
   try {
+      // The version valid at as_of comes from the product key's immudb history
+      let asOf = null;
+      let version = null;
+      if (as_of) {
+        asOf = new Date(as_of);
+        if (isNaN(asOf.getTime())) {
+          return res.status(400).json({
+            message: 'Invalid as_of format. Use ISO 8601 format: YYYY-MM-DDTHH:mm:ss.sssZ'
+          });
+        }
+
+        version = await ProductManager.getVersionAt(sku, asOf);
+        if (!version) {
+          return res.status(404).json({
+            message: `Product with SKU '${sku}' did not exist at ${as_of}.`
+          });
+        }
+      }
+
       const productDetails = await withImmudb(async (client) => { 
         const productKey = `product:${sku}`;
-        let product;
-        try {
-          const productResponse = await client.get({
-            key: Buffer.from(productKey)
-          });
-          product = bufferToObj(productResponse.value);
-        } catch (error) {
-          if (error.message && error.message.includes('key not found')) {
-            return res.status(404).json({
-              message: `Product with SKU '${sku}' not found.`
+        let product = version && version.product;
+        if (!product) {
+          try {
+            const productResponse = await client.get({
+              key: Buffer.from(productKey)
             });
+            product = bufferToObj(productResponse.value);
+          } catch (error) {
+            if (isKeyNotFound(error)) {
+              return res.status(404).json({
+                message: `Product with SKU '${sku}' not found.`
+              });
+            }
+            throw error; 
           }
-          throw error; 
         }
 
-        // 2. Calculate current stock level from transactions
-  
-        let currentStock = 0;
-        let lastTransactionTimestamp = product.created_at;
-        
-        try {
-          const scanResponse = await client.scan({
-            seekKey: Buffer.from('transaction:'),
-            limit: 1000, 
-            desc: false
+        // A variant parent holds no stock; its figures roll up from each variant's own ledger
+        if (product.variants) {
+          const variantSkus = new Set(product.variants.map(variant => variant.sku));
+          const transactions = (await InventoryLedger.getTransactions(client, { until: asOf }))
+            .filter(tx => variantSkus.has(tx.sku));
+          const reservedBySku = asOf
+            ? {}
+            : ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
+
+          const variants = product.variants.map(variant => {
+            const stock = InventoryLedger.summarizeStock(transactions.filter(tx => tx.sku === variant.sku));
+            const reservedByLocation = reservedBySku[variant.sku] || {};
+            const reserved = Object.values(reservedByLocation).reduce((sum, qty) => sum + qty, 0);
+
+            return {
+              ...variant,
+              on_hand: stock.current_stock,
+              held: stock.current_stock - stock.available_stock,
+              reserved,
+              available: stock.available_stock - reserved,
+              stock_by_location: stock.stock_by_location,
+              stock_by_status: stock.stock_by_status,
+              reserved_by_location: reservedByLocation,
+              last_transaction_timestamp: stock.last_transaction_timestamp
+            };
           });
 
-          const transactions = [];
-          for (const item of scanResponse.items) {
-            const key = item.key.toString();
-            if (key.startsWith('transaction:')) {
-              try {
-                const tx = bufferToObj(item.value);
-                if (tx.sku === sku) {
-                  currentStock += tx.quantity_change;
-                  if (tx.timestamp > lastTransactionTimestamp) {
-                    lastTransactionTimestamp = tx.timestamp;
-                  }
-                  transactions.push(tx);
-                }
-              } catch (parseError) {
-                continue;
-              }
-            }
+          const { reserved, available, reserved_by_location, ...stock } = ProductManager.rollUpStock(variants);
+
+          if (asOf) {
+            return {
+              ...product,
+              as_of: asOf.toISOString(),
+              immudb_tx_id: version.immudb_tx_id,
+              ...stock,
+              variants: variants.map(({ reserved, available, reserved_by_location, ...variant }) => variant),
+              immudb_verification_status: 'OK'
+            };
+          }
+
+          return {
+            ...product,
+            ...stock,
+            reserved,
+            available,
+            reserved_by_location,
+            variants,
+            immudb_verification_status: 'OK'
+          };
+        }
+
+        // 2. Calculate current stock level from transactions, per location
+        let stock = {
+          current_stock: 0,
+          stock_by_location: {},
+          available_stock: 0,
+          stock_by_status: {},
+          last_transaction_timestamp: product.created_at
+        };
+
+        let reservedByLocation = {};
+
+        try {
+          const transactions = await InventoryLedger.getTransactions(client, { sku, until: asOf });
+          stock = InventoryLedger.summarizeStock(transactions, product.created_at);
+
+          if (!asOf) {
+            const reservations = await ReservationManager.getReservations(client);
+            reservedByLocation = ReservationManager.summarizeReserved(reservations)[sku] || {};
           }
         } catch (scanError) {
           console.warn('Error scanning transactions:', scanError);
         }
 
+        if (asOf) {
+          return {
+            ...product,
+            as_of: asOf.toISOString(),
+            immudb_tx_id: version.immudb_tx_id,
+            current_stock: stock.current_stock,
+            stock_by_location: stock.stock_by_location,
+            last_transaction_timestamp: stock.last_transaction_timestamp,
+            immudb_verification_status: 'OK'
+          };
+        }
+
+        // current_stock stays as the on-hand figure for existing clients
+        const reserved = Object.values(reservedByLocation).reduce((sum, qty) => sum + qty, 0);
+
+        // A kit can also be built from the components on hand
+        const kitAvailability = product.bom ? await AssemblyManager.getKitAvailability(client, product) : undefined;
+
         return {
           ...product,
-          current_stock: currentStock,
-          last_transaction_timestamp: lastTransactionTimestamp,
+          current_stock: stock.current_stock,
+          on_hand: stock.current_stock,
+          held: stock.current_stock - stock.available_stock,
+          reserved,
+          available: stock.available_stock - reserved,
+          stock_by_location: stock.stock_by_location,
+          stock_by_status: stock.stock_by_status,
+          reserved_by_location: reservedByLocation,
+          last_transaction_timestamp: stock.last_transaction_timestamp,
+          ...(kitAvailability && { kit_availability: kitAvailability }),
           immudb_verification_status: 'OK'
         };
     });
 
     if (res.headersSent) return; 
 
+    // Figures stay in the base unit; ?unit= adds them converted to another of the product's units
+    if (unit) {
+      try {
+        productDetails.unit_stock = UnitManager.convertStock(productDetails, {
+          on_hand: productDetails.current_stock,
+          held: productDetails.held,
+          reserved: productDetails.reserved,
+          available: productDetails.available,
+          stock_by_location: productDetails.stock_by_location
+        }, unit);
+      } catch (error) {
+        return res.status(400).json({
+          message: error.message
+        });
+      }
+    }
+
     res.status(200).json(productDetails);
 
   } catch (error) {
     console.error('Error getting product details:', error);
-    if (error.message.includes('No such key')) {
+    if (isKeyNotFound(error)) {
+      return res.status(404).json({
+        message: `Product with SKU '${sku}' not found.`
+      });
+    }
+    res.status(500).json(errorBody(error, 'Failed to retrieve product details'));
+  }
+});
+
+// PATCH /api/products/:sku - Update product details (writes a new version)
+router.patch('/:sku', authenticate, requirePermission('products.write'), async (req, res) => {
+  const { sku } = req.params;
+
+  try {
+    const result = await ProductManager.updateProduct(sku, req.body || {}, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.PRODUCT_UPDATED,
+      req.user.user_id,
+      req.user.username,
+      sku,
+      req.ip,
+      { old_values: result.previous, new_values: result.product }
+    );
+
+    res.status(200).json({
+      product: result.product,
+      immudb_tx_hash: result.immudb_tx_hash,
+      message: `Product updated to version ${result.product.version}.`
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    let httpStatus = 500;
+    if (error instanceof RequestError) {
+      httpStatus = error.message.includes('not found') ? 404 : 400;
+    }
+    res.status(httpStatus).json(errorBody(error, 'Failed to update product'));
+  }
+});
+
+// POST /api/products/:sku/status - Move a product through its lifecycle (ACTIVE, DISCONTINUED, ARCHIVED)
+router.post('/:sku/status', authenticate, requirePermission('products.write'), async (req, res) => {
+  const { sku } = req.params;
+  const { status, reason } = req.body || {};
+
+  try {
+    const result = await ProductManager.changeStatus(sku, status, reason, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.PRODUCT_STATUS_CHANGED,
+      req.user.user_id,
+      req.user.username,
+      sku,
+      req.ip,
+      { from: result.previous_status, to: status, reason }
+    );
+
+    res.status(200).json({
+      product: result.product,
+      immudb_tx_hash: result.immudb_tx_hash,
+      message: `Product status changed from ${result.previous_status} to ${status}.`
+    });
+  } catch (error) {
+    console.error('Error changing product status:', error);
+    let httpStatus = 500;
+    if (error instanceof RequestError) {
+      httpStatus = 400;
+      if (error.message.includes('not found')) httpStatus = 404;
+      if (error.message.includes('already') || error.message.includes('cannot move from')) httpStatus = 409;
+    }
+    res.status(httpStatus).json(errorBody(error, 'Failed to change product status'));
+  }
+});
+
+// POST /api/products/:sku/variants - Add attribute values to a variant parent and generate the new child SKUs
+router.post('/:sku/variants', authenticate, requirePermission('products.write'), async (req, res) => {
+  const { sku } = req.params;
+
+  try {
+    const result = await ProductManager.addVariants(sku, (req.body || {}).variant_attributes, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.PRODUCT_UPDATED,
+      req.user.user_id,
+      req.user.username,
+      sku,
+      req.ip,
+      { added_variants: result.variants.map(variant => variant.sku), variant_attributes: result.product.variant_attributes }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: `${result.variants.length} variant(s) added.`
+    });
+  } catch (error) {
+    console.error('Error adding variants:', error);
+    let httpStatus = 500;
+    if (error instanceof RequestError) {
+      httpStatus = 400;
+      if (error.message.includes('not found')) httpStatus = 404;
+      if (error.message.includes('already')) httpStatus = 409;
+    }
+    res.status(httpStatus).json(errorBody(error, 'Failed to add variants'));
+  }
+});
+
+// POST /api/products/:sku/barcodes - Register a barcode (EAN13, UPCA, GTIN14 or CODE128) on a product
+router.post('/:sku/barcodes', authenticate, requirePermission('products.write'), async (req, res) => {
+  const { sku } = req.params;
+
+  try {
+    const result = await BarcodeManager.addBarcode(sku, req.body || {}, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.PRODUCT_UPDATED,
+      req.user.user_id,
+      req.user.username,
+      sku,
+      req.ip,
+      { barcode_added: result.barcode }
+    );
+
+    res.status(201).json({
+      ...result,
+      message: `Barcode '${result.barcode.code}' registered.`
+    });
+  } catch (error) {
+    console.error('Error registering barcode:', error);
+    let httpStatus = 500;
+    if (error instanceof RequestError) {
+      httpStatus = 400;
+      if (error.message.includes('not found')) httpStatus = 404;
+      if (error.message.includes('already registered')) httpStatus = 409;
+    }
+    res.status(httpStatus).json(errorBody(error, 'Failed to register barcode'));
+  }
+});
+
+// DELETE /api/products/:sku/barcodes/:code - Remove a barcode from a product
+router.delete('/:sku/barcodes/:code', authenticate, requirePermission('products.write'), async (req, res) => {
+  const { sku, code } = req.params;
+
+  try {
+    const result = await BarcodeManager.removeBarcode(sku, code, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.PRODUCT_UPDATED,
+      req.user.user_id,
+      req.user.username,
+      sku,
+      req.ip,
+      { barcode_removed: result.barcode }
+    );
+
+    res.status(200).json({
+      ...result,
+      message: `Barcode '${code}' removed.`
+    });
+  } catch (error) {
+    console.error('Error removing barcode:', error);
+    let httpStatus = 500;
+    if (error instanceof RequestError) {
+      httpStatus = error.message.includes('not found') ? 404 : 400;
+    }
+    res.status(httpStatus).json(errorBody(error, 'Failed to remove barcode'));
+  }
+});
+
+// GET /api/products/:sku/label?format=svg|png|zpl&code= - Printable barcode label
+router.get('/:sku/label', authenticate, requirePermission('products.read'), async (req, res) => {
+  const { sku } = req.params;
+  const { format = 'svg', code } = req.query;
+
+  if (!LABEL_FORMATS.includes(format)) {
+    return res.status(400).json({
+      message: `Invalid label format: ${format}. Valid formats: ${LABEL_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    const product = await withImmudb(async (client) => getObj(client, `product:${sku}`));
+    if (!product) {
+      return res.status(404).json({
+        message: `Product with SKU '${sku}' not found.`
+      });
+    }
+
+    // Without a code, the first registered barcode is printed
+    const barcodes = product.barcodes || [];
+    const barcode = code ? barcodes.find(item => item.code === code) : barcodes[0];
+    if (!barcode) {
+      return res.status(404).json({
+        message: code
+          ? `Barcode '${code}' not found on SKU '${sku}'.`
+          : `Product with SKU '${sku}' has no barcodes registered.`
+      });
+    }
+
+    if (format === 'svg') {
+      res.setHeader('Content-Type', 'image/svg+xml');
+      return res.status(200).send(BarcodeManager.renderSvg(product, barcode));
+    }
+
+    if (format === 'png') {
+      res.setHeader('Content-Type', 'image/png');
+      return res.status(200).send(BarcodeManager.renderPng(barcode));
+    }
+
+    res.setHeader('Content-Type', 'text/plain');
+    res.status(200).send(BarcodeManager.renderZpl(product, barcode));
+  } catch (error) {
+    console.error('Error rendering label:', error);
+    res.status(500).json({
+      message: 'Failed to render label',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/products/:sku/suppliers - Who supplies the SKU and on what terms, best first
+router.get('/:sku/suppliers', authenticate, requirePermission('products.read'), async (req, res) => {
+  const { sku } = req.params;
+
+  try {
+    const product = await withImmudb(async (client) => getObj(client, `product:${sku}`));
+    if (!product) {
       return res.status(404).json({
         message: `Product with SKU '${sku}' not found.`
       });
     }
+
+    const suppliers = await SupplierManager.getSkuSuppliers(sku);
+
+    res.status(200).json({
+      sku,
+      suppliers,
+      total: suppliers.length
+    });
+  } catch (error) {
+    console.error('Error getting product suppliers:', error);
     res.status(500).json({
-      message: 'Failed to retrieve product details',
+      message: 'Failed to retrieve product suppliers',
       error: error.message
     });
   }
 });
 
+// GET /api/products/:sku/versions - Every version of a product from immudb key history
+router.get('/:sku/versions', authenticate, requirePermission('products.read'), async (req, res) => {
+  const { sku } = req.params;
+
+  try {
+    const versions = await ProductManager.getVersions(sku);
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        message: `Product with SKU '${sku}' not found.`
+      });
+    }
+
+    res.status(200).json({
+      sku,
+      versions,
+      total: versions.length
+    });
+  } catch (error) {
+    console.error('Error getting product versions:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve product versions',
+      error: error.message
+    });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { PurchaseOrderManager } = require('../utils/purchase-order-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+/**
+ * Map a manager error message to an HTTP status; errors that are not RequestErrors are internal (500)
+ */
+const errorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already') || error.message.includes('cannot')) return 409;
+  return 400;
+};
+
+/**
+ * Record a purchase order state change in the audit log
+ */
+const logPurchaseOrderEvent = async (req, eventType, result) => {
+  await AuditLogger.logInventoryOperation(
+    eventType,
+    req.user.user_id,
+    req.user.username,
+    result.purchase_order.po_id,
+    req.ip,
+    {
+      status: result.purchase_order.status,
+      purchase_order: result.purchase_order,
+      immudb_tx_hash: result.immudb_tx_hash
+    }
+  );
+};
+
+// GET /api/purchase-orders - List purchase orders
+router.get('/', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, supplier, supplier_id, sku } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (supplier) filters.supplier = supplier;
+    if (supplier_id) filters.supplier_id = supplier_id;
+    if (sku) filters.sku = sku;
+
+    const purchaseOrders = await PurchaseOrderManager.listPurchaseOrders(filters);
+
+    res.status(200).json({
+      purchase_orders: purchaseOrders,
+      total: purchaseOrders.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('List purchase orders error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve purchase orders',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/purchase-orders/:poId - Get purchase order
+router.get('/:poId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { poId } = req.params;
+    const purchaseOrder = await PurchaseOrderManager.getPurchaseOrder(poId);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        message: `Purchase order '${poId}' not found.`
+      });
+    }
+
+    res.status(200).json({ purchase_order: purchaseOrder });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve purchase order',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/purchase-orders - Create draft purchase order
+router.post('/', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await PurchaseOrderManager.createPurchaseOrder(req.body, req.user.username);
+    await logPurchaseOrderEvent(req, AUDIT_EVENTS.PURCHASE_ORDER_CREATED, result);
+
+    res.status(201).json({
+      ...result,
+      message: 'Purchase order created.'
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to create purchase order'));
+  }
+});
+
+// POST /api/purchase-orders/:poId/approve - Approve draft purchase order
+router.post('/:poId/approve', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await PurchaseOrderManager.approvePurchaseOrder(req.params.poId, req.user.username);
+    await logPurchaseOrderEvent(req, AUDIT_EVENTS.PURCHASE_ORDER_APPROVED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Purchase order approved.'
+    });
+  } catch (error) {
+    console.error('Approve purchase order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to approve purchase order'));
+  }
+});
+
+// POST /api/purchase-orders/:poId/receipts - Receive stock against PO lines
+router.post('/:poId/receipts', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await PurchaseOrderManager.receivePurchaseOrder(req.params.poId, req.body, req.user.username);
+    await logPurchaseOrderEvent(req, AUDIT_EVENTS.PURCHASE_ORDER_RECEIVED, result);
+
+    res.status(201).json({
+      ...result,
+      message: 'Receipt recorded against purchase order.'
+    });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to receive purchase order'));
+  }
+});
+
+// POST /api/purchase-orders/:poId/close - Close purchase order, flagging short lines
+router.post('/:poId/close', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await PurchaseOrderManager.closePurchaseOrder(req.params.poId, req.user.username, reason);
+    await logPurchaseOrderEvent(req, AUDIT_EVENTS.PURCHASE_ORDER_CLOSED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Purchase order closed.'
+    });
+  } catch (error) {
+    console.error('Close purchase order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to close purchase order'));
+  }
+});
+
+// POST /api/purchase-orders/:poId/cancel - Cancel purchase order before any receipt
+router.post('/:poId/cancel', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await PurchaseOrderManager.cancelPurchaseOrder(req.params.poId, req.user.username, reason);
+    await logPurchaseOrderEvent(req, AUDIT_EVENTS.PURCHASE_ORDER_CANCELLED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Purchase order cancelled.'
+    });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to cancel purchase order'));
+  }
+});
+
+module.exports = router;
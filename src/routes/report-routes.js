@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { ValuationManager } = require('../utils/valuation-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError } = require('../utils/request-error');
+
+// GET /api/reports/valuation?method=FIFO|LIFO|WEIGHTED_AVG&as_of= - Stock value at a point in time
+router.get('/valuation', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  const { method = 'FIFO', as_of, sku } = req.query;
+
+  try {
+    const valuation = await ValuationManager.getValuation({
+      // A repeated ?method= arrives as an array, which getValuation rejects as invalid
+      method: typeof method === 'string' ? method.toUpperCase() : method,
+      as_of,
+      sku
+    });
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.INVENTORY_QUERY,
+      req.user.user_id,
+      req.user.username,
+      'valuation',
+      req.ip,
+      { method: valuation.method, as_of: valuation.as_of, sku: sku || null }
+    );
+
+    res.status(200).json(valuation);
+  } catch (error) {
+    console.error('Valuation report error:', error);
+    if (error instanceof RequestError) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      message: 'Failed to build valuation report',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { RmaManager } = require('../utils/rma-manager');
+const { APPROVAL_STATUSES } = require('../utils/approval-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+/**
+ * Map a manager error message to an HTTP status; errors that are not RequestErrors are internal (500)
+ */
+const errorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('cannot be')) return 409;
+  return 400;
+};
+
+/**
+ * Handler for one step of the returns flow, audited under the given event
+ */
+const rmaStep = (event, label, run) => async (req, res) => {
+  try {
+    const { rmaId } = req.params;
+    const result = await run(rmaId, req);
+
+    if (result.approval && result.approval.status === APPROVAL_STATUSES.PENDING) {
+      await AuditLogger.logInventoryOperation(
+        AUDIT_EVENTS.TRANSACTION_APPROVAL_REQUESTED,
+        req.user.user_id,
+        req.user.username,
+        result.approval.approval_id,
+        req.ip,
+        { rma_id: rmaId, sku: result.approval.sku, type: result.approval.type, quantity_change: result.approval.quantity_change, value: result.approval.value }
+      );
+
+      return res.status(202).json({
+        ...result,
+        message: `Value ${result.approval.value} exceeds the approval threshold of ${result.approval.threshold}; held for approval.`
+      });
+    }
+
+    await AuditLogger.logInventoryOperation(
+      event,
+      req.user.user_id,
+      req.user.username,
+      rmaId,
+      req.ip,
+      {
+        sku: result.rma.sku,
+        status: result.rma.status,
+        transaction_ids: result.transactions.map(tx => tx.transaction_id),
+        body: req.body
+      }
+    );
+
+    res.status(200).json({
+      message: `RMA ${label} successfully`,
+      ...result
+    });
+  } catch (error) {
+    console.error(`RMA ${label} error:`, error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to process RMA'));
+  }
+};
+
+// GET /api/returns - List RMAs (?status=, ?sku=, ?original_transaction_id=)
+router.get('/', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, sku, original_transaction_id } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (sku) filters.sku = sku;
+    if (original_transaction_id) filters.original_transaction_id = original_transaction_id;
+
+    const rmas = await RmaManager.listRmas(filters);
+
+    res.status(200).json({
+      rmas,
+      total: rmas.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('List RMAs error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve RMAs',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/returns/:rmaId - Get RMA with the original shipment and its ledger entries
+router.get('/:rmaId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { rmaId } = req.params;
+    const rma = await RmaManager.getRma(rmaId);
+
+    if (!rma) {
+      return res.status(404).json({
+        message: `RMA '${rmaId}' not found.`
+      });
+    }
+
+    const transactions = await RmaManager.getRmaTransactions(rma);
+
+    res.status(200).json({ rma, transactions });
+  } catch (error) {
+    console.error('Get RMA error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve RMA',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/returns - Authorize a return against an OUT transaction
+router.post('/', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await RmaManager.createRma(req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.RMA_CREATED,
+      req.user.user_id,
+      req.user.username,
+      result.rma.rma_id,
+      req.ip,
+      { rma: result.rma }
+    );
+
+    res.status(201).json({
+      message: 'RMA created successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Create RMA error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to create RMA'));
+  }
+});
+
+// POST /api/returns/:rmaId/receive - Receive the returned goods into quarantine
+router.post('/:rmaId/receive', authenticate, requirePermission('inventory.write'), rmaStep(
+  AUDIT_EVENTS.RMA_RECEIVED,
+  'received',
+  (rmaId, req) => RmaManager.receiveRma(rmaId, req.body || {}, req.user.username)
+));
+
+// POST /api/returns/:rmaId/inspect - Record the inspection outcome
+router.post('/:rmaId/inspect', authenticate, requirePermission('inventory.write'), rmaStep(
+  AUDIT_EVENTS.RMA_INSPECTED,
+  'inspected',
+  (rmaId, req) => RmaManager.inspectRma(rmaId, req.body || {}, req.user.username)
+));
+
+// POST /api/returns/:rmaId/disposition - Restock, scrap or return to vendor
+// (a scrap over the approval threshold is held for approval and answered with 202)
+router.post('/:rmaId/disposition', authenticate, requirePermission('inventory.write'), rmaStep(
+  AUDIT_EVENTS.RMA_DISPOSITIONED,
+  'dispositioned',
+  (rmaId, req) => RmaManager.dispositionRma(rmaId, req.body || {}, req.user.username, {
+    requester: { user_id: req.user.user_id, username: req.user.username }
+  })
+));
+
+// POST /api/returns/:rmaId/cancel - Cancel an RMA before the goods arrive
+router.post('/:rmaId/cancel', authenticate, requirePermission('inventory.write'), rmaStep(
+  AUDIT_EVENTS.RMA_CANCELLED,
+  'cancelled',
+  (rmaId, req) => RmaManager.cancelRma(rmaId, (req.body || {}).reason, req.user.username)
+));
+
+module.exports = router;
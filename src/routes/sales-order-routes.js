@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const { SalesOrderManager } = require('../utils/sales-order-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+/**
+ * Map a manager error message to an HTTP status; errors that are not RequestErrors are internal (500)
+ */
+const errorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already') || error.message.includes('cannot')) return 409;
+  return 400;
+};
+
+/**
+ * Record a sales order state change in the audit log
+ */
+const logSalesOrderEvent = async (req, eventType, result) => {
+  await AuditLogger.logInventoryOperation(
+    eventType,
+    req.user.user_id,
+    req.user.username,
+    result.sales_order.so_id,
+    req.ip,
+    {
+      status: result.sales_order.status,
+      sales_order: result.sales_order,
+      immudb_tx_hash: result.immudb_tx_hash
+    }
+  );
+};
+
+// GET /api/sales-orders - List sales orders
+router.get('/', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, customer, sku } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (customer) filters.customer = customer;
+    if (sku) filters.sku = sku;
+
+    const salesOrders = await SalesOrderManager.listSalesOrders(filters);
+
+    res.status(200).json({
+      sales_orders: salesOrders,
+      total: salesOrders.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('List sales orders error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve sales orders',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/sales-orders/:soId - Get sales order
+router.get('/:soId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { soId } = req.params;
+    const salesOrder = await SalesOrderManager.getSalesOrder(soId);
+
+    if (!salesOrder) {
+      return res.status(404).json({
+        message: `Sales order '${soId}' not found.`
+      });
+    }
+
+    res.status(200).json({ sales_order: salesOrder });
+  } catch (error) {
+    console.error('Get sales order error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve sales order',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/sales-orders/:soId/pick-list - Allocations grouped by pick location
+router.get('/:soId/pick-list', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { soId } = req.params;
+    const salesOrder = await SalesOrderManager.getSalesOrder(soId);
+
+    if (!salesOrder) {
+      return res.status(404).json({
+        message: `Sales order '${soId}' not found.`
+      });
+    }
+
+    res.status(200).json({
+      so_id: salesOrder.so_id,
+      status: salesOrder.status,
+      pick_list: salesOrder.pick_list || SalesOrderManager.buildPickList(salesOrder)
+    });
+  } catch (error) {
+    console.error('Get pick list error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve pick list',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/sales-orders - Create draft sales order
+router.post('/', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await SalesOrderManager.createSalesOrder(req.body, req.user.username);
+    await logSalesOrderEvent(req, AUDIT_EVENTS.SALES_ORDER_CREATED, result);
+
+    res.status(201).json({
+      ...result,
+      message: 'Sales order created.'
+    });
+  } catch (error) {
+    console.error('Create sales order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to create sales order'));
+  }
+});
+
+// POST /api/sales-orders/:soId/confirm - Confirm draft sales order, reserving its lines
+router.post('/:soId/confirm', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await SalesOrderManager.confirmSalesOrder(req.params.soId, req.user.username);
+    await logSalesOrderEvent(req, AUDIT_EVENTS.SALES_ORDER_CONFIRMED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Sales order confirmed; stock reserved.'
+    });
+  } catch (error) {
+    console.error('Confirm sales order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to confirm sales order'));
+  }
+});
+
+// POST /api/sales-orders/:soId/pick - Generate pick list and start picking
+router.post('/:soId/pick', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await SalesOrderManager.pickSalesOrder(req.params.soId, req.user.username);
+    await logSalesOrderEvent(req, AUDIT_EVENTS.SALES_ORDER_PICKING, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Pick list generated.'
+    });
+  } catch (error) {
+    console.error('Pick sales order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to pick sales order'));
+  }
+});
+
+// POST /api/sales-orders/:soId/pack - Mark picked order as packed
+router.post('/:soId/pack', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await SalesOrderManager.packSalesOrder(req.params.soId, req.user.username, req.body || {});
+    await logSalesOrderEvent(req, AUDIT_EVENTS.SALES_ORDER_PACKED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Sales order packed.'
+    });
+  } catch (error) {
+    console.error('Pack sales order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to pack sales order'));
+  }
+});
+
+// POST /api/sales-orders/:soId/ship - Ship packed order (records the OUT transactions)
+router.post('/:soId/ship', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const result = await SalesOrderManager.shipSalesOrder(req.params.soId, req.user.username, req.body || {});
+    await logSalesOrderEvent(req, AUDIT_EVENTS.SALES_ORDER_SHIPPED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Sales order shipped; stock removed.'
+    });
+  } catch (error) {
+    console.error('Ship sales order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to ship sales order'));
+  }
+});
+
+// POST /api/sales-orders/:soId/cancel - Cancel unshipped order, releasing its reservations
+router.post('/:soId/cancel', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const result = await SalesOrderManager.cancelSalesOrder(req.params.soId, req.user.username, reason);
+    await logSalesOrderEvent(req, AUDIT_EVENTS.SALES_ORDER_CANCELLED, result);
+
+    res.status(200).json({
+      ...result,
+      message: 'Sales order cancelled; reservations released.'
+    });
+  } catch (error) {
+    console.error('Cancel sales order error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to cancel sales order'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { SupplierManager } = require('../utils/supplier-manager');
+const {
+  authenticate,
+  requirePermission
+} = require('../middleware/auth');
+const { AuditLogger, AUDIT_EVENTS } = require('../utils/audit-logger');
+const { RequestError, errorBody } = require('../utils/request-error');
+
+/**
+ * Map a manager error message to an HTTP status; errors that are not RequestErrors are internal (500)
+ */
+const errorStatus = (error) => {
+  if (!(error instanceof RequestError)) return 500;
+  if (error.message.includes('not found') || error.message.includes('does not supply')) return 404;
+  if (error.message.includes('already exists')) return 409;
+  return 400;
+};
+
+// GET /api/suppliers - List suppliers (?status=, ?sku= for those that supply it)
+router.get('/', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { status, sku } = req.query;
+    const filters = {};
+
+    if (status) filters.status = status;
+    if (sku) filters.sku = sku;
+
+    const suppliers = await SupplierManager.listSuppliers(filters);
+
+    res.status(200).json({
+      suppliers,
+      total: suppliers.length,
+      filters_applied: filters
+    });
+  } catch (error) {
+    console.error('List suppliers error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve suppliers',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/suppliers/:supplierId - Get supplier
+router.get('/:supplierId', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    const supplier = await SupplierManager.getSupplier(supplierId);
+
+    if (!supplier) {
+      return res.status(404).json({
+        message: `Supplier '${supplierId}' not found.`
+      });
+    }
+
+    res.status(200).json({ supplier });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      message: 'Failed to retrieve supplier',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/suppliers - Create supplier
+router.post('/', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const supplier = await SupplierManager.createSupplier(req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.SUPPLIER_CREATED,
+      req.user.user_id,
+      req.user.username,
+      supplier.supplier_id,
+      req.ip,
+      { supplier }
+    );
+
+    res.status(201).json({
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to create supplier'));
+  }
+});
+
+// PUT /api/suppliers/:supplierId - Update supplier details or status
+router.put('/:supplierId', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    const supplier = await SupplierManager.updateSupplier(supplierId, req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.SUPPLIER_UPDATED,
+      req.user.user_id,
+      req.user.username,
+      supplierId,
+      req.ip,
+      { supplier }
+    );
+
+    res.status(200).json({
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to update supplier'));
+  }
+});
+
+// GET /api/suppliers/:supplierId/items - SKUs the supplier provides, with its terms for each
+router.get('/:supplierId/items', authenticate, requirePermission('inventory.read'), async (req, res) => {
+  try {
+    const { supplierId } = req.params;
+    const items = await SupplierManager.listSupplierItems(supplierId);
+
+    res.status(200).json({
+      supplier_id: supplierId,
+      items,
+      total: items.length
+    });
+  } catch (error) {
+    console.error('List supplier items error:', error);
+    if (error instanceof RequestError && error.message.includes('not found')) {
+      return res.status(404).json({
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      message: 'Failed to retrieve supplier items',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/suppliers/:supplierId/items/:sku - Add or update the supplier's part number and cost for a SKU
+router.put('/:supplierId/items/:sku', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { supplierId, sku } = req.params;
+    const result = await SupplierManager.setSupplierItem(supplierId, sku, req.body, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.SUPPLIER_ITEM_UPDATED,
+      req.user.user_id,
+      req.user.username,
+      supplierId,
+      req.ip,
+      { item: result.item }
+    );
+
+    res.status(result.created ? 201 : 200).json({
+      ...result,
+      message: `Supplier '${supplierId}' ${result.created ? 'now supplies' : 'updated terms for'} SKU '${sku}'.`
+    });
+  } catch (error) {
+    console.error('Set supplier item error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to set supplier item'));
+  }
+});
+
+// DELETE /api/suppliers/:supplierId/items/:sku - Stop listing a SKU under the supplier
+router.delete('/:supplierId/items/:sku', authenticate, requirePermission('inventory.write'), async (req, res) => {
+  try {
+    const { supplierId, sku } = req.params;
+    const item = await SupplierManager.removeSupplierItem(supplierId, sku, req.user.username);
+
+    await AuditLogger.logInventoryOperation(
+      AUDIT_EVENTS.SUPPLIER_ITEM_REMOVED,
+      req.user.user_id,
+      req.user.username,
+      supplierId,
+      req.ip,
+      { item }
+    );
+
+    res.status(200).json({
+      message: `Supplier '${supplierId}' no longer supplies SKU '${sku}'.`,
+      item
+    });
+  } catch (error) {
+    console.error('Remove supplier item error:', error);
+    res.status(errorStatus(error)).json(errorBody(error, 'Failed to remove supplier item'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,381 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { ReservationManager } = require('./reservation-manager');
+const { ValuationManager } = require('./valuation-manager');
+const { UnitManager } = require('./unit-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const APPROVAL_STATUSES = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED'
+};
+
+// Manual movements above this value wait for a second user to approve them
+const APPROVAL_VALUE_THRESHOLD = Number(process.env.APPROVAL_VALUE_THRESHOLD || 1000);
+
+// Movement types subject to the threshold
+const APPROVAL_TYPES = ['ADJUSTMENT', 'OUT'];
+
+const TRANSACTION_TYPES = ['IN', 'OUT', 'ADJUSTMENT'];
+
+/**
+ * Manual inventory movements (POST /api/inventory/transaction) with maker-checker control.
+ * Adjustments and outbound movements worth more than APPROVAL_VALUE_THRESHOLD are held as
+ * `approval:<id>` records and only reach the ledger once a different user approves them.
+ * Each decision rewrites the record, so immudb keeps every state and both actors.
+ */
+class ApprovalManager {
+  /**
+   * Validated movement request from a request body
+   */
+  parseTransactionRequest(body) {
+    const {
+      sku,
+      type,
+      quantity,
+      reason,
+      location_id = DEFAULT_LOCATION_ID,
+      lot_number,
+      manufactured_at,
+      expires_at,
+      serial_numbers,
+      unit_cost,
+      unit
+    } = body;
+
+    if (!sku || typeof type !== 'string' || !Number.isInteger(quantity) || quantity <= 0 || !reason) {
+      throw new RequestError('Missing or invalid transaction fields (sku, type, quantity, reason). Quantity must be a positive integer.');
+    }
+
+    if (!TRANSACTION_TYPES.includes(type.toUpperCase())) {
+      throw new RequestError(`Invalid transaction type. Must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    const unitCost = ValuationManager.parseUnitCost(unit_cost);
+    if (type.toUpperCase() === 'OUT' && unitCost !== undefined) {
+      throw new RequestError('unit_cost applies to inbound transactions only');
+    }
+
+    return {
+      sku,
+      type: type.toUpperCase(),
+      quantity,
+      reason,
+      location_id,
+      lot_number,
+      manufactured_at,
+      expires_at,
+      serial_numbers,
+      unit_cost: unitCost,
+      unit
+    };
+  }
+
+  /**
+   * Check a movement request against the product and its ledger and build the entry it would
+   * write, with its value (use inside withImmudb)
+   */
+  async prepareTransaction(client, request, performedBy) {
+    const { sku, type, quantity, reason, location_id, unit_cost: unitCost } = request;
+
+    const product = await getObj(client, `product:${sku}`);
+    if (!product) {
+      throw new RequestError(`Product with SKU '${sku}' not found.`);
+    }
+
+    // Variant parents hold no stock, discontinued products cannot be restocked and archived ones cannot move
+    InventoryLedger.checkMovementAllowed(product, type);
+
+    // Quantities may be entered in any of the product's units; the ledger holds base units
+    const conversion = UnitManager.toBaseQuantity(product, quantity, request.unit);
+    const baseQuantity = conversion.base_quantity;
+
+    const skuTransactions = await InventoryLedger.getTransactions(client, { sku });
+
+    let quantityChange = baseQuantity;
+    let trackingDetails;
+    if (type === 'OUT') {
+      quantityChange = -baseQuantity;
+
+      // Stock is kept per location; held stock cannot leave and reserved stock is already promised elsewhere
+      const availability = await ReservationManager.getAvailability(client, sku, location_id, {
+        transactions: skuTransactions
+      });
+      if (availability.available + quantityChange < 0) {
+        throw new RequestError(`Insufficient stock for SKU '${sku}' at location '${location_id}'. On hand: ${availability.on_hand}, held: ${availability.held}, reserved: ${availability.reserved}, available: ${availability.available}, attempting to remove: ${baseQuantity} ${conversion.base_unit}.`);
+      }
+
+      trackingDetails = InventoryLedger.prepareOutbound(product, skuTransactions, {
+        quantity: baseQuantity,
+        location_id,
+        lot_number: request.lot_number,
+        serial_numbers: request.serial_numbers
+      });
+    } else {
+      trackingDetails = InventoryLedger.prepareInbound(product, skuTransactions, {
+        quantity: baseQuantity,
+        location_id,
+        lot_number: request.lot_number,
+        manufactured_at: request.manufactured_at,
+        expires_at: request.expires_at,
+        serial_numbers: request.serial_numbers
+      });
+    }
+
+    const transaction = InventoryLedger.buildTransaction({
+      sku,
+      type,
+      quantity_change: quantityChange,
+      location_id,
+      reason,
+      performed_by: performedBy,
+      entered_quantity: conversion.entered_quantity,
+      entered_unit: conversion.entered_unit,
+      base_quantity: baseQuantity,
+      base_unit: conversion.base_unit,
+      // unit_cost is entered per entered unit and stored per base unit
+      ...(unitCost !== undefined && { unit_cost: unitCost / conversion.factor }),
+      ...(unitCost !== undefined && conversion.factor !== 1 && { entered_unit_cost: unitCost }),
+      ...trackingDetails
+    });
+
+    return {
+      transaction,
+      value: this.transactionValue(product, skuTransactions, transaction)
+    };
+  }
+
+  /**
+   * Value of a movement at its own unit cost, else the SKU's average cost, else its price
+   */
+  transactionValue(product, skuTransactions, transaction) {
+    const unitCost = transaction.unit_cost != null
+      ? transaction.unit_cost
+      : ValuationManager.valueTransactions(skuTransactions, 'WEIGHTED_AVG').average_unit_cost;
+
+    return ValuationManager.round(Math.abs(transaction.quantity_change) * (unitCost != null ? unitCost : product.price || 0));
+  }
+
+  /**
+   * Whether a movement of this value needs a second user's approval
+   */
+  requiresApproval(transaction, value) {
+    return APPROVAL_TYPES.includes(transaction.type) && value > APPROVAL_VALUE_THRESHOLD;
+  }
+
+  /**
+   * Record a manual movement, or hold it for approval when it is over the threshold.
+   * Returns { transaction } when recorded and { approval } when held.
+   */
+  async submitTransaction(body, performedBy, requester) {
+    const request = this.parseTransactionRequest(body);
+    await LocationManager.getActiveLocation(request.location_id);
+
+    // The stock and serial checks and the write run under the SKU's stock lock
+    return await InventoryLedger.withStockLock([request.sku], async () => {
+      return await withImmudb(async (client) => {
+        const { transaction, value } = await this.prepareTransaction(client, request, performedBy);
+
+        if (!this.requiresApproval(transaction, value)) {
+          const setResponse = await InventoryLedger.recordTransaction(client, transaction);
+          return {
+            transaction,
+            immudb_tx_hash: setResponse.id.toString()
+          };
+        }
+
+        const approval = this.buildApproval(transaction, value, request, performedBy, requester);
+        const setResponse = await client.set(this.approvalEntry(approval));
+
+        return {
+          approval,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * New PENDING approval holding a movement until a second user decides on it. request is what
+   * is replayed on approval; extra fields (e.g. rma_id) say which workflow replays it.
+   */
+  buildApproval(transaction, value, request, performedBy, requester, extra = {}) {
+    const now = new Date().toISOString();
+
+    return {
+      approval_id: generateUuid(),
+      status: APPROVAL_STATUSES.PENDING,
+      sku: transaction.sku,
+      type: transaction.type,
+      quantity_change: transaction.quantity_change,
+      location_id: transaction.location_id,
+      value,
+      threshold: APPROVAL_VALUE_THRESHOLD,
+      request,
+      ...extra,
+      performed_by: performedBy,
+      requested_by: requester,
+      requested_at: now,
+      decided_by: null,
+      decided_at: null,
+      decision_reason: null,
+      transaction_id: null,
+      status_history: [{ status: APPROVAL_STATUSES.PENDING, changed_at: now, changed_by: requester.username }]
+    };
+  }
+
+  /**
+   * Approve a held movement. It is checked again against current stock and written to the
+   * ledger together with the approved record.
+   */
+  async approveTransaction(approvalId, approver) {
+    // The pending check and the ledger write must not interleave with another decision on the
+    // same approval, or a movement could be approved and posted twice
+    return await withLock(`approval:${approvalId}`, async () => {
+      const existing = await this.requirePending(approvalId);
+
+      if (existing.requested_by.user_id === approver.user_id) {
+        throw new RequestError(`User '${approver.username}' requested this transaction and cannot approve it`);
+      }
+
+      if (existing.rma_id) {
+        // A held RMA scrap is written by the returns flow, which checks the RMA again.
+        // Required here because the RMA manager itself depends on approvals.
+        const { RmaManager } = require('./rma-manager');
+        const result = await RmaManager.dispositionRma(existing.rma_id, existing.request, existing.performed_by, {
+          decision: { approval: existing, approver }
+        });
+
+        return {
+          approval: result.approval,
+          transaction: result.transactions[0],
+          rma: result.rma,
+          immudb_tx_hash: result.immudb_tx_hash
+        };
+      }
+
+      await LocationManager.getActiveLocation(existing.location_id);
+
+      // Stock may have moved since the request was held, so it is checked again under the stock lock
+      return await InventoryLedger.withStockLock([existing.sku], async () => {
+        return await withImmudb(async (client) => {
+          const { transaction } = await this.prepareTransaction(client, existing.request, existing.performed_by);
+          transaction.approval_id = approvalId;
+          transaction.approved_by = approver.username;
+
+          const approval = this.decide(existing, APPROVAL_STATUSES.APPROVED, approver, null, transaction.timestamp);
+          approval.transaction_id = transaction.transaction_id;
+
+          const txResponse = await InventoryLedger.recordTransactions(client, [transaction], [this.approvalEntry(approval)]);
+
+          return {
+            approval,
+            transaction,
+            immudb_tx_hash: txResponse.id.toString()
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * Reject a held movement; nothing is written to the ledger
+   */
+  async rejectTransaction(approvalId, approver, reason = null) {
+    return await withLock(`approval:${approvalId}`, async () => {
+      const existing = await this.requirePending(approvalId);
+      const approval = this.decide(existing, APPROVAL_STATUSES.REJECTED, approver, reason, new Date().toISOString());
+
+      return await withImmudb(async (client) => {
+        const setResponse = await client.set(this.approvalEntry(approval));
+
+        return {
+          approval,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Load an approval and check it is still awaiting a decision
+   */
+  async requirePending(approvalId) {
+    const existing = await this.getApproval(approvalId);
+    if (!existing) {
+      throw new RequestError(`Approval '${approvalId}' not found`);
+    }
+
+    if (existing.status !== APPROVAL_STATUSES.PENDING) {
+      throw new RequestError(`Approval '${approvalId}' is already ${existing.status}`);
+    }
+
+    return existing;
+  }
+
+  /**
+   * The approval record after a decision
+   */
+  decide(existing, status, approver, reason, decidedAt) {
+    return {
+      ...existing,
+      status,
+      decided_by: approver,
+      decided_at: decidedAt,
+      decision_reason: reason,
+      status_history: [...existing.status_history, { status, changed_at: decidedAt, changed_by: approver.username }]
+    };
+  }
+
+  /**
+   * Get approval by ID
+   */
+  async getApproval(approvalId) {
+    return await withImmudb(async (client) => getObj(client, `approval:${approvalId}`));
+  }
+
+  /**
+   * List approvals with filtering, newest first
+   */
+  async listApprovals(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'approval:');
+      const approvals = [];
+
+      for (const item of entries) {
+        try {
+          const approval = JSON.parse(item.value);
+
+          if (filters.status && approval.status !== filters.status) continue;
+          if (filters.sku && approval.sku !== filters.sku) continue;
+
+          approvals.push(approval);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return approvals.sort((a, b) => new Date(b.requested_at) - new Date(a.requested_at));
+    });
+  }
+
+  /**
+   * Key/value pair storing the latest state of an approval
+   */
+  approvalEntry(approval) {
+    return {
+      key: Buffer.from(`approval:${approval.approval_id}`),
+      value: objToBuffer(approval)
+    };
+  }
+}
+
+module.exports = {
+  ApprovalManager: new ApprovalManager(),
+  APPROVAL_STATUSES,
+  APPROVAL_VALUE_THRESHOLD
+};
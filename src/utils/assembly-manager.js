@@ -0,0 +1,279 @@
+const { withImmudb, objToBuffer, getObj } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID, PSEUDO_LOCATION_IDS } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { ReservationManager } = require('./reservation-manager');
+const { ValuationManager } = require('./valuation-manager');
+const { generateUuid } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const ASSEMBLY_TYPES = {
+  ASSEMBLY: 'ASSEMBLY',
+  DISASSEMBLY: 'DISASSEMBLY'
+};
+
+/**
+ * Kits and their bill of materials (`bom` on the kit product). Assembly consumes the
+ * components (OUT) and produces the kit (IN); disassembly does the reverse. Every entry and
+ * the `assembly:<id>` record are written in one immudb transaction.
+ */
+class AssemblyManager {
+  /**
+   * Validate a kit's bill of materials (use inside withImmudb). Components must exist and
+   * hold their own stock; a component may itself be an assembled kit.
+   */
+  async checkBom(client, kitSku, bom) {
+    if (!Array.isArray(bom) || bom.length === 0) {
+      throw new RequestError('Invalid bom. Must be a non-empty list of { sku, quantity } components.');
+    }
+
+    const components = [];
+    for (const component of bom) {
+      if (!component || !component.sku || !Number.isInteger(component.quantity) || component.quantity < 1) {
+        throw new RequestError('Invalid bom component. Each needs a sku and a positive integer quantity.');
+      }
+
+      if (component.sku === kitSku) {
+        throw new RequestError(`Kit '${kitSku}' cannot contain itself`);
+      }
+
+      if (components.some(existing => existing.sku === component.sku)) {
+        throw new RequestError(`Component '${component.sku}' is listed more than once in the bom`);
+      }
+
+      const product = await getObj(client, `product:${component.sku}`);
+      if (!product) {
+        throw new RequestError(`Component product with SKU '${component.sku}' not found`);
+      }
+
+      if (product.variants) {
+        throw new RequestError(`Component '${component.sku}' is a variant parent; list its variant SKUs instead`);
+      }
+
+      components.push({ sku: component.sku, quantity: component.quantity });
+    }
+
+    return components;
+  }
+
+  /**
+   * Build kits from their components at one location
+   */
+  async assemble(assemblyData, performedBy) {
+    return await this.recordAssembly(ASSEMBLY_TYPES.ASSEMBLY, assemblyData, performedBy);
+  }
+
+  /**
+   * Break kits back down into their components at one location
+   */
+  async disassemble(assemblyData, performedBy) {
+    return await this.recordAssembly(ASSEMBLY_TYPES.DISASSEMBLY, assemblyData, performedBy);
+  }
+
+  /**
+   * Write the paired component and kit movements of an assembly or disassembly.
+   * serial_numbers maps a serialized SKU to the serials that move.
+   */
+  async recordAssembly(type, assemblyData, performedBy) {
+    const {
+      kit_sku,
+      quantity,
+      location_id = DEFAULT_LOCATION_ID,
+      serial_numbers = {},
+      reason = null
+    } = assemblyData;
+
+    if (!kit_sku || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new RequestError('Missing or invalid assembly fields (kit_sku, quantity). Quantity must be a positive integer.');
+    }
+
+    if (PSEUDO_LOCATION_IDS.includes(location_id)) {
+      throw new RequestError(`Kits cannot be assembled at '${location_id}'`);
+    }
+
+    await LocationManager.getActiveLocation(location_id);
+
+    const kit = await withImmudb(async (client) => getObj(client, `product:${kit_sku}`));
+    if (!kit) {
+      throw new RequestError(`Product with SKU '${kit_sku}' not found`);
+    }
+
+    if (!kit.bom) {
+      throw new RequestError(`Product with SKU '${kit_sku}' is not a kit`);
+    }
+
+    // The kit and every component move, so the stock checks and the write hold all their stock locks
+    const skus = [kit_sku, ...kit.bom.map(component => component.sku)];
+
+    return await InventoryLedger.withStockLock(skus, async () => {
+      return await withImmudb(async (client) => {
+        const assemblyId = generateUuid();
+        const isAssembly = type === ASSEMBLY_TYPES.ASSEMBLY;
+        const movementReason = reason || `${isAssembly ? 'Assembly' : 'Disassembly'} ${assemblyId}`;
+
+        // Consumed SKUs leave the location before produced ones arrive
+        const kitMovement = { product: kit, quantity };
+        const componentMovements = [];
+        for (const component of kit.bom) {
+          componentMovements.push({
+            product: await getObj(client, `product:${component.sku}`),
+            quantity: component.quantity * quantity
+          });
+        }
+
+        const consumed = isAssembly ? componentMovements : [kitMovement];
+        const produced = isAssembly ? [kitMovement] : componentMovements;
+        const transactions = [];
+        let consumedCost = 0;
+
+        for (const { product, quantity: movementQuantity } of consumed) {
+          InventoryLedger.checkMovementAllowed(product, 'OUT');
+
+          const skuTransactions = await InventoryLedger.getTransactions(client, { sku: product.sku });
+          const availability = await ReservationManager.getAvailability(client, product.sku, location_id, {
+            transactions: skuTransactions
+          });
+          if (availability.available < movementQuantity) {
+            throw new RequestError(`Insufficient stock for SKU '${product.sku}' at location '${location_id}'. Available: ${availability.available}, required: ${movementQuantity}.`);
+          }
+
+          const trackingDetails = InventoryLedger.prepareOutbound(product, skuTransactions, {
+            quantity: movementQuantity,
+            location_id,
+            serial_numbers: serial_numbers[product.sku]
+          });
+
+          const averageCost = ValuationManager.valueTransactions(skuTransactions, 'WEIGHTED_AVG').average_unit_cost;
+          consumedCost = consumedCost === null || averageCost === null ? null : consumedCost + averageCost * movementQuantity;
+
+          transactions.push(InventoryLedger.buildTransaction({
+            sku: product.sku,
+            type: 'OUT',
+            quantity_change: -movementQuantity,
+            location_id,
+            reason: movementReason,
+            performed_by: performedBy,
+            assembly_id: assemblyId,
+            ...trackingDetails
+          }));
+        }
+
+        for (const { product, quantity: movementQuantity } of produced) {
+          InventoryLedger.checkMovementAllowed(product, 'IN');
+
+          const skuTransactions = await InventoryLedger.getTransactions(client, { sku: product.sku });
+          const trackingDetails = InventoryLedger.prepareInbound(product, skuTransactions, {
+            quantity: movementQuantity,
+            location_id,
+            serial_numbers: serial_numbers[product.sku]
+          });
+
+          // An assembled kit carries the average cost of the components it consumed
+          const unitCost = isAssembly && consumedCost !== null
+            ? ValuationManager.round(consumedCost / movementQuantity)
+            : undefined;
+
+          transactions.push(InventoryLedger.buildTransaction({
+            sku: product.sku,
+            type: 'IN',
+            quantity_change: movementQuantity,
+            location_id,
+            reason: movementReason,
+            performed_by: performedBy,
+            assembly_id: assemblyId,
+            ...(unitCost !== undefined && { unit_cost: unitCost }),
+            ...trackingDetails
+          }));
+        }
+
+        const assembly = {
+          assembly_id: assemblyId,
+          type,
+          kit_sku,
+          quantity,
+          location_id,
+          components: kit.bom.map(component => ({
+            sku: component.sku,
+            quantity_per_kit: component.quantity,
+            quantity: component.quantity * quantity
+          })),
+          reason: movementReason,
+          transaction_ids: transactions.map(tx => tx.transaction_id),
+          performed_by: performedBy,
+          created_at: transactions[0].timestamp
+        };
+
+        const txResponse = await InventoryLedger.recordTransactions(client, transactions, [
+          this.assemblyEntry(assembly)
+        ]);
+
+        return {
+          assembly,
+          transactions,
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * How many kits the available component stock could build, in total and per location
+   * (use inside withImmudb)
+   */
+  async getKitAvailability(client, kit) {
+    const reservedBySku = ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
+    const components = [];
+
+    for (const component of kit.bom) {
+      const stock = InventoryLedger.summarizeStock(await InventoryLedger.getTransactions(client, { sku: component.sku }));
+      const reservedByLocation = reservedBySku[component.sku] || {};
+
+      const availableByLocation = {};
+      for (const [locationId, availableStock] of Object.entries(stock.available_by_location)) {
+        if (PSEUDO_LOCATION_IDS.includes(locationId)) continue;
+        availableByLocation[locationId] = availableStock - (reservedByLocation[locationId] || 0);
+      }
+
+      components.push({
+        sku: component.sku,
+        quantity_per_kit: component.quantity,
+        available: Object.values(availableByLocation).reduce((sum, qty) => sum + qty, 0),
+        available_by_location: availableByLocation
+      });
+    }
+
+    // Components must be at the same location to be assembled together
+    const locations = [...new Set(components.flatMap(component => Object.keys(component.available_by_location)))];
+    const buildableByLocation = {};
+    for (const locationId of locations) {
+      buildableByLocation[locationId] = Math.max(0, Math.min(...components.map(component =>
+        Math.floor((component.available_by_location[locationId] || 0) / component.quantity_per_kit)
+      )));
+    }
+
+    return {
+      buildable: Object.values(buildableByLocation).reduce((sum, qty) => sum + qty, 0),
+      buildable_by_location: buildableByLocation,
+      components
+    };
+  }
+
+  /**
+   * Get assembly or disassembly record by ID
+   */
+  async getAssembly(assemblyId) {
+    return await withImmudb(async (client) => getObj(client, `assembly:${assemblyId}`));
+  }
+
+  /**
+   * Key/value pair storing an assembly record
+   */
+  assemblyEntry(assembly) {
+    return {
+      key: Buffer.from(`assembly:${assembly.assembly_id}`),
+      value: objToBuffer(assembly)
+    };
+  }
+}
+
+module.exports = { AssemblyManager: new AssemblyManager(), ASSEMBLY_TYPES };
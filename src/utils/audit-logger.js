@@ -28,10 +28,62 @@ const AUDIT_EVENTS = {
   
   // Inventory events
   PRODUCT_CREATED: 'PRODUCT_CREATED',
+  PRODUCT_UPDATED: 'PRODUCT_UPDATED',
+  PRODUCT_STATUS_CHANGED: 'PRODUCT_STATUS_CHANGED',
+  PRODUCT_IMPORT_STARTED: 'PRODUCT_IMPORT_STARTED',
   PRODUCT_ACCESSED: 'PRODUCT_ACCESSED',
   INVENTORY_TRANSACTION: 'INVENTORY_TRANSACTION',
   INVENTORY_QUERY: 'INVENTORY_QUERY',
+  TRANSACTION_REVERSED: 'TRANSACTION_REVERSED',
+  TRANSACTION_APPROVAL_REQUESTED: 'TRANSACTION_APPROVAL_REQUESTED',
+  TRANSACTION_APPROVED: 'TRANSACTION_APPROVED',
+  TRANSACTION_REJECTED: 'TRANSACTION_REJECTED',
+  STOCK_STATUS_CHANGED: 'STOCK_STATUS_CHANGED',
+  DATA_EXPORTED: 'DATA_EXPORTED',
   TIME_TRAVEL_QUERY: 'TIME_TRAVEL_QUERY',
+  LOCATION_CREATED: 'LOCATION_CREATED',
+  LOCATION_UPDATED: 'LOCATION_UPDATED',
+  LOCATION_DEACTIVATED: 'LOCATION_DEACTIVATED',
+  SUPPLIER_CREATED: 'SUPPLIER_CREATED',
+  SUPPLIER_UPDATED: 'SUPPLIER_UPDATED',
+  SUPPLIER_ITEM_UPDATED: 'SUPPLIER_ITEM_UPDATED',
+  SUPPLIER_ITEM_REMOVED: 'SUPPLIER_ITEM_REMOVED',
+  TRANSFER_DISPATCHED: 'TRANSFER_DISPATCHED',
+  TRANSFER_RECEIVED: 'TRANSFER_RECEIVED',
+  TRANSFER_CANCELLED: 'TRANSFER_CANCELLED',
+  RESERVATION_CREATED: 'RESERVATION_CREATED',
+  RESERVATION_RELEASED: 'RESERVATION_RELEASED',
+  RESERVATION_COMMITTED: 'RESERVATION_COMMITTED',
+  KIT_ASSEMBLED: 'KIT_ASSEMBLED',
+  KIT_DISASSEMBLED: 'KIT_DISASSEMBLED',
+
+  // Purchase order events
+  PURCHASE_ORDER_CREATED: 'PURCHASE_ORDER_CREATED',
+  PURCHASE_ORDER_APPROVED: 'PURCHASE_ORDER_APPROVED',
+  PURCHASE_ORDER_RECEIVED: 'PURCHASE_ORDER_RECEIVED',
+  PURCHASE_ORDER_CLOSED: 'PURCHASE_ORDER_CLOSED',
+  PURCHASE_ORDER_CANCELLED: 'PURCHASE_ORDER_CANCELLED',
+
+  // Sales order events
+  SALES_ORDER_CREATED: 'SALES_ORDER_CREATED',
+  SALES_ORDER_CONFIRMED: 'SALES_ORDER_CONFIRMED',
+  SALES_ORDER_PICKING: 'SALES_ORDER_PICKING',
+  SALES_ORDER_PACKED: 'SALES_ORDER_PACKED',
+  SALES_ORDER_SHIPPED: 'SALES_ORDER_SHIPPED',
+  SALES_ORDER_CANCELLED: 'SALES_ORDER_CANCELLED',
+
+  // Cycle count events
+  COUNT_SESSION_OPENED: 'COUNT_SESSION_OPENED',
+  COUNT_RECORDED: 'COUNT_RECORDED',
+  COUNT_SESSION_APPROVED: 'COUNT_SESSION_APPROVED',
+  COUNT_SESSION_CANCELLED: 'COUNT_SESSION_CANCELLED',
+
+  // Customer return events
+  RMA_CREATED: 'RMA_CREATED',
+  RMA_RECEIVED: 'RMA_RECEIVED',
+  RMA_INSPECTED: 'RMA_INSPECTED',
+  RMA_DISPOSITIONED: 'RMA_DISPOSITIONED',
+  RMA_CANCELLED: 'RMA_CANCELLED',
   
   // Administrative events
   ADMIN_ACCESS: 'ADMIN_ACCESS',
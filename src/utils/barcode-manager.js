@@ -0,0 +1,384 @@
+const { PNG } = require('pngjs');
+const { withImmudb, objToBuffer, getObj } = require('../immudb-client');
+const { ProductManager } = require('./product-manager');
+const { withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const BARCODE_TYPES = {
+  EAN13: 'EAN13',
+  UPCA: 'UPCA',
+  GTIN14: 'GTIN14',
+  CODE128: 'CODE128'
+};
+
+// Digits (including the check digit) of each GS1 symbology
+const GS1_LENGTHS = {
+  [BARCODE_TYPES.EAN13]: 13,
+  [BARCODE_TYPES.UPCA]: 12,
+  [BARCODE_TYPES.GTIN14]: 14
+};
+
+const LABEL_FORMATS = ['svg', 'png', 'zpl'];
+
+// EAN-13 digit patterns: L (odd parity), G (even parity) and R (right half) sets
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+
+// Left-half parity sets selected by the first EAN-13 digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Interleaved 2 of 5 (ITF-14) narrow/wide patterns per digit
+const ITF_PATTERNS = ['NNWWN', 'WNNNW', 'NWNNW', 'WWNNN', 'NNWNW', 'WNWNN', 'NWWNN', 'NNNWW', 'WNNWN', 'NWNWN'];
+
+// Code 128 bar/space widths per symbol value; 104 is Start B and 106 is Stop
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+// Modules of blank space either side of the bars
+const QUIET_ZONE = 10;
+
+/**
+ * Product barcodes. Each product lists its `barcodes`, and a `barcode:<code>` index key
+ * resolves a scanned code to its SKU. GS1 codes (EAN-13, UPC-A, GTIN-14) are check-digit
+ * validated and indexed in their zero-padded GTIN-14 form, so one item number cannot be
+ * registered twice under different lengths; Code 128 carries internal codes and is indexed
+ * as given. Labels render as SVG, PNG or ZPL.
+ */
+class BarcodeManager {
+  /**
+   * Validate a barcode of a given type, returning it normalized
+   */
+  validateBarcode(type, code) {
+    if (!Object.values(BARCODE_TYPES).includes(type)) {
+      throw new RequestError(`Invalid barcode type: ${type}. Valid types: ${Object.values(BARCODE_TYPES).join(', ')}`);
+    }
+
+    if (typeof code !== 'string' || !code) {
+      throw new RequestError('Missing required field (code)');
+    }
+
+    if (type === BARCODE_TYPES.CODE128) {
+      if (code.length > 48 || !/^[\x20-\x7E]+$/.test(code)) {
+        throw new RequestError('Invalid CODE128 barcode. Use up to 48 printable ASCII characters.');
+      }
+      return { type, code };
+    }
+
+    const length = GS1_LENGTHS[type];
+    if (!new RegExp(`^\\d{${length}}$`).test(code)) {
+      throw new RequestError(`Invalid ${type} barcode. Must be exactly ${length} digits.`);
+    }
+
+    const expected = this.checkDigit(code.slice(0, -1));
+    if (Number(code[code.length - 1]) !== expected) {
+      throw new RequestError(`Invalid ${type} check digit for '${code}'. Expected ${expected}.`);
+    }
+
+    return { type, code };
+  }
+
+  /**
+   * GS1 mod-10 check digit for the digits before it
+   */
+  checkDigit(digits) {
+    const sum = digits.split('').reverse()
+      .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Register a barcode on a product, writing the product version and the lookup key together
+   */
+  async addBarcode(sku, barcodeData, performedBy) {
+    const { type, code } = this.validateBarcode(barcodeData.type, barcodeData.code);
+    const indexCode = this.indexCode({ type, code });
+
+    // Product writes share the product lock; the barcode lock keeps two SKUs from both finding
+    // the same code free
+    return await withLock(`product:${sku}`, async () => {
+      return await withLock(`barcode:${indexCode}`, async () => {
+        return await withImmudb(async (client) => {
+          const existing = await getObj(client, `product:${sku}`);
+          if (!existing) {
+            throw new RequestError(`Product with SKU '${sku}' not found`);
+          }
+
+          const indexed = await getObj(client, `barcode:${indexCode}`);
+          if (indexed && indexed.sku) {
+            throw new RequestError(`Barcode '${code}' is already registered to SKU '${indexed.sku}'`);
+          }
+
+          const now = new Date().toISOString();
+          const barcode = { type, code, added_at: now, added_by: performedBy };
+          const product = {
+            ...existing,
+            barcodes: [...(existing.barcodes || []), barcode],
+            version: (existing.version || 1) + 1,
+            updated_at: now,
+            updated_by: performedBy
+          };
+
+          const setResponse = await client.setAll({
+            kvsList: [
+              ProductManager.productEntry(product),
+              this.indexEntry(indexCode, { sku, type, code, registered_at: now })
+            ]
+          });
+
+          return {
+            product,
+            barcode,
+            immudb_tx_hash: setResponse.id.toString()
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * Remove a barcode from a product; the lookup key is overwritten so the code can be reused
+   */
+  async removeBarcode(sku, code, performedBy) {
+    return await withLock(`product:${sku}`, async () => {
+      return await withImmudb(async (client) => {
+        const existing = await getObj(client, `product:${sku}`);
+        if (!existing) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+
+        const barcode = (existing.barcodes || []).find(item => item.code === code);
+        if (!barcode) {
+          throw new RequestError(`Barcode '${code}' not found on SKU '${sku}'`);
+        }
+
+        const now = new Date().toISOString();
+        const product = {
+          ...existing,
+          barcodes: existing.barcodes.filter(item => item.code !== code),
+          version: (existing.version || 1) + 1,
+          updated_at: now,
+          updated_by: performedBy
+        };
+
+        const setResponse = await client.setAll({
+          kvsList: [
+            ProductManager.productEntry(product),
+            this.indexEntry(this.indexCode(barcode), { sku: null, type: barcode.type, removed_from: sku, removed_at: now })
+          ]
+        });
+
+        return {
+          product,
+          barcode,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Resolve a scanned code to its product (null when unregistered). A GS1 code resolves in any
+   * of its lengths, e.g. a UPC-A that an EAN-13 reader returns with a leading zero.
+   */
+  async findByBarcode(code) {
+    return await withImmudb(async (client) => {
+      const candidates = /^\d{12,14}$/.test(code) ? [this.toGtin14(code), code] : [code];
+
+      for (const candidate of candidates) {
+        const indexed = await getObj(client, `barcode:${candidate}`);
+        if (!indexed || !indexed.sku) continue;
+
+        const product = await getObj(client, `product:${indexed.sku}`);
+        if (!product) continue;
+
+        return {
+          sku: indexed.sku,
+          barcode: { type: indexed.type, code: indexed.code || candidate },
+          product
+        };
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Code a barcode is indexed under: the GTIN-14 form for GS1 types, the code itself otherwise
+   */
+  indexCode({ type, code }) {
+    return GS1_LENGTHS[type] ? this.toGtin14(code) : code;
+  }
+
+  /**
+   * A GS1 code left-padded with zeros to 14 digits
+   */
+  toGtin14(code) {
+    return code.padStart(GS1_LENGTHS[BARCODE_TYPES.GTIN14], '0');
+  }
+
+  /**
+   * Bar pattern of a barcode as a string of modules ('1' bar, '0' space), without quiet zones
+   */
+  encodeModules({ type, code }) {
+    switch (type) {
+      case BARCODE_TYPES.EAN13:
+        return this.encodeEan13(code);
+      case BARCODE_TYPES.UPCA:
+        return this.encodeEan13(`0${code}`);
+      case BARCODE_TYPES.GTIN14:
+        return this.encodeItf(code);
+      default:
+        return this.encodeCode128(code);
+    }
+  }
+
+  /**
+   * EAN-13 (UPC-A is EAN-13 with a leading zero)
+   */
+  encodeEan13(code) {
+    const digits = code.split('').map(Number);
+    const parity = EAN_PARITY[digits[0]];
+
+    const left = digits.slice(1, 7).map((digit, index) => (parity[index] === 'L' ? EAN_L : EAN_G)[digit]).join('');
+    const right = digits.slice(7).map(digit => EAN_R[digit]).join('');
+
+    return `101${left}01010${right}101`;
+  }
+
+  /**
+   * Interleaved 2 of 5, as printed on ITF-14 carton labels (wide elements are three modules)
+   */
+  encodeItf(code) {
+    const width = (element) => (element === 'W' ? 3 : 1);
+    let modules = '1010';
+
+    for (let i = 0; i < code.length; i += 2) {
+      const bars = ITF_PATTERNS[Number(code[i])];
+      const spaces = ITF_PATTERNS[Number(code[i + 1])];
+      for (let j = 0; j < 5; j++) {
+        modules += '1'.repeat(width(bars[j])) + '0'.repeat(width(spaces[j]));
+      }
+    }
+
+    return `${modules}11101`;
+  }
+
+  /**
+   * Code 128 using code set B, with its mod-103 check symbol
+   */
+  encodeCode128(code) {
+    const values = code.split('').map(char => char.charCodeAt(0) - 32);
+    const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), 104) % 103;
+
+    return [104, ...values, checksum, 106]
+      .map(value => CODE128_WIDTHS[value].split('')
+        .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+        .join(''))
+      .join('');
+  }
+
+  /**
+   * Printable SVG label: product name, SKU, bars and the human-readable code
+   */
+  renderSvg(product, barcode, { moduleWidth = 2, barHeight = 80 } = {}) {
+    const modules = this.encodeModules(barcode);
+    const width = (modules.length + QUIET_ZONE * 2) * moduleWidth;
+    const height = barHeight + 90;
+    const escape = (text) => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+    const bars = [];
+    for (let i = 0; i < modules.length; i++) {
+      if (modules[i] !== '1') continue;
+      let run = 1;
+      while (modules[i + run] === '1') run++;
+      bars.push(`<rect x="${(QUIET_ZONE + i) * moduleWidth}" y="45" width="${run * moduleWidth}" height="${barHeight}"/>`);
+      i += run - 1;
+    }
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`,
+      `<text x="${width / 2}" y="18" font-family="monospace" font-size="14" text-anchor="middle">${escape(product.name)}</text>`,
+      `<text x="${width / 2}" y="36" font-family="monospace" font-size="12" text-anchor="middle">SKU: ${escape(product.sku)}</text>`,
+      `<g fill="#000000">${bars.join('')}</g>`,
+      `<text x="${width / 2}" y="${barHeight + 65}" font-family="monospace" font-size="14" text-anchor="middle">${escape(barcode.code)}</text>`,
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * PNG of the bars alone (text needs a font renderer; use SVG or ZPL for full labels)
+   */
+  renderPng(barcode, { moduleWidth = 2, barHeight = 80 } = {}) {
+    const modules = this.encodeModules(barcode);
+    const margin = 10;
+    const png = new PNG({
+      width: (modules.length + QUIET_ZONE * 2) * moduleWidth,
+      height: barHeight + margin * 2
+    });
+
+    for (let y = 0; y < png.height; y++) {
+      for (let x = 0; x < png.width; x++) {
+        const module = Math.floor(x / moduleWidth) - QUIET_ZONE;
+        const isBar = y >= margin && y < margin + barHeight && modules[module] === '1';
+        const offset = (png.width * y + x) * 4;
+        const shade = isBar ? 0 : 255;
+        png.data[offset] = shade;
+        png.data[offset + 1] = shade;
+        png.data[offset + 2] = shade;
+        png.data[offset + 3] = 255;
+      }
+    }
+
+    return PNG.sync.write(png);
+  }
+
+  /**
+   * ZPL II label for thermal printers; the printer draws the symbology itself
+   */
+  renderZpl(product, barcode) {
+    // Field data is hex-escaped so ^ and ~ in names cannot end a field early
+    const field = (text) => String(text).replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    const symbology = {
+      [BARCODE_TYPES.EAN13]: `^BEN,100,Y,N^FD${barcode.code.slice(0, 12)}^FS`,
+      [BARCODE_TYPES.UPCA]: `^BUN,100,Y,N,Y^FD${barcode.code.slice(0, 11)}^FS`,
+      [BARCODE_TYPES.GTIN14]: `^B2N,100,Y,N,N^FD${barcode.code}^FS`,
+      [BARCODE_TYPES.CODE128]: `^BCN,100,Y,N,N^FH_^FD${field(barcode.code)}^FS`
+    }[barcode.type];
+
+    return [
+      '^XA',
+      '^CI28',
+      `^FO30,20^A0N,30,30^FH_^FD${field(product.name)}^FS`,
+      `^FO30,60^A0N,24,24^FH_^FDSKU: ${field(product.sku)}^FS`,
+      `^FO30,100^BY2${symbology}`,
+      '^XZ'
+    ].join('\n');
+  }
+
+  /**
+   * Key/value pair resolving a barcode to its SKU
+   */
+  indexEntry(code, entry) {
+    return {
+      key: Buffer.from(`barcode:${code}`),
+      value: objToBuffer(entry)
+    };
+  }
+}
+
+module.exports = { BarcodeManager: new BarcodeManager(), BARCODE_TYPES, LABEL_FORMATS };
@@ -0,0 +1,374 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, PSEUDO_LOCATION_IDS } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+// Approval posts every variance of a session in one immudb transaction, so a session is kept
+// well inside MAX_TX_ENTRIES; larger stock-takes are split into several sessions
+const MAX_SESSION_LINES = 500;
+
+const COUNT_STATUSES = {
+  OPEN: 'OPEN',
+  APPROVED: 'APPROVED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Cycle counts and stock-takes. Opening a session freezes the expected quantity of each
+ * SKU/location from the ledger; approval posts the variances as ADJUSTMENT transactions,
+ * so stock that moved while counting is left untouched.
+ */
+class CycleCountManager {
+  /**
+   * Open a count session for a set of SKUs and/or locations
+   */
+  async openSession(sessionData, performedBy) {
+    const { skus = [], location_ids = [], notes = null } = sessionData;
+
+    if (!Array.isArray(skus) || !Array.isArray(location_ids) || (skus.length === 0 && location_ids.length === 0)) {
+      throw new RequestError('A count session needs skus and/or location_ids');
+    }
+
+    for (const locationId of location_ids) {
+      await LocationManager.getActiveLocation(locationId);
+    }
+
+    return await withImmudb(async (client) => {
+      for (const sku of skus) {
+        const product = await getObj(client, `product:${sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+      }
+
+      const frozenAt = new Date().toISOString();
+      const transactions = (await InventoryLedger.getTransactions(client))
+        .filter(tx => skus.length === 0 || skus.includes(tx.sku))
+        .filter(tx => location_ids.length === 0 || location_ids.includes(tx.location_id))
+        .filter(tx => !PSEUDO_LOCATION_IDS.includes(tx.location_id));
+
+      // Every requested SKU/location pair is counted, plus any pair the ledger knows about
+      const pairs = new Map();
+      for (const sku of skus) {
+        for (const locationId of location_ids) {
+          pairs.set(`${sku}|${locationId}`, { sku, location_id: locationId });
+        }
+      }
+      for (const tx of transactions) {
+        pairs.set(`${tx.sku}|${tx.location_id}`, { sku: tx.sku, location_id: tx.location_id });
+      }
+
+      if (pairs.size === 0) {
+        throw new RequestError('No stock found to count for the given skus and locations');
+      }
+
+      if (pairs.size > MAX_SESSION_LINES) {
+        throw new RequestError(`A count session is limited to ${MAX_SESSION_LINES} SKU/location lines; this one would have ${pairs.size}. Count fewer skus or locations per session.`);
+      }
+
+      const products = {};
+      const lines = [];
+      for (const { sku, location_id } of pairs.values()) {
+        products[sku] = products[sku] || await getObj(client, `product:${sku}`);
+        const pairTransactions = transactions.filter(tx => tx.sku === sku && tx.location_id === location_id);
+
+        const line = {
+          sku,
+          location_id,
+          expected_quantity: InventoryLedger.summarizeStock(pairTransactions).current_stock,
+          counted_quantity: null,
+          counted_by: null,
+          counted_at: null
+        };
+
+        if (products[sku] && products[sku].serialized) {
+          line.expected_serials = Object.values(InventoryLedger.summarizeSerials(pairTransactions))
+            .filter(serial => serial.in_stock)
+            .map(serial => serial.serial_number);
+          line.counted_serials = null;
+        }
+
+        lines.push(line);
+      }
+
+      const session = {
+        session_id: generateUuid(),
+        status: COUNT_STATUSES.OPEN,
+        skus,
+        location_ids,
+        notes,
+        frozen_at: frozenAt,
+        lines: lines.sort((a, b) => a.sku.localeCompare(b.sku) || a.location_id.localeCompare(b.location_id)),
+        opened_by: performedBy,
+        opened_at: frozenAt
+      };
+
+      const setResponse = await client.set(this.sessionEntry(session));
+
+      return {
+        session: this.withVariances(session),
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Record counted quantities (the latest count of a line wins). Serialized lines are
+   * counted by listing the serial numbers found.
+   */
+  async recordCounts(sessionId, counts, counter) {
+    // Counts, approval and cancellation of a session each check it is open and then write;
+    // running them one at a time per session keeps two of them from acting on the same state
+    return await withLock(`count_session:${sessionId}`, async () => {
+      const existing = await this.requireOpenSession(sessionId);
+
+      if (!Array.isArray(counts) || counts.length === 0) {
+        throw new RequestError('Missing required field (counts)');
+      }
+
+      const countedAt = new Date().toISOString();
+      const lines = existing.lines.map(line => ({ ...line }));
+
+      for (const count of counts) {
+        const line = lines.find(l => l.sku === count.sku && l.location_id === count.location_id);
+        if (!line) {
+          throw new RequestError(`Count session '${sessionId}' has no line for SKU '${count.sku}' at location '${count.location_id}'`);
+        }
+
+        if (line.expected_serials) {
+          if (!Array.isArray(count.serial_numbers) || new Set(count.serial_numbers).size !== count.serial_numbers.length) {
+            throw new RequestError(`SKU '${count.sku}' is serialized; list each counted unit once in serial_numbers`);
+          }
+          line.counted_serials = count.serial_numbers;
+          line.counted_quantity = count.serial_numbers.length;
+        } else {
+          if (!Number.isInteger(count.counted_quantity) || count.counted_quantity < 0) {
+            throw new RequestError(`Invalid counted_quantity for SKU '${count.sku}'. Must be a non-negative integer.`);
+          }
+          line.counted_quantity = count.counted_quantity;
+        }
+
+        line.counted_by = counter;
+        line.counted_at = countedAt;
+      }
+
+      const session = { ...existing, lines };
+      return await this.saveSession(session);
+    });
+  }
+
+  /**
+   * Approve a fully counted session and post every variance as an ADJUSTMENT transaction
+   * carrying the session id. The approver must not have counted any line.
+   */
+  async approveSession(sessionId, approver) {
+    return await withLock(`count_session:${sessionId}`, async () => {
+      const existing = await this.requireOpenSession(sessionId);
+
+      const uncounted = existing.lines.filter(line => line.counted_quantity === null);
+      if (uncounted.length > 0) {
+        throw new RequestError(`Count session '${sessionId}' has ${uncounted.length} uncounted line(s)`);
+      }
+
+      if (existing.lines.some(line => line.counted_by.user_id === approver.user_id)) {
+        throw new RequestError(`User '${approver.username}' counted this session and cannot approve it`);
+      }
+
+      return await withImmudb(async (client) => {
+        const transactions = [];
+
+        for (const line of existing.lines) {
+          const product = await getObj(client, `product:${line.sku}`);
+          if (this.buildAdjustments(line).length > 0) {
+            InventoryLedger.checkMovementAllowed(product, 'ADJUSTMENT');
+          }
+
+          const skuTransactions = [
+            ...await InventoryLedger.getTransactions(client, { sku: line.sku }),
+            ...transactions.filter(tx => tx.sku === line.sku)
+          ];
+
+          for (const movement of this.buildAdjustments(line)) {
+            const trackingDetails = movement.quantity_change < 0
+              ? InventoryLedger.prepareOutbound(product, skuTransactions, {
+                quantity: -movement.quantity_change,
+                location_id: line.location_id,
+                serial_numbers: movement.serial_numbers
+              })
+              : InventoryLedger.prepareInbound(product, skuTransactions, {
+                quantity: movement.quantity_change,
+                location_id: line.location_id,
+                serial_numbers: movement.serial_numbers
+              });
+
+            const transaction = InventoryLedger.buildTransaction({
+              sku: line.sku,
+              type: 'ADJUSTMENT',
+              quantity_change: movement.quantity_change,
+              location_id: line.location_id,
+              reason: `Cycle count ${sessionId}`,
+              performed_by: approver.username,
+              count_session_id: sessionId,
+              ...trackingDetails
+            });
+            transactions.push(transaction);
+            skuTransactions.push(transaction);
+          }
+        }
+
+        const now = new Date().toISOString();
+        const session = {
+          ...existing,
+          status: COUNT_STATUSES.APPROVED,
+          approved_by: { user_id: approver.user_id, username: approver.username },
+          approved_at: now,
+          adjustment_transaction_ids: transactions.map(tx => tx.transaction_id)
+        };
+
+        const txResponse = await InventoryLedger.recordTransactions(client, transactions, [
+          this.sessionEntry(session)
+        ]);
+
+        return {
+          session: this.withVariances(session),
+          transactions,
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Cancel an open session without adjusting stock
+   */
+  async cancelSession(sessionId, performedBy, reason = null) {
+    return await withLock(`count_session:${sessionId}`, async () => {
+      const existing = await this.requireOpenSession(sessionId);
+
+      return await this.saveSession({
+        ...existing,
+        status: COUNT_STATUSES.CANCELLED,
+        cancelled_by: performedBy,
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason
+      });
+    });
+  }
+
+  /**
+   * Get count session by ID, with variances
+   */
+  async getSession(sessionId) {
+    const session = await withImmudb(async (client) => getObj(client, `count_session:${sessionId}`));
+    return session && this.withVariances(session);
+  }
+
+  /**
+   * List count sessions with filtering
+   */
+  async listSessions(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'count_session:');
+      const sessions = [];
+
+      for (const item of entries) {
+        try {
+          const session = JSON.parse(item.value);
+
+          if (filters.status && session.status !== filters.status) continue;
+          if (filters.sku && !session.lines.some(line => line.sku === filters.sku)) continue;
+          if (filters.location_id && !session.lines.some(line => line.location_id === filters.location_id)) continue;
+
+          sessions.push(this.withVariances(session));
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return sessions.sort((a, b) => new Date(b.opened_at) - new Date(a.opened_at));
+    });
+  }
+
+  /**
+   * Ledger movements that bring a counted line in line with its count. Serialized lines
+   * remove the missing serials and add back the ones found that were not expected.
+   */
+  buildAdjustments(line) {
+    if (line.expected_serials) {
+      const missing = line.expected_serials.filter(serial => !line.counted_serials.includes(serial));
+      const found = line.counted_serials.filter(serial => !line.expected_serials.includes(serial));
+      return [
+        ...(missing.length > 0 ? [{ quantity_change: -missing.length, serial_numbers: missing }] : []),
+        ...(found.length > 0 ? [{ quantity_change: found.length, serial_numbers: found }] : [])
+      ];
+    }
+
+    const variance = line.counted_quantity - line.expected_quantity;
+    return variance === 0 ? [] : [{ quantity_change: variance }];
+  }
+
+  /**
+   * Session with per-line variance and a summary of counted lines
+   */
+  withVariances(session) {
+    const lines = session.lines.map(line => ({
+      ...line,
+      variance: line.counted_quantity === null ? null : line.counted_quantity - line.expected_quantity
+    }));
+
+    return {
+      ...session,
+      lines,
+      summary: {
+        total_lines: lines.length,
+        counted_lines: lines.filter(line => line.counted_quantity !== null).length,
+        lines_with_variance: lines.filter(line => line.variance).length,
+        net_variance: lines.reduce((sum, line) => sum + (line.variance || 0), 0)
+      }
+    };
+  }
+
+  /**
+   * Load a session that can still be counted, approved or cancelled
+   */
+  async requireOpenSession(sessionId) {
+    const existing = await withImmudb(async (client) => getObj(client, `count_session:${sessionId}`));
+    if (!existing) {
+      throw new RequestError(`Count session '${sessionId}' not found`);
+    }
+
+    if (existing.status !== COUNT_STATUSES.OPEN) {
+      throw new RequestError(`Count session '${sessionId}' is already ${existing.status}`);
+    }
+
+    return existing;
+  }
+
+  /**
+   * Store a new version of a session
+   */
+  async saveSession(session) {
+    return await withImmudb(async (client) => {
+      const setResponse = await client.set(this.sessionEntry(session));
+
+      return {
+        session: this.withVariances(session),
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Key/value pair storing the latest version of a count session
+   */
+  sessionEntry(session) {
+    return {
+      key: Buffer.from(`count_session:${session.session_id}`),
+      value: objToBuffer(session)
+    };
+  }
+}
+
+module.exports = { CycleCountManager: new CycleCountManager(), COUNT_STATUSES };
@@ -0,0 +1,262 @@
+const ExcelJS = require('exceljs');
+const { withImmudb, scanPage } = require('../immudb-client');
+const { InventoryLedger, TRANSACTION_PREFIX, DEFAULT_LOCATION_ID, PRODUCT_STATUSES } = require('./inventory-ledger');
+const { ReservationManager } = require('./reservation-manager');
+const { RequestError } = require('./request-error');
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Columns of each dataset, in file order
+const EXPORT_COLUMNS = {
+  products: [
+    'sku', 'name', 'description', 'price', 'category', 'supplier', 'status', 'parent_sku',
+    'serialized', 'base_unit', 'reorder_point', 'reorder_quantity', 'safety_stock', 'barcodes',
+    'version', 'created_at', 'created_by', 'updated_at', 'updated_by'
+  ],
+  snapshot: [
+    'sku', 'name', 'status', 'parent_sku', 'location_id', 'on_hand', 'held', 'reserved', 'available',
+    'last_transaction_timestamp'
+  ],
+  transactions: [
+    'transaction_id', 'timestamp', 'sku', 'type', 'quantity_change', 'location_id', 'unit_cost',
+    'entered_quantity', 'entered_unit', 'lot_number', 'serial_numbers', 'reason', 'performed_by',
+    'transfer_id', 'reservation_id', 'purchase_order_id', 'sales_order_id', 'count_session_id',
+    'assembly_id', 'rma_id', 'rma_disposition', 'reverses_transaction_id', 'approval_id', 'stock_status',
+    'status_change_id', 'immudb_tx_id'
+  ]
+};
+
+// Keys read per immudb scan while streaming
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Streaming exports of the catalogue, the stock snapshot and the ledger. Keys are read a
+ * page at a time and each row is written as soon as it is built, so an export never holds
+ * the full dataset in memory.
+ */
+class ExportManager {
+  /**
+   * Validated ledger filters from a query string
+   */
+  parseLedgerFilters({ start_date, end_date, sku, location_id, type }) {
+    const filters = {};
+
+    for (const [field, value] of Object.entries({ start_date, end_date })) {
+      if (!value) continue;
+      // A bare date as the end of the range covers that whole day
+      const date = field === 'end_date' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(`${value}T23:59:59.999Z`)
+        : new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new RequestError(`Invalid ${field} format. Use ISO 8601 format: YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss.sssZ`);
+      }
+      filters[field] = date;
+    }
+
+    if (sku) filters.sku = sku;
+    if (location_id) filters.location_id = location_id;
+    if (type) filters.type = type;
+
+    return filters;
+  }
+
+  /**
+   * A row writer for the format; rows are objects keyed by column
+   */
+  createWriter(format, stream, sheetName, columns) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new RequestError(`Invalid export format: ${format}. Valid formats: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(sheetName);
+      worksheet.addRow(columns).commit();
+
+      return {
+        writeRow: async (row) => worksheet.addRow(columns.map(column => this.cellValue(row[column]))).commit(),
+        end: async () => {
+          worksheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+
+    // Waits for the client to drain before writing more
+    const write = async (text) => {
+      if (!stream.write(text)) {
+        await new Promise(resolve => stream.once('drain', resolve));
+      }
+    };
+
+    if (format === 'ndjson') {
+      return {
+        writeRow: async (row) => write(`${JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])))}\n`),
+        end: async () => stream.end()
+      };
+    }
+
+    const quote = (value) => {
+      const text = String(this.cellValue(value) ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    let headerWritten = false;
+    return {
+      writeRow: async (row) => {
+        if (!headerWritten) {
+          headerWritten = true;
+          await write(`${columns.join(',')}\r\n`);
+        }
+        await write(`${columns.map(column => quote(row[column])).join(',')}\r\n`);
+      },
+      end: async () => {
+        if (!headerWritten) stream.write(`${columns.join(',')}\r\n`);
+        stream.end();
+      }
+    };
+  }
+
+  /**
+   * Lists become pipe-separated cells in CSV and XLSX
+   */
+  cellValue(value) {
+    if (Array.isArray(value)) return value.join('|');
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Call onEntry for every key under a prefix, one scan page at a time (use inside withImmudb)
+   */
+  async forEachEntry(client, prefix, onEntry) {
+    let seekkey;
+
+    for (;;) {
+      const { entries, exhausted } = await scanPage(client, prefix, { seekkey, limit: EXPORT_PAGE_SIZE });
+
+      for (const item of entries) {
+        let value;
+        try {
+          value = JSON.parse(item.value);
+        } catch (parseError) {
+          continue;
+        }
+        await onEntry(value, item);
+      }
+
+      if (exhausted || entries.length === 0) break;
+      seekkey = entries[entries.length - 1].key;
+    }
+  }
+
+  /**
+   * Stream every product's current version
+   */
+  async exportProducts(writer) {
+    await withImmudb(async (client) => {
+      await this.forEachEntry(client, 'product:', async (product) => {
+        await writer.writeRow({
+          ...product,
+          status: product.status || PRODUCT_STATUSES.ACTIVE,
+          barcodes: (product.barcodes || []).map(barcode => barcode.code)
+        });
+      });
+    });
+
+    await writer.end();
+  }
+
+  /**
+   * Stream current stock, one row per SKU and location. The ledger is read once to total each
+   * SKU/location pair; only those totals are kept while the products are streamed.
+   */
+  async exportSnapshot(writer, { include_archived = false } = {}) {
+    await withImmudb(async (client) => {
+      const balances = {};
+      await this.forEachEntry(client, TRANSACTION_PREFIX, async (tx) => {
+        const locationId = tx.location_id || DEFAULT_LOCATION_ID;
+        const skuBalances = balances[tx.sku] = balances[tx.sku] || {};
+        const balance = skuBalances[locationId] = skuBalances[locationId] || { on_hand: 0, available: 0, last_transaction_timestamp: null };
+
+        balance.on_hand += tx.quantity_change;
+        if (InventoryLedger.isAvailable(tx)) balance.available += tx.quantity_change;
+        if (!balance.last_transaction_timestamp || tx.timestamp > balance.last_transaction_timestamp) {
+          balance.last_transaction_timestamp = tx.timestamp;
+        }
+      });
+
+      const reservedBySku = ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
+
+      await this.forEachEntry(client, 'product:', async (product) => {
+        if (product.status === PRODUCT_STATUSES.ARCHIVED && !include_archived) return;
+
+        // Variant parents hold no stock of their own
+        if (product.variants) return;
+
+        const skuBalances = balances[product.sku] || {};
+        const reservedByLocation = reservedBySku[product.sku] || {};
+        const locationIds = [...new Set([...Object.keys(skuBalances), ...Object.keys(reservedByLocation)])].sort();
+
+        for (const locationId of locationIds) {
+          const onHand = skuBalances[locationId] ? skuBalances[locationId].on_hand : 0;
+          const availableStock = skuBalances[locationId] ? skuBalances[locationId].available : 0;
+          const reserved = reservedByLocation[locationId] || 0;
+
+          await writer.writeRow({
+            sku: product.sku,
+            name: product.name,
+            status: product.status || PRODUCT_STATUSES.ACTIVE,
+            parent_sku: product.parent_sku || null,
+            location_id: locationId,
+            on_hand: onHand,
+            held: onHand - availableStock,
+            reserved,
+            available: availableStock - reserved,
+            last_transaction_timestamp: skuBalances[locationId] ? skuBalances[locationId].last_transaction_timestamp : null
+          });
+        }
+      });
+    });
+
+    await writer.end();
+  }
+
+  /**
+   * Stream ledger entries matching the filters, in key order rather than by time
+   */
+  async exportTransactions(writer, filters = {}) {
+    await withImmudb(async (client) => {
+      await this.forEachEntry(client, TRANSACTION_PREFIX, async (tx, item) => {
+        const locationId = tx.location_id || DEFAULT_LOCATION_ID;
+        const timestamp = new Date(tx.timestamp);
+
+        if (filters.sku && tx.sku !== filters.sku) return;
+        if (filters.location_id && locationId !== filters.location_id) return;
+        if (filters.type && tx.type !== filters.type) return;
+        if (filters.start_date && timestamp < filters.start_date) return;
+        if (filters.end_date && timestamp > filters.end_date) return;
+
+        await writer.writeRow({
+          ...tx,
+          location_id: locationId,
+          immudb_tx_id: item.tx
+        });
+      });
+    });
+
+    await writer.end();
+  }
+}
+
+module.exports = {
+  ExportManager: new ExportManager(),
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  CONTENT_TYPES
+};
@@ -5,6 +5,30 @@ const {
 
 const generateUuid = () => uuidv4();
 
+// Tail of the queue of callers waiting on each key
+const lockQueues = new Map();
+
+/**
+ * Run a callback once every earlier call holding the same key has finished, so a status
+ * check and the write that depends on it cannot interleave with another request in this process
+ */
+const withLock = async (key, callback) => {
+  const previous = lockQueues.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  lockQueues.set(key, tail);
+
+  try {
+    await previous;
+    return await callback();
+  } finally {
+    release();
+    if (lockQueues.get(key) === tail) lockQueues.delete(key);
+  }
+};
+
 module.exports = {
-  generateUuid
-};
\ No newline at end of file
+  generateUuid,
+  withLock
+};
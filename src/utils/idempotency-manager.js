@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { withImmudb, objToBuffer, getHistory } = require('../immudb-client');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// A key can be replayed for this long; after that the same key runs the request again
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+
+const MAX_KEY_LENGTH = 255;
+
+const IDEMPOTENCY_STATUSES = {
+  PENDING: 'PENDING', // Claimed by a request that has not answered yet
+  COMPLETED: 'COMPLETED', // Holds the successful response to replay
+  RELEASED: 'RELEASED' // The request failed; the key may be used again
+};
+
+/**
+ * Write requests sent with an Idempotency-Key header, recorded per caller as
+ * `idempotency:<user_id>:<key>`. A request claims its key with a PENDING record before it runs
+ * and settles it once it answers, so a retry gets the original response, or a 409 while the
+ * original is still running, instead of writing again. The key's state is replayed from its
+ * immudb history, so of two processes claiming one key the claim stored first wins.
+ */
+class IdempotencyManager {
+  /**
+   * Throw unless the key is 1-255 printable ASCII characters
+   */
+  validateKey(key) {
+    if (key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+      throw new RequestError(`Invalid ${IDEMPOTENCY_HEADER}. Use 1-${MAX_KEY_LENGTH} printable ASCII characters, e.g. a UUID.`);
+    }
+  }
+
+  /**
+   * Fingerprint of a request (method, path and the raw bytes of its body), so a key reused for a
+   * different request can be refused
+   */
+  requestHash(method, path, rawBody) {
+    return crypto.createHash('sha256')
+      .update(`${method} ${path}\n`)
+      .update(rawBody || Buffer.alloc(0))
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request. Returns the caller's PENDING record with claimed: true, or the
+   * record already holding the key (PENDING or COMPLETED) with claimed: false.
+   */
+  async claim(userId, key, { method, path, requestHash }) {
+    const entryKey = this.entryKey(userId, key);
+
+    return await withLock(entryKey, () => withImmudb(async (client) => {
+      const existing = await this.getRecord(client, userId, key);
+      if (existing) {
+        return { claimed: false, record: existing };
+      }
+
+      const pending = {
+        idempotency_key: key,
+        claim_id: generateUuid(),
+        status: IDEMPOTENCY_STATUSES.PENDING,
+        method,
+        path,
+        request_hash: requestHash,
+        user_id: userId,
+        created_at: new Date().toISOString()
+      };
+      await client.set(this.recordEntry(userId, key, pending));
+
+      // Another process may have claimed the key between the read and the write
+      const record = await this.getRecord(client, userId, key);
+      return { claimed: record.claim_id === pending.claim_id, record };
+    }));
+  }
+
+  /**
+   * Store the successful response of the request holding a claim
+   */
+  async complete(userId, key, claim, { statusCode, body }) {
+    return await this.settle(userId, key, {
+      ...claim,
+      status: IDEMPOTENCY_STATUSES.COMPLETED,
+      status_code: statusCode,
+      response_body: body,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Free a claimed key after its request failed, so it may be retried with the same key
+   */
+  async release(userId, key, claim) {
+    return await this.settle(userId, key, {
+      ...claim,
+      status: IDEMPOTENCY_STATUSES.RELEASED,
+      released_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Store the record settling a claim
+   */
+  async settle(userId, key, record) {
+    return await withImmudb(async (client) => {
+      await client.set(this.recordEntry(userId, key, record));
+      return record;
+    });
+  }
+
+  /**
+   * Current record of a key (use inside withImmudb), or null when the key is free: never used,
+   * released or expired. The first PENDING claim after the key was last free holds it, and only
+   * that claim's own COMPLETED or RELEASED record settles it.
+   */
+  async getRecord(client, userId, key) {
+    let current = null;
+
+    for (const entry of await getHistory(client, this.entryKey(userId, key))) {
+      const record = JSON.parse(entry.value);
+      if (current && this.isExpired(current)) current = null;
+
+      if (!current) {
+        if (record.status === IDEMPOTENCY_STATUSES.PENDING) current = record;
+      } else if (current.status === IDEMPOTENCY_STATUSES.PENDING && record.claim_id === current.claim_id) {
+        current = record.status === IDEMPOTENCY_STATUSES.RELEASED ? null : record;
+      }
+    }
+
+    return current && !this.isExpired(current) ? current : null;
+  }
+
+  /**
+   * Whether a key's claim is older than the key lifetime
+   */
+  isExpired(record) {
+    const ageHours = (Date.now() - new Date(record.created_at).getTime()) / (60 * 60 * 1000);
+    return ageHours >= IDEMPOTENCY_KEY_TTL_HOURS;
+  }
+
+  /**
+   * Key/value pair storing the latest state of a caller's idempotency key
+   */
+  recordEntry(userId, key, record) {
+    return {
+      key: Buffer.from(this.entryKey(userId, key)),
+      value: objToBuffer(record)
+    };
+  }
+
+  /**
+   * Storage key of a caller's idempotency key
+   */
+  entryKey(userId, key) {
+    return `idempotency:${userId}:${key}`;
+  }
+}
+
+module.exports = {
+  IdempotencyManager: new IdempotencyManager(),
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_STATUSES
+};
@@ -0,0 +1,438 @@
+const { withImmudb, objToBuffer, getObj } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID, PRODUCT_STATUSES } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { ReorderManager } = require('./reorder-manager');
+const { UnitManager, DEFAULT_BASE_UNIT } = require('./unit-manager');
+const { ValuationManager } = require('./valuation-manager');
+const { ProductManager } = require('./product-manager');
+const { generateUuid } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+const IMPORT_MODES = ['dry_run', 'commit'];
+
+// Largest import file accepted, in body-parser's size notation
+const MAX_IMPORT_FILE_SIZE = '10mb';
+
+const IMPORT_STATUSES = {
+  PROCESSING: 'PROCESSING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// Columns an import row may carry; variants, kits and serialized products need POST /api/products
+const IMPORT_FIELDS = [
+  'sku', 'name', 'description', 'price', 'quantity', 'category', 'supplier', 'location_id',
+  'unit_cost', 'lot_number', 'manufactured_at', 'expires_at', 'base_unit',
+  'reorder_point', 'reorder_quantity', 'safety_stock'
+];
+
+// CSV cells are text; these columns are read as numbers
+const NUMERIC_FIELDS = ['price', 'quantity', 'unit_cost', 'reorder_point', 'reorder_quantity', 'safety_stock'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Rows written per immudb transaction
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * Bulk import of products with their opening balances. Rows are validated up front; a commit
+ * then writes the valid ones in batches, each batch's products, initial-stock entries and job
+ * progress landing in one immudb transaction.
+ */
+class ImportManager {
+  /**
+   * Rows of a CSV (header line first) or NDJSON file, each with the line it started on
+   */
+  parseFile(text, format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new RequestError(`Invalid import format: ${format}. Valid formats: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const rows = format === 'csv' ? this.parseCsv(text) : this.parseNdjson(text);
+
+    if (rows.length === 0) {
+      throw new RequestError('Import file has no rows');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new RequestError(`Import file has ${rows.length} rows; the limit is ${MAX_IMPORT_ROWS}`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * RFC 4180 CSV: quoted cells may hold commas, line breaks and doubled quotes
+   */
+  parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(cell);
+        records.push({ line: recordLine, cells: record });
+        record = [];
+        cell = '';
+        line++;
+        recordLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      throw new RequestError(`Unterminated quoted cell starting on line ${recordLine}`);
+    }
+
+    if (cell !== '' || record.length > 0) {
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+    }
+
+    const nonEmpty = records.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].cells.map(column => column.trim());
+    const unknown = header.filter(column => !IMPORT_FIELDS.includes(column));
+    if (unknown.length > 0) {
+      throw new RequestError(`Unknown column(s): ${unknown.join(', ')}. Columns: ${IMPORT_FIELDS.join(', ')}`);
+    }
+
+    return nonEmpty.slice(1).map(({ line: rowLine, cells }) => {
+      const data = {};
+      header.forEach((column, index) => {
+        const value = (cells[index] || '').trim();
+        if (value === '') return;
+        data[column] = NUMERIC_FIELDS.includes(column) && !isNaN(Number(value)) ? Number(value) : value;
+      });
+      return { line: rowLine, data };
+    });
+  }
+
+  /**
+   * One JSON object per line; lines that fail to parse are kept so they are reported
+   */
+  parseNdjson(text) {
+    const rows = [];
+
+    text.split(/\r?\n/).forEach((content, index) => {
+      if (!content.trim()) return;
+
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (parseError) {
+        rows.push({ line: index + 1, error: 'Invalid JSON' });
+        return;
+      }
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        rows.push({ line: index + 1, error: 'Each line must be a JSON object' });
+        return;
+      }
+
+      rows.push({ line: index + 1, data });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Check every row, returning the products and initial-stock entries the valid ones would
+   * write and an error for each invalid one
+   */
+  async validateRows(rows, performedBy) {
+    // Locations are checked before opening the immudb session the product checks share
+    const locationErrors = {};
+    const locationIds = [...new Set(rows.filter(row => row.data).map(row => row.data.location_id || DEFAULT_LOCATION_ID))];
+    for (const locationId of locationIds) {
+      try {
+        await LocationManager.getActiveLocation(String(locationId));
+      } catch (error) {
+        locationErrors[locationId] = error.message;
+      }
+    }
+
+    return await withImmudb(async (client) => {
+      const valid = [];
+      const errors = [];
+      const seenSkus = new Set();
+
+      for (const row of rows) {
+        const sku = row.data && row.data.sku ? String(row.data.sku) : null;
+
+        try {
+          if (row.error) throw new RequestError(row.error);
+
+          const item = this.buildImportItem(row.data, performedBy);
+          if (locationErrors[item.transaction.location_id]) {
+            throw new RequestError(locationErrors[item.transaction.location_id]);
+          }
+
+          if (seenSkus.has(item.product.sku)) {
+            throw new RequestError(`SKU '${item.product.sku}' appears more than once in the file`);
+          }
+          seenSkus.add(item.product.sku);
+
+          if (await getObj(client, `product:${item.product.sku}`)) {
+            throw new RequestError(`Product with SKU '${item.product.sku}' already exists`);
+          }
+
+          valid.push({ line: row.line, ...item });
+        } catch (error) {
+          errors.push({ line: row.line, sku, message: error.message });
+        }
+      }
+
+      return { valid, errors };
+    });
+  }
+
+  /**
+   * The product and initial-stock entry one row describes, as POST /api/products would write them
+   */
+  buildImportItem(data, performedBy) {
+    const unknown = Object.keys(data).filter(field => !IMPORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new RequestError(`Unknown field(s): ${unknown.join(', ')}`);
+    }
+
+    const { sku, name, description, price, quantity, category, supplier, unit_cost, lot_number, manufactured_at, expires_at } = data;
+    const location_id = data.location_id ? String(data.location_id) : DEFAULT_LOCATION_ID;
+
+    if (!sku || !name || price == null || quantity == null) {
+      throw new RequestError('Missing required product fields (sku, name, price, quantity)');
+    }
+
+    if (typeof price !== 'number' || !isFinite(price) || price < 0) {
+      throw new RequestError('Invalid price. Must be a non-negative number.');
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new RequestError('Invalid quantity. Must be a non-negative integer.');
+    }
+
+    const reorderSettings = ReorderManager.parseReorderSettings(data);
+    const unitSettings = UnitManager.parseUnitSettings(data);
+    const unitCost = ValuationManager.parseUnitCost(unit_cost);
+    const trackingDetails = InventoryLedger.buildLotDetails({ lot_number, manufactured_at, expires_at }, quantity);
+
+    const product = {
+      sku: String(sku),
+      name: String(name),
+      description,
+      price,
+      initial_quantity: quantity,
+      category,
+      supplier,
+      serialized: false,
+      base_unit: DEFAULT_BASE_UNIT,
+      units: {},
+      ...unitSettings,
+      reorder_point: null,
+      reorder_quantity: null,
+      safety_stock: null,
+      ...reorderSettings,
+      status: PRODUCT_STATUSES.ACTIVE,
+      version: 1,
+      created_at: new Date().toISOString(),
+      created_by: performedBy
+    };
+
+    const transaction = InventoryLedger.buildTransaction({
+      sku: product.sku,
+      type: 'IN',
+      quantity_change: quantity,
+      location_id,
+      reason: 'Initial Stock',
+      performed_by: performedBy,
+      ...(unitCost !== undefined && { unit_cost: unitCost }),
+      ...trackingDetails
+    });
+
+    return { product, transaction };
+  }
+
+  /**
+   * Validate an import without writing anything
+   */
+  async dryRun(rows, performedBy) {
+    const { valid, errors } = await this.validateRows(rows, performedBy);
+
+    return {
+      mode: 'dry_run',
+      total_rows: rows.length,
+      valid_rows: valid.length,
+      failed_rows: errors.length,
+      errors
+    };
+  }
+
+  /**
+   * Validate an import and start writing its valid rows in the background. The returned
+   * job is updated as each batch commits.
+   */
+  async startImport(rows, format, performedBy) {
+    const { valid, errors } = await this.validateRows(rows, performedBy);
+    const now = new Date().toISOString();
+
+    const job = {
+      job_id: generateUuid(),
+      format,
+      status: valid.length > 0 ? IMPORT_STATUSES.PROCESSING : IMPORT_STATUSES.COMPLETED,
+      total_rows: rows.length,
+      processed_rows: errors.length,
+      imported_rows: 0,
+      failed_rows: errors.length,
+      batches_committed: 0,
+      errors,
+      immudb_tx_hashes: [],
+      created_by: performedBy,
+      created_at: now,
+      updated_at: now,
+      completed_at: valid.length > 0 ? null : now
+    };
+
+    await withImmudb(async (client) => client.setAll({ kvsList: [this.jobEntry(job)] }));
+
+    if (valid.length > 0) {
+      this.processJob(job, valid).catch(error => {
+        console.error(`Error processing import job ${job.job_id}:`, error);
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Write the valid rows batch by batch; a failed batch stops the job, leaving earlier
+   * batches committed
+   */
+  async processJob(job, items) {
+    for (let start = 0; start < items.length; start += IMPORT_BATCH_SIZE) {
+      const batch = items.slice(start, start + IMPORT_BATCH_SIZE);
+
+      try {
+        await withImmudb(async (client) => {
+          // A SKU created since validation is reported rather than overwritten
+          const toWrite = [];
+          const batchErrors = [];
+          const now = new Date().toISOString();
+          for (const item of batch) {
+            if (await getObj(client, `product:${item.product.sku}`)) {
+              batchErrors.push({ line: item.line, sku: item.product.sku, message: `Product with SKU '${item.product.sku}' already exists` });
+            } else {
+              toWrite.push({
+                product: { ...item.product, created_at: now },
+                transaction: { ...item.transaction, timestamp: now }
+              });
+            }
+          }
+
+          const progress = {
+            ...job,
+            processed_rows: job.processed_rows + batch.length,
+            imported_rows: job.imported_rows + toWrite.length,
+            failed_rows: job.failed_rows + batchErrors.length,
+            batches_committed: job.batches_committed + 1,
+            errors: [...job.errors, ...batchErrors],
+            updated_at: now
+          };
+
+          if (toWrite.length > 0) {
+            const txResponse = await InventoryLedger.recordTransactions(
+              client,
+              toWrite.map(item => item.transaction),
+              [...toWrite.map(item => ProductManager.productEntry(item.product)), this.jobEntry(progress)]
+            );
+            progress.immudb_tx_hashes = [...job.immudb_tx_hashes, txResponse.id.toString()];
+          }
+
+          Object.assign(job, progress);
+        });
+      } catch (error) {
+        job.status = IMPORT_STATUSES.FAILED;
+        job.error = `Batch starting at line ${batch[0].line} failed: ${error.message}`;
+        break;
+      }
+    }
+
+    if (job.status !== IMPORT_STATUSES.FAILED) {
+      job.status = IMPORT_STATUSES.COMPLETED;
+    }
+    job.completed_at = new Date().toISOString();
+    job.updated_at = job.completed_at;
+
+    await withImmudb(async (client) => client.setAll({ kvsList: [this.jobEntry(job)] }));
+  }
+
+  /**
+   * Get import job by ID, with its progress as a percentage
+   */
+  async getJob(jobId) {
+    const job = await withImmudb(async (client) => getObj(client, `import:${jobId}`));
+    if (!job) return null;
+
+    return {
+      ...job,
+      progress: job.total_rows > 0 ? Math.round((job.processed_rows / job.total_rows) * 100) : 100
+    };
+  }
+
+  /**
+   * The job's row errors as CSV for download
+   */
+  errorReportCsv(job) {
+    const quote = (value) => `"${String(value == null ? '' : value).replace(/"/g, '""')}"`;
+
+    return [
+      'line,sku,message',
+      ...job.errors.map(error => [error.line, error.sku, error.message].map(quote).join(','))
+    ].join('\n');
+  }
+
+  /**
+   * Key/value pair storing an import job
+   */
+  jobEntry(job) {
+    return {
+      key: Buffer.from(`import:${job.job_id}`),
+      value: objToBuffer(job)
+    };
+  }
+}
+
+module.exports = {
+  ImportManager: new ImportManager(),
+  IMPORT_FORMATS,
+  IMPORT_MODES,
+  IMPORT_STATUSES,
+  IMPORT_FIELDS,
+  MAX_IMPORT_FILE_SIZE
+};
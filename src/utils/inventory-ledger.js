@@ -0,0 +1,484 @@
+const { objToBuffer, scanPrefix, getObj } = require('../immudb-client');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const TRANSACTION_PREFIX = 'transaction:';
+
+// Index of ledger entries by serial number: serial:<serial>:<transaction_id>
+const SERIAL_INDEX_PREFIX = 'serial:';
+
+// immudb's default limit on entries per transaction; a larger setAll is refused by the server
+const MAX_TX_ENTRIES = 1024;
+
+// Transactions recorded before locations existed carry no location_id and belong here
+const DEFAULT_LOCATION_ID = 'DEFAULT';
+
+// Pseudo-location holding stock that has been dispatched but not yet received
+const IN_TRANSIT_LOCATION_ID = 'IN_TRANSIT';
+
+// Pseudo-location holding returned goods until they are inspected and dispositioned
+const QUARANTINE_LOCATION_ID = 'QUARANTINE';
+
+// Stock at these is on hand but cannot be sold, reserved, counted or assembled
+const PSEUDO_LOCATION_IDS = [IN_TRANSIT_LOCATION_ID, QUARANTINE_LOCATION_ID];
+
+// Stock status buckets within a location. Only AVAILABLE stock can be reserved, shipped or moved;
+// the others stay on hand until moved back. Entries without a stock_status are AVAILABLE.
+const STOCK_STATUSES = {
+  AVAILABLE: 'AVAILABLE',
+  QUARANTINE: 'QUARANTINE',
+  DAMAGED: 'DAMAGED',
+  ON_HOLD: 'ON_HOLD'
+};
+
+// Product lifecycle states; products created before lifecycles existed are ACTIVE
+const PRODUCT_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  DISCONTINUED: 'DISCONTINUED',
+  ARCHIVED: 'ARCHIVED'
+};
+
+/**
+ * Reads and writes the append-only inventory ledger (`transaction:<id>` keys).
+ * Stock figures are always derived from the ledger, never stored.
+ * Every method takes an authenticated client and must run inside withImmudb.
+ */
+class InventoryLedger {
+  /**
+   * Build a ledger entry with a fresh id and timestamp
+   */
+  buildTransaction({ sku, type, quantity_change, reason, performed_by, location_id, ...details }) {
+    return {
+      transaction_id: generateUuid(),
+      sku,
+      type,
+      quantity_change,
+      location_id: location_id || DEFAULT_LOCATION_ID,
+      reason,
+      performed_by,
+      timestamp: new Date().toISOString(),
+      ...details
+    };
+  }
+
+  /**
+   * Store a single ledger entry
+   */
+  async recordTransaction(client, transaction) {
+    return await this.recordTransactions(client, [transaction]);
+  }
+
+  /**
+   * Store several ledger entries, their serial index keys and any related records as one immudb transaction
+   */
+  async recordTransactions(client, transactions, relatedEntries = []) {
+    const kvsList = [];
+
+    for (const transaction of transactions) {
+      kvsList.push({
+        key: Buffer.from(`${TRANSACTION_PREFIX}${transaction.transaction_id}`),
+        value: objToBuffer(transaction)
+      });
+
+      for (const serial of transaction.serial_numbers || []) {
+        kvsList.push({
+          key: Buffer.from(`${SERIAL_INDEX_PREFIX}${serial}:${transaction.transaction_id}`),
+          value: objToBuffer({ transaction_id: transaction.transaction_id })
+        });
+      }
+    }
+
+    const entryCount = kvsList.length + relatedEntries.length;
+    if (entryCount > MAX_TX_ENTRIES) {
+      throw new RequestError(`Too many entries for one immudb transaction: ${entryCount}, limit ${MAX_TX_ENTRIES}.`);
+    }
+
+    await this.checkSerialOwners(client, transactions);
+
+    const setResponse = await client.setAll({
+      kvsList: [...kvsList, ...relatedEntries]
+    });
+
+    // Every balance change re-evaluates low-stock alerts.
+    // Required here because the reorder manager itself depends on the ledger.
+    const { ReorderManager } = require('./reorder-manager');
+    await ReorderManager.evaluateAfterWrite(client, transactions.map(tx => tx.sku));
+
+    return setResponse;
+  }
+
+  /**
+   * Run a callback holding the stock lock of each SKU, so a check of available stock and the
+   * write depending on it cannot interleave with another request moving the same SKU. Locks are
+   * taken in SKU order so overlapping callers cannot deadlock; take them after any workflow
+   * lock (transfer, reservation, sales order...) and never the other way round.
+   */
+  async withStockLock(skus, callback) {
+    const [first, ...rest] = [...new Set(skus)].sort();
+    if (first === undefined) {
+      return await callback();
+    }
+
+    return await withLock(`stock:${first}`, () => this.withStockLock(rest, callback));
+  }
+
+  /**
+   * Get ledger entries, oldest first, optionally filtered by sku, location and cut-off time
+   */
+  async getTransactions(client, filters = {}) {
+    const entries = await scanPrefix(client, TRANSACTION_PREFIX);
+    const transactions = [];
+
+    for (const item of entries) {
+      let tx;
+      try {
+        tx = JSON.parse(item.value);
+      } catch (parseError) {
+        continue; // Skip invalid transaction entries
+      }
+
+      const locationId = tx.location_id || DEFAULT_LOCATION_ID;
+
+      if (filters.sku && tx.sku !== filters.sku) continue;
+      if (filters.location_id && locationId !== filters.location_id) continue;
+      if (filters.until && new Date(tx.timestamp) > filters.until) continue;
+
+      transactions.push({
+        ...tx,
+        location_id: locationId,
+        immudb_tx_id: item.tx
+      });
+    }
+
+    // Paired entries share a timestamp; list the outbound half first
+    return transactions.sort((a, b) =>
+      (new Date(a.timestamp) - new Date(b.timestamp)) || (a.quantity_change - b.quantity_change)
+    );
+  }
+
+  /**
+   * Total and per-location stock for a list of ledger entries, with the part of it that is
+   * available (see isAvailable) and the totals per stock status
+   */
+  summarizeStock(transactions, lastTransactionTimestamp = null) {
+    const summary = {
+      current_stock: 0,
+      stock_by_location: {},
+      available_stock: 0,
+      available_by_location: {},
+      stock_by_status: {},
+      last_transaction_timestamp: lastTransactionTimestamp
+    };
+
+    for (const tx of transactions) {
+      const locationId = tx.location_id || DEFAULT_LOCATION_ID;
+      const stockStatus = tx.stock_status || STOCK_STATUSES.AVAILABLE;
+      summary.current_stock += tx.quantity_change;
+      summary.stock_by_location[locationId] = (summary.stock_by_location[locationId] || 0) + tx.quantity_change;
+      summary.stock_by_status[stockStatus] = (summary.stock_by_status[stockStatus] || 0) + tx.quantity_change;
+
+      if (this.isAvailable(tx)) {
+        summary.available_stock += tx.quantity_change;
+        summary.available_by_location[locationId] = (summary.available_by_location[locationId] || 0) + tx.quantity_change;
+      }
+
+      if (!summary.last_transaction_timestamp || tx.timestamp > summary.last_transaction_timestamp) {
+        summary.last_transaction_timestamp = tx.timestamp;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether an entry moves available stock: stock in the AVAILABLE bucket at a real location.
+   * Stock in transit or in returns quarantine is on hand but held, whatever its status.
+   */
+  isAvailable(tx) {
+    return (tx.stock_status || STOCK_STATUSES.AVAILABLE) === STOCK_STATUSES.AVAILABLE &&
+      !PSEUDO_LOCATION_IDS.includes(tx.location_id || DEFAULT_LOCATION_ID);
+  }
+
+  /**
+   * Per-lot balances for a list of ledger entries, keyed by sku, location and lot.
+   * Lot metadata (expiry, manufacture date) comes from the entry that first received the lot.
+   */
+  summarizeLots(transactions) {
+    const balances = {};
+    const metadata = {};
+
+    for (const tx of transactions) {
+      const metadataKey = `${tx.sku}|${tx.lot_number}`;
+      if (tx.lot_number && tx.quantity_change > 0 && !metadata[metadataKey]) {
+        metadata[metadataKey] = {
+          manufactured_at: tx.manufactured_at || null,
+          expires_at: tx.expires_at || null
+        };
+      }
+
+      const sign = Math.sign(tx.quantity_change);
+      for (const allocation of tx.lot_allocations || []) {
+        const locationId = tx.location_id || DEFAULT_LOCATION_ID;
+        const key = `${tx.sku}|${locationId}|${allocation.lot_number}`;
+        if (!balances[key]) {
+          balances[key] = {
+            sku: tx.sku,
+            location_id: locationId,
+            lot_number: allocation.lot_number,
+            quantity: 0
+          };
+        }
+        balances[key].quantity += sign * allocation.quantity;
+      }
+    }
+
+    return Object.values(balances).map(lot => ({
+      ...lot,
+      ...(metadata[`${lot.sku}|${lot.lot_number}`] || { manufactured_at: null, expires_at: null })
+    }));
+  }
+
+  /**
+   * Validated lot fields for an inbound entry of the given quantity ({} when no lot is given)
+   */
+  buildLotDetails({ lot_number, manufactured_at, expires_at }, quantity) {
+    if (!lot_number) {
+      if (manufactured_at || expires_at) {
+        throw new RequestError('lot_number is required when manufactured_at or expires_at is given');
+      }
+      return {};
+    }
+
+    for (const [field, value] of Object.entries({ manufactured_at, expires_at })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw new RequestError(`Invalid ${field} format. Use ISO 8601 format: YYYY-MM-DDTHH:mm:ss.sssZ`);
+      }
+    }
+
+    if (manufactured_at && expires_at && new Date(expires_at) < new Date(manufactured_at)) {
+      throw new RequestError('expires_at cannot be earlier than manufactured_at');
+    }
+
+    return {
+      lot_number,
+      manufactured_at: manufactured_at ? new Date(manufactured_at).toISOString() : null,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+      lot_allocations: [{ lot_number, quantity }]
+    };
+  }
+
+  /**
+   * Pick lots to consume for an outbound quantity: the named lot only, or
+   * first-expired-first-out across the lots held. Quantity not covered by
+   * lots is left unallocated (stock received without a lot number).
+   */
+  allocateLots(lots, quantity, lotNumber = null) {
+    if (lotNumber) {
+      const lot = lots.find(l => l.lot_number === lotNumber);
+      const available = lot ? lot.quantity : 0;
+      if (available < quantity) {
+        throw new RequestError(`Insufficient stock in lot '${lotNumber}'. Lot stock: ${available}, attempting to remove: ${quantity}.`);
+      }
+      return [{ lot_number: lotNumber, quantity }];
+    }
+
+    const fefoOrder = lots
+      .filter(lot => lot.quantity > 0)
+      .sort((a, b) => {
+        if (a.expires_at !== b.expires_at) {
+          if (!a.expires_at) return 1;
+          if (!b.expires_at) return -1;
+          return new Date(a.expires_at) - new Date(b.expires_at);
+        }
+        return a.lot_number.localeCompare(b.lot_number);
+      });
+
+    const allocations = [];
+    let remaining = quantity;
+    for (const lot of fefoOrder) {
+      if (remaining <= 0) break;
+      const take = Math.min(lot.quantity, remaining);
+      allocations.push({ lot_number: lot.lot_number, quantity: take });
+      remaining -= take;
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Latest known state of every serial number in a list of ledger entries
+   */
+  summarizeSerials(transactions) {
+    const serials = {};
+
+    for (const tx of transactions) {
+      for (const serial of tx.serial_numbers || []) {
+        serials[serial] = {
+          serial_number: serial,
+          sku: tx.sku,
+          location_id: tx.location_id || DEFAULT_LOCATION_ID,
+          stock_status: tx.stock_status || STOCK_STATUSES.AVAILABLE,
+          in_stock: tx.quantity_change > 0,
+          last_transaction_id: tx.transaction_id
+        };
+      }
+    }
+
+    return serials;
+  }
+
+  /**
+   * Check a product may take part in a movement. Variant parents hold no stock of their own;
+   * discontinued products may be sold down but not restocked (movement 'IN'); archived
+   * products cannot move at all.
+   */
+  checkMovementAllowed(product, movement) {
+    const status = product.status || PRODUCT_STATUSES.ACTIVE;
+
+    if (product.variants) {
+      throw new RequestError(`Product with SKU '${product.sku}' is a variant parent and cannot move stock; use one of its variant SKUs`);
+    }
+
+    if (status === PRODUCT_STATUSES.ARCHIVED) {
+      throw new RequestError(`Product with SKU '${product.sku}' is ARCHIVED and cannot move stock`);
+    }
+
+    if (status === PRODUCT_STATUSES.DISCONTINUED && movement === 'IN') {
+      throw new RequestError(`Product with SKU '${product.sku}' is DISCONTINUED and cannot receive new stock`);
+    }
+  }
+
+  /**
+   * Check the serial numbers named for a movement of a serialized product.
+   * Inbound serials must not already be in stock; outbound ones must be in stock at the location.
+   */
+  checkSerials(serials, serialNumbers, quantity, { inbound, location_id }) {
+    if (!Array.isArray(serialNumbers) || serialNumbers.length !== quantity) {
+      throw new RequestError(`Serialized product requires serial_numbers listing exactly ${quantity} serial(s)`);
+    }
+
+    if (new Set(serialNumbers).size !== serialNumbers.length) {
+      throw new RequestError('serial_numbers contains duplicates');
+    }
+
+    for (const serial of serialNumbers) {
+      if (typeof serial !== 'string' || !serial || serial.includes(':')) {
+        throw new RequestError(`Invalid serial number '${serial}'`);
+      }
+
+      const state = serials[serial];
+      if (inbound && state && state.in_stock) {
+        throw new RequestError(`Serial '${serial}' is already in stock at location '${state.location_id}'`);
+      }
+      if (!inbound && (!state || !state.in_stock || state.location_id !== location_id)) {
+        throw new RequestError(`Serial '${serial}' is not in stock at location '${location_id}'`);
+      }
+    }
+  }
+
+  /**
+   * Tracking details (lot, serials) for an inbound movement of a product, validated against its ledger
+   */
+  prepareInbound(product, skuTransactions, { quantity, location_id, lot_number, manufactured_at, expires_at, serial_numbers }) {
+    const details = this.buildLotDetails({ lot_number, manufactured_at, expires_at }, quantity);
+
+    // A lot keeps the dates it was first received with
+    if (details.lot_number && details.expires_at) {
+      const knownLot = this.summarizeLots(skuTransactions).find(lot => lot.lot_number === details.lot_number);
+      if (knownLot && knownLot.expires_at && knownLot.expires_at !== details.expires_at) {
+        throw new RequestError(`Lot '${details.lot_number}' was already received with expiry ${knownLot.expires_at}.`);
+      }
+    }
+
+    if (product.serialized) {
+      this.checkSerials(this.summarizeSerials(skuTransactions), serial_numbers, quantity, { inbound: true, location_id });
+      details.serial_numbers = serial_numbers;
+    } else if (serial_numbers) {
+      throw new RequestError(`Product with SKU '${product.sku}' is not serialized.`);
+    }
+
+    return details;
+  }
+
+  /**
+   * Tracking details for an outbound movement: the lots it consumes (named lot or FEFO)
+   * and, for serialized products, the serials leaving the location. Only stock in the given
+   * status bucket (AVAILABLE unless stated) can be taken.
+   */
+  prepareOutbound(product, skuTransactions, { quantity, location_id, lot_number = null, serial_numbers, stock_status = STOCK_STATUSES.AVAILABLE }) {
+    const details = {};
+    const locationTransactions = skuTransactions.filter(tx =>
+      (tx.location_id || DEFAULT_LOCATION_ID) === location_id && (tx.stock_status || STOCK_STATUSES.AVAILABLE) === stock_status
+    );
+
+    const allocations = this.allocateLots(this.summarizeLots(locationTransactions), quantity, lot_number);
+    if (allocations.length > 0) {
+      details.lot_allocations = allocations;
+    }
+
+    if (product.serialized) {
+      this.checkSerials(this.summarizeSerials(locationTransactions), serial_numbers, quantity, { inbound: false, location_id });
+      details.serial_numbers = serial_numbers;
+    } else if (serial_numbers) {
+      throw new RequestError(`Product with SKU '${product.sku}' is not serialized.`);
+    }
+
+    return details;
+  }
+
+  /**
+   * Check no serial arriving in stock is registered to another SKU. The serial index is keyed by
+   * serial alone, so a serial number identifies one unit across the whole catalogue.
+   */
+  async checkSerialOwners(client, transactions) {
+    const owners = {};
+
+    for (const tx of transactions) {
+      if (tx.quantity_change <= 0) continue;
+
+      for (const serial of tx.serial_numbers || []) {
+        if (owners[serial] === undefined) {
+          const [firstTransactionId] = await this.getSerialTransactionIds(client, serial);
+          const firstEntry = firstTransactionId
+            ? await getObj(client, `${TRANSACTION_PREFIX}${firstTransactionId}`)
+            : null;
+          owners[serial] = firstEntry ? firstEntry.sku : tx.sku;
+        }
+
+        if (owners[serial] !== tx.sku) {
+          throw new RequestError(`Serial '${serial}' is already registered to SKU '${owners[serial]}'`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ids of every ledger entry that moved a serial number
+   */
+  async getSerialTransactionIds(client, serial) {
+    const entries = await scanPrefix(client, `${SERIAL_INDEX_PREFIX}${serial}:`);
+    return entries.map(item => JSON.parse(item.value).transaction_id);
+  }
+
+  /**
+   * Current stock of one SKU at one location
+   */
+  async getLocationStock(client, sku, locationId) {
+    const transactions = await this.getTransactions(client, { sku, location_id: locationId });
+    return this.summarizeStock(transactions).current_stock;
+  }
+}
+
+module.exports = {
+  InventoryLedger: new InventoryLedger(),
+  TRANSACTION_PREFIX,
+  SERIAL_INDEX_PREFIX,
+  MAX_TX_ENTRIES,
+  DEFAULT_LOCATION_ID,
+  IN_TRANSIT_LOCATION_ID,
+  QUARANTINE_LOCATION_ID,
+  PSEUDO_LOCATION_IDS,
+  STOCK_STATUSES,
+  PRODUCT_STATUSES
+};
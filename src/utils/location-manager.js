@@ -0,0 +1,190 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID, IN_TRANSIT_LOCATION_ID, QUARANTINE_LOCATION_ID } = require('./inventory-ledger');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const LOCATION_TYPES = ['WAREHOUSE', 'STORE', 'DISTRIBUTION_CENTER', 'OTHER'];
+
+class LocationManager {
+  constructor() {
+    this.initializeDefaultLocation();
+  }
+
+  /**
+   * Initialize the default location that pre-location transactions belong to
+   */
+  async initializeDefaultLocation() {
+    try {
+      const defaultExists = await this.getLocation(DEFAULT_LOCATION_ID);
+      if (!defaultExists) {
+        await this.createLocation({
+          location_id: DEFAULT_LOCATION_ID,
+          name: 'Default Location',
+          type: 'WAREHOUSE',
+          created_by: 'SYSTEM'
+        });
+      }
+    } catch (error) {
+      console.error('Error initializing default location:', error);
+    }
+  }
+
+  /**
+   * Create new location
+   */
+  async createLocation(locationData) {
+    const {
+      location_id,
+      name,
+      type = 'WAREHOUSE',
+      address = null,
+      created_by = 'SYSTEM'
+    } = locationData;
+
+    if (!location_id || !name) {
+      throw new RequestError('Missing required fields: location_id, name');
+    }
+
+    if (!LOCATION_TYPES.includes(type)) {
+      throw new RequestError(`Invalid location type: ${type}. Valid types: ${LOCATION_TYPES.join(', ')}`);
+    }
+
+    if (location_id === IN_TRANSIT_LOCATION_ID) {
+      throw new RequestError(`'${IN_TRANSIT_LOCATION_ID}' is reserved for stock moving between locations`);
+    }
+
+    if (location_id === QUARANTINE_LOCATION_ID) {
+      throw new RequestError(`'${QUARANTINE_LOCATION_ID}' is reserved for returned goods awaiting inspection`);
+    }
+
+    const existingLocation = await this.getLocation(location_id);
+    if (existingLocation) {
+      throw new RequestError(`Location '${location_id}' already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const location = {
+      location_id,
+      name,
+      type,
+      address,
+      status: 'ACTIVE',
+      created_at: now,
+      updated_at: now,
+      created_by
+    };
+
+    await withImmudb(async (client) => {
+      await client.set({
+        key: Buffer.from(`location:${location_id}`),
+        value: objToBuffer(location)
+      });
+    });
+
+    return location;
+  }
+
+  /**
+   * Get location by ID
+   */
+  async getLocation(locationId) {
+    return await withImmudb(async (client) => getObj(client, `location:${locationId}`));
+  }
+
+  /**
+   * Get location by ID, only if it can hold stock movements
+   */
+  async getActiveLocation(locationId) {
+    const location = await this.getLocation(locationId);
+    if (!location) {
+      throw new RequestError(`Location '${locationId}' not found`);
+    }
+    if (location.status !== 'ACTIVE') {
+      throw new RequestError(`Location '${locationId}' is not active`);
+    }
+    return location;
+  }
+
+  /**
+   * List all locations with filtering
+   */
+  async listLocations(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'location:');
+      const locations = [];
+
+      for (const item of entries) {
+        try {
+          const location = JSON.parse(item.value);
+
+          if (filters.status && location.status !== filters.status) continue;
+          if (filters.type && location.type !== filters.type) continue;
+
+          locations.push(location);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return locations.sort((a, b) => a.location_id.localeCompare(b.location_id));
+    });
+  }
+
+  /**
+   * Update location (writes a new version of the location key)
+   */
+  async updateLocation(locationId, updates, updatedBy) {
+    const location = await this.getLocation(locationId);
+    if (!location) {
+      throw new RequestError(`Location '${locationId}' not found`);
+    }
+
+    if (updates.type && !LOCATION_TYPES.includes(updates.type)) {
+      throw new RequestError(`Invalid location type: ${updates.type}. Valid types: ${LOCATION_TYPES.join(', ')}`);
+    }
+
+    const { name, type, address, status } = updates;
+    const updatedLocation = {
+      ...location,
+      ...(name !== undefined && { name }),
+      ...(type !== undefined && { type }),
+      ...(address !== undefined && { address }),
+      ...(status !== undefined && { status }),
+      updated_at: new Date().toISOString(),
+      updated_by: updatedBy
+    };
+
+    await withImmudb(async (client) => {
+      await client.set({
+        key: Buffer.from(`location:${locationId}`),
+        value: objToBuffer(updatedLocation)
+      });
+    });
+
+    return updatedLocation;
+  }
+
+  /**
+   * Deactivate location (soft delete - its ledger history is kept)
+   */
+  async deactivateLocation(locationId, deactivatedBy) {
+    if (locationId === DEFAULT_LOCATION_ID) {
+      throw new RequestError('The default location cannot be deactivated');
+    }
+
+    const stockOnHand = await withImmudb(async (client) => {
+      const transactions = await InventoryLedger.getTransactions(client, { location_id: locationId });
+      return InventoryLedger.summarizeStock(transactions).current_stock;
+    });
+
+    if (stockOnHand !== 0) {
+      throw new RequestError(`Location '${locationId}' still holds ${stockOnHand} units of stock`);
+    }
+
+    return await this.updateLocation(locationId, {
+      status: 'INACTIVE'
+    }, deactivatedBy);
+  }
+}
+
+module.exports = { LocationManager: new LocationManager(), LOCATION_TYPES };
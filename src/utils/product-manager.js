@@ -0,0 +1,631 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix, scanPage, getHistory } = require('../immudb-client');
+const { ReorderManager, REORDER_FIELDS } = require('./reorder-manager');
+const { PRODUCT_STATUSES } = require('./inventory-ledger');
+const { UnitManager, DEFAULT_BASE_UNIT } = require('./unit-manager');
+const { AssemblyManager } = require('./assembly-manager');
+const { withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+// Fields a product update may change; sku, serialized, base_unit and creation details are
+// fixed, and status only changes through lifecycle transitions
+const UPDATABLE_FIELDS = ['name', 'description', 'price', 'category', 'supplier', 'units', 'bom'];
+
+// Lifecycle transitions each status allows
+const STATUS_TRANSITIONS = {
+  [PRODUCT_STATUSES.ACTIVE]: [PRODUCT_STATUSES.DISCONTINUED, PRODUCT_STATUSES.ARCHIVED],
+  [PRODUCT_STATUSES.DISCONTINUED]: [PRODUCT_STATUSES.ACTIVE, PRODUCT_STATUSES.ARCHIVED],
+  [PRODUCT_STATUSES.ARCHIVED]: [PRODUCT_STATUSES.ACTIVE, PRODUCT_STATUSES.DISCONTINUED]
+};
+
+// Catalogue listing sort fields; sku follows key order, so only it pages without a full scan
+const SORT_FIELDS = ['sku', 'name', 'price', 'created_at'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Upper bound on the variants one parent may generate
+const MAX_VARIANTS = 500;
+
+/**
+ * Product catalogue records. Every update writes a new version of `product:<sku>`,
+ * so immudb's key history is the product's version history.
+ */
+class ProductManager {
+  /**
+   * Update a product, writing a new version of its key
+   */
+  async updateProduct(sku, updates, performedBy) {
+    const changes = {};
+
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) changes[field] = updates[field];
+    }
+    Object.assign(changes, ReorderManager.parseReorderSettings(updates));
+
+    // The ledger holds quantities in the base unit, so it cannot change
+    if (updates.base_unit !== undefined) {
+      throw new RequestError('Invalid field base_unit. The base unit cannot change; add alternate units instead.');
+    }
+
+    if (changes.units !== undefined) {
+      changes.units = UnitManager.parseUnitSettings({ units: changes.units }).units;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new RequestError(`No updatable fields given. Updatable fields: ${[...UPDATABLE_FIELDS, ...REORDER_FIELDS].join(', ')}`);
+    }
+
+    if (changes.name !== undefined && (typeof changes.name !== 'string' || !changes.name.trim())) {
+      throw new RequestError('Invalid name. Must be a non-empty string.');
+    }
+
+    if (changes.price !== undefined && (typeof changes.price !== 'number' || !isFinite(changes.price) || changes.price < 0)) {
+      throw new RequestError('Invalid price. Must be a non-negative number.');
+    }
+
+    // Every write to a product record reads the current version first; writes to one SKU run
+    // one at a time so none is built on a version another has already replaced
+    return await withLock(`product:${sku}`, async () => {
+      return await withImmudb(async (client) => {
+        const existing = await getObj(client, `product:${sku}`);
+        if (!existing) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+
+        if (changes.bom !== undefined) {
+          if (existing.variants) {
+            throw new RequestError(`Product with SKU '${sku}' is a variant parent and cannot be a kit`);
+          }
+          changes.bom = await AssemblyManager.checkBom(client, sku, changes.bom);
+        }
+
+        const baseUnit = existing.base_unit || DEFAULT_BASE_UNIT;
+        if (changes.units && changes.units[baseUnit] !== undefined) {
+          throw new RequestError(`Unit '${baseUnit}' is the base unit and cannot be an alternate unit`);
+        }
+
+        const product = {
+          ...existing,
+          ...changes,
+          version: (existing.version || 1) + 1,
+          updated_at: new Date().toISOString(),
+          updated_by: performedBy
+        };
+
+        const setResponse = await client.set(this.productEntry(product));
+
+        // A new reorder point may open or resolve a low-stock alert
+        await ReorderManager.evaluateSkus(client, [sku]);
+
+        return {
+          product,
+          previous: existing,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Create a variant parent and a child product for every combination of its attribute
+   * values, in one immudb transaction. Children start without stock and keep their own
+   * ledgers; the parent holds none.
+   */
+  async createVariantParent(productData, performedBy) {
+    const { sku, name, description, price, category, supplier, serialized = false, variant_attributes } = productData;
+
+    if (!sku || !name || price == null) {
+      throw new RequestError('Missing required product fields (sku, name, price)');
+    }
+
+    if (typeof price !== 'number' || !isFinite(price) || price < 0) {
+      throw new RequestError('Invalid price. Must be a non-negative number.');
+    }
+
+    const attributes = this.parseVariantAttributes(variant_attributes);
+    const reorderSettings = ReorderManager.parseReorderSettings(productData);
+    const unitSettings = UnitManager.parseUnitSettings(productData);
+    const now = new Date().toISOString();
+
+    const parent = {
+      sku,
+      name,
+      description,
+      price,
+      initial_quantity: 0,
+      category,
+      supplier,
+      serialized: serialized === true,
+      base_unit: DEFAULT_BASE_UNIT,
+      units: {},
+      ...unitSettings,
+      variant_attributes: attributes,
+      variants: [],
+      status: PRODUCT_STATUSES.ACTIVE,
+      version: 1,
+      created_at: now,
+      created_by: performedBy
+    };
+
+    return await withImmudb(async (client) => {
+      if (await getObj(client, `product:${sku}`)) {
+        throw new RequestError(`Product with SKU '${sku}' already exists`);
+      }
+
+      const children = await this.buildVariants(client, parent, this.variantCombinations(attributes), reorderSettings, performedBy);
+
+      parent.variants = children.map(child => ({ sku: child.sku, variant_values: child.variant_values }));
+
+      const setResponse = await client.setAll({
+        kvsList: [parent, ...children].map(product => this.productEntry(product))
+      });
+
+      return {
+        product: parent,
+        variants: children,
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Add attribute values to a variant parent and generate the children it is missing.
+   * Only existing attributes can gain values; a new attribute would change every SKU.
+   */
+  async addVariants(sku, variantAttributes, performedBy) {
+    const additions = this.parseVariantAttributes(variantAttributes);
+
+    // Shares updateProduct's lock, so concurrent additions cannot drop each other's variants
+    return await withLock(`product:${sku}`, async () => {
+      return await withImmudb(async (client) => {
+        const existing = await getObj(client, `product:${sku}`);
+        if (!existing) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+
+        if (!existing.variants) {
+          throw new RequestError(`Product with SKU '${sku}' is not a variant parent`);
+        }
+
+        const attributes = {};
+        for (const [attribute, values] of Object.entries(existing.variant_attributes)) {
+          attributes[attribute] = [...new Set([...values, ...(additions[attribute] || [])])];
+        }
+
+        const unknown = Object.keys(additions).filter(attribute => !attributes[attribute]);
+        if (unknown.length > 0) {
+          throw new RequestError(`Unknown variant attribute(s): ${unknown.join(', ')}. Attributes: ${Object.keys(attributes).join(', ')}`);
+        }
+
+        const knownSkus = new Set(existing.variants.map(variant => variant.sku));
+        const combinations = this.variantCombinations(attributes)
+          .filter(values => !knownSkus.has(this.variantSku(sku, values)));
+
+        if (combinations.length === 0) {
+          throw new RequestError(`Product with SKU '${sku}' already has every requested variant`);
+        }
+
+        const children = await this.buildVariants(client, existing, combinations, {
+          reorder_point: null,
+          reorder_quantity: null,
+          safety_stock: null
+        }, performedBy);
+
+        const now = new Date().toISOString();
+        const parent = {
+          ...existing,
+          variant_attributes: attributes,
+          variants: [
+            ...existing.variants,
+            ...children.map(child => ({ sku: child.sku, variant_values: child.variant_values }))
+          ],
+          version: (existing.version || 1) + 1,
+          updated_at: now,
+          updated_by: performedBy
+        };
+
+        const setResponse = await client.setAll({
+          kvsList: [parent, ...children].map(product => this.productEntry(product))
+        });
+
+        return {
+          product: parent,
+          variants: children,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Child product records for attribute value combinations of a parent, checking none exists yet
+   */
+  async buildVariants(client, parent, combinations, reorderSettings, performedBy) {
+    const now = new Date().toISOString();
+    const children = [];
+
+    for (const values of combinations) {
+      const childSku = this.variantSku(parent.sku, values);
+      if (children.some(child => child.sku === childSku)) {
+        throw new RequestError(`Variant values ${JSON.stringify(values)} give the duplicate SKU '${childSku}'`);
+      }
+      if (await getObj(client, `product:${childSku}`)) {
+        throw new RequestError(`Product with SKU '${childSku}' already exists`);
+      }
+
+      children.push({
+        sku: childSku,
+        name: `${parent.name} (${Object.values(values).join(' / ')})`,
+        description: parent.description,
+        price: parent.price,
+        initial_quantity: 0,
+        category: parent.category,
+        supplier: parent.supplier,
+        serialized: parent.serialized,
+        base_unit: parent.base_unit || DEFAULT_BASE_UNIT,
+        units: parent.units || {},
+        parent_sku: parent.sku,
+        variant_values: values,
+        reorder_point: null,
+        reorder_quantity: null,
+        safety_stock: null,
+        ...reorderSettings,
+        status: PRODUCT_STATUSES.ACTIVE,
+        version: 1,
+        created_at: now,
+        created_by: performedBy
+      });
+    }
+
+    return children;
+  }
+
+  /**
+   * Validated variant attributes: each attribute maps to a list of distinct, non-empty values
+   */
+  parseVariantAttributes(variantAttributes) {
+    if (!variantAttributes || typeof variantAttributes !== 'object' || Array.isArray(variantAttributes) ||
+      Object.keys(variantAttributes).length === 0) {
+      throw new RequestError('Invalid variant_attributes. Map each attribute to a list of values, e.g. { "size": ["S", "M"] }');
+    }
+
+    const attributes = {};
+    for (const [attribute, values] of Object.entries(variantAttributes)) {
+      if (!Array.isArray(values) || values.length === 0 ||
+        values.some(value => typeof value !== 'string' || !value.trim())) {
+        throw new RequestError(`Invalid values for variant attribute '${attribute}'. Must be a non-empty list of strings.`);
+      }
+      attributes[attribute] = [...new Set(values.map(value => value.trim()))];
+    }
+
+    const count = Object.values(attributes).reduce((total, values) => total * values.length, 1);
+    if (count > MAX_VARIANTS) {
+      throw new RequestError(`Invalid variant_attributes. ${count} combinations exceed the limit of ${MAX_VARIANTS} variants.`);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Every combination of attribute values, in attribute order
+   */
+  variantCombinations(attributes) {
+    return Object.entries(attributes).reduce(
+      (combinations, [attribute, values]) => combinations.flatMap(combination =>
+        values.map(value => ({ ...combination, [attribute]: value }))
+      ),
+      [{}]
+    );
+  }
+
+  /**
+   * Child SKU for a combination of values, e.g. TSHIRT-001 + { size: 'M', colour: 'Navy Blue' } -> TSHIRT-001-M-NAVYBLUE
+   */
+  variantSku(parentSku, values) {
+    return [parentSku, ...Object.values(values).map(value => value.toUpperCase().replace(/[^A-Z0-9]+/g, ''))].join('-');
+  }
+
+  /**
+   * Roll variant stock rows up to their parent: totals plus merged per-location and per-status figures
+   */
+  rollUpStock(rows) {
+    const mergeCounts = (target, counts) => {
+      for (const [key, quantity] of Object.entries(counts || {})) {
+        target[key] = (target[key] || 0) + quantity;
+      }
+      return target;
+    };
+
+    return rows.reduce((totals, row) => ({
+      current_stock: totals.current_stock + row.on_hand,
+      on_hand: totals.on_hand + row.on_hand,
+      held: totals.held + row.held,
+      reserved: totals.reserved + row.reserved,
+      available: totals.available + row.available,
+      stock_by_location: mergeCounts(totals.stock_by_location, row.stock_by_location),
+      stock_by_status: mergeCounts(totals.stock_by_status, row.stock_by_status),
+      reserved_by_location: mergeCounts(totals.reserved_by_location, row.reserved_by_location),
+      last_transaction_timestamp: [totals.last_transaction_timestamp, row.last_transaction_timestamp]
+        .filter(Boolean).sort().pop() || null
+    }), {
+      current_stock: 0,
+      on_hand: 0,
+      held: 0,
+      reserved: 0,
+      available: 0,
+      stock_by_location: {},
+      stock_by_status: {},
+      reserved_by_location: {},
+      last_transaction_timestamp: null
+    });
+  }
+
+  /**
+   * Move a product to another lifecycle status, writing a new version that records the
+   * reason and actor
+   */
+  async changeStatus(sku, status, reason, performedBy) {
+    if (!Object.values(PRODUCT_STATUSES).includes(status)) {
+      throw new RequestError(`Invalid status: ${status}. Valid statuses: ${Object.values(PRODUCT_STATUSES).join(', ')}`);
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new RequestError('Missing required field (reason)');
+    }
+
+    // Shares updateProduct's lock, so a status change and an edit cannot overwrite each other
+    return await withLock(`product:${sku}`, async () => {
+      return await withImmudb(async (client) => {
+        const existing = await getObj(client, `product:${sku}`);
+        if (!existing) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+
+        const current = existing.status || PRODUCT_STATUSES.ACTIVE;
+        if (current === status) {
+          throw new RequestError(`Product with SKU '${sku}' is already ${status}`);
+        }
+
+        if (!STATUS_TRANSITIONS[current].includes(status)) {
+          throw new RequestError(`Product with SKU '${sku}' cannot move from ${current} to ${status}`);
+        }
+
+        const now = new Date().toISOString();
+        const product = {
+          ...existing,
+          status,
+          status_reason: reason,
+          status_changed_at: now,
+          status_changed_by: performedBy,
+          version: (existing.version || 1) + 1,
+          updated_at: now,
+          updated_by: performedBy
+        };
+
+        const setResponse = await client.set(this.productEntry(product));
+
+        return {
+          product,
+          previous_status: current,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * One page of the product catalogue. Listing by sku walks the `product:` keys from the
+   * cursor onwards; other sort fields sort the filtered catalogue and resume after the
+   * cursor's (value, sku) pair, so pages stay stable while products are added.
+   */
+  async listProducts(options = {}) {
+    const query = this.parseListQuery(options);
+
+    return await withImmudb(async (client) => {
+      const page = query.sort === 'sku'
+        ? await this.pageByKey(client, query)
+        : await this.pageBySortField(client, query);
+
+      const hasMore = page.length > query.limit;
+      const products = page.slice(0, query.limit);
+      const last = products[products.length - 1];
+
+      return {
+        products,
+        has_more: hasMore,
+        next_cursor: hasMore ? this.encodeCursor(query, last) : null,
+        sort: query.sort,
+        order: query.order,
+        limit: query.limit,
+        filters_applied: query.filters
+      };
+    });
+  }
+
+  /**
+   * Up to limit + 1 matching products in key order, scanning only as far as needed
+   */
+  async pageByKey(client, query) {
+    const matches = [];
+    let seekkey = query.cursor ? `product:${query.cursor.sku}` : undefined;
+
+    for (;;) {
+      const { entries, exhausted } = await scanPage(client, 'product:', {
+        seekkey,
+        limit: Math.max(query.limit + 1, DEFAULT_PAGE_SIZE),
+        desc: query.order === 'desc'
+      });
+
+      for (const item of entries) {
+        const product = JSON.parse(item.value);
+        if (this.matchesFilters(product, query.filters)) matches.push(product);
+        if (matches.length > query.limit) return matches;
+      }
+
+      if (exhausted || entries.length === 0) return matches;
+      seekkey = entries[entries.length - 1].key;
+    }
+  }
+
+  /**
+   * Up to limit + 1 matching products after the cursor in (sort field, sku) order
+   */
+  async pageBySortField(client, query) {
+    const products = (await scanPrefix(client, 'product:'))
+      .map(item => JSON.parse(item.value))
+      .filter(product => this.matchesFilters(product, query.filters))
+      .sort((a, b) => this.compareProducts(a, b, query));
+
+    const start = query.cursor
+      ? products.findIndex(product => this.compareProducts(product, { [query.sort]: query.cursor.value, sku: query.cursor.sku }, query) > 0)
+      : 0;
+
+    return start === -1 ? [] : products.slice(start, start + query.limit + 1);
+  }
+
+  /**
+   * Order two products by the sort field, then sku so equal values keep a stable order
+   */
+  compareProducts(a, b, { sort, order }) {
+    const valueA = a[sort] == null ? '' : a[sort];
+    const valueB = b[sort] == null ? '' : b[sort];
+    const byField = typeof valueA === 'number' && typeof valueB === 'number'
+      ? valueA - valueB
+      : String(valueA).localeCompare(String(valueB));
+    const result = byField || (a.sku < b.sku ? -1 : a.sku > b.sku ? 1 : 0);
+
+    return order === 'desc' ? -result : result;
+  }
+
+  /**
+   * Whether a product passes the listing filters
+   */
+  matchesFilters(product, filters) {
+    const equalsIgnoreCase = (value, expected) => String(value || '').toLowerCase() === expected.toLowerCase();
+
+    if (filters.parent_sku && product.parent_sku !== filters.parent_sku) return false;
+    if (filters.status && (product.status || PRODUCT_STATUSES.ACTIVE) !== filters.status) return false;
+    if (filters.category && !equalsIgnoreCase(product.category, filters.category)) return false;
+    if (filters.supplier && !equalsIgnoreCase(product.supplier, filters.supplier)) return false;
+    if (filters.min_price !== undefined && !(product.price >= filters.min_price)) return false;
+    if (filters.max_price !== undefined && !(product.price <= filters.max_price)) return false;
+    if (filters.q && !String(product.name || '').toLowerCase().includes(filters.q.toLowerCase())) return false;
+
+    return true;
+  }
+
+  /**
+   * Validated listing options from a query string
+   */
+  parseListQuery({ status, parent_sku, category, supplier, min_price, max_price, q, sort = 'sku', order = 'asc', limit, cursor } = {}) {
+    if (!SORT_FIELDS.includes(sort)) {
+      throw new RequestError(`Invalid sort field: ${sort}. Valid fields: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    if (order !== 'asc' && order !== 'desc') {
+      throw new RequestError('Invalid order. Use asc or desc.');
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      throw new RequestError(`Invalid limit. Must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+
+    const filters = {};
+    if (status) {
+      if (!Object.values(PRODUCT_STATUSES).includes(status)) {
+        throw new RequestError(`Invalid status: ${status}. Valid statuses: ${Object.values(PRODUCT_STATUSES).join(', ')}`);
+      }
+      filters.status = status;
+    }
+    if (parent_sku) filters.parent_sku = String(parent_sku);
+    if (category) filters.category = String(category);
+    if (supplier) filters.supplier = String(supplier);
+    if (q) filters.q = String(q);
+
+    for (const [field, value] of [['min_price', min_price], ['max_price', max_price]]) {
+      if (value === undefined || value === '') continue;
+      const price = Number(value);
+      if (!isFinite(price)) {
+        throw new RequestError(`Invalid ${field}. Must be a number.`);
+      }
+      filters[field] = price;
+    }
+
+    const query = { filters, sort, order, limit: pageSize, cursor: null };
+    if (cursor) {
+      query.cursor = this.decodeCursor(cursor, query);
+    }
+
+    return query;
+  }
+
+  /**
+   * Opaque cursor pointing just after a product in the given ordering
+   */
+  encodeCursor({ sort, order }, product) {
+    const position = { sort, order, sku: product.sku };
+    if (sort !== 'sku') position.value = product[sort];
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor, rejecting one issued for a different ordering
+   */
+  decodeCursor(cursor, { sort, order }) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (parseError) {
+      throw new RequestError('Invalid cursor');
+    }
+
+    if (!position || typeof position.sku !== 'string' || position.sort !== sort || position.order !== order) {
+      throw new RequestError('Invalid cursor for this sort and order');
+    }
+
+    return position;
+  }
+
+  /**
+   * Every version of a product from immudb's key history, oldest first
+   */
+  async getVersions(sku) {
+    return await withImmudb(async (client) => {
+      const history = await getHistory(client, `product:${sku}`);
+
+      return history.map((entry, index) => {
+        const product = JSON.parse(entry.value);
+        return {
+          version: product.version || index + 1,
+          immudb_tx_id: entry.tx,
+          changed_at: product.updated_at || product.created_at,
+          changed_by: product.updated_by || product.created_by || null,
+          product
+        };
+      });
+    });
+  }
+
+  /**
+   * The product version in effect at a timestamp (null if the product did not exist yet)
+   */
+  async getVersionAt(sku, asOf) {
+    const versions = await this.getVersions(sku);
+    const valid = versions.filter(version => new Date(version.changed_at) <= asOf);
+    return valid.length > 0 ? valid[valid.length - 1] : null;
+  }
+
+  /**
+   * Key/value pair storing the latest version of a product
+   */
+  productEntry(product) {
+    return {
+      key: Buffer.from(`product:${product.sku}`),
+      value: objToBuffer(product)
+    };
+  }
+}
+
+module.exports = { ProductManager: new ProductManager(), UPDATABLE_FIELDS, SORT_FIELDS, PRODUCT_STATUSES };
@@ -0,0 +1,403 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { SupplierManager, SUPPLIER_STATUSES, SUPPLIER_ITEM_STATUSES } = require('./supplier-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const PO_STATUSES = {
+  DRAFT: 'DRAFT',
+  APPROVED: 'APPROVED',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  RECEIVED: 'RECEIVED',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED'
+};
+
+const DISCREPANCY_TYPES = {
+  OVER_RECEIPT: 'OVER_RECEIPT',
+  UNDER_RECEIPT: 'UNDER_RECEIPT'
+};
+
+/**
+ * Purchase orders against a supplier. Every state change writes a new version of
+ * `purchase_order:<id>`, so immudb keeps the full history of the order; receipts
+ * post IN transactions linked to their PO line in the same immudb transaction.
+ */
+class PurchaseOrderManager {
+  /**
+   * Create a draft purchase order. With a registered supplier_id, every SKU must be one the
+   * supplier provides; lines default to its cost and the order to its lead time.
+   */
+  async createPurchaseOrder(orderData, performedBy) {
+    const {
+      supplier,
+      supplier_id = null,
+      location_id = DEFAULT_LOCATION_ID,
+      expected_at = null,
+      notes = null,
+      lines
+    } = orderData;
+
+    if ((!supplier && !supplier_id) || !Array.isArray(lines) || lines.length === 0) {
+      throw new RequestError('Missing required purchase order fields (supplier or supplier_id, lines)');
+    }
+
+    if (expected_at && isNaN(new Date(expected_at).getTime())) {
+      throw new RequestError('Invalid expected_at format. Use ISO 8601 format: YYYY-MM-DDTHH:mm:ss.sssZ');
+    }
+
+    for (const line of lines) {
+      if (!line.sku || !Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new RequestError('Each line requires a sku and a quantity that is a positive integer');
+      }
+      if (line.unit_cost != null && (typeof line.unit_cost !== 'number' || line.unit_cost < 0)) {
+        throw new RequestError(`Invalid unit_cost for SKU '${line.sku}'`);
+      }
+    }
+
+    await LocationManager.getActiveLocation(location_id);
+
+    return await withImmudb(async (client) => {
+      let registeredSupplier = null;
+      if (supplier_id) {
+        registeredSupplier = await getObj(client, `supplier:${supplier_id}`);
+        if (!registeredSupplier) {
+          throw new RequestError(`Supplier '${supplier_id}' not found`);
+        }
+        if (registeredSupplier.status !== SUPPLIER_STATUSES.ACTIVE) {
+          throw new RequestError(`Supplier '${supplier_id}' is not active`);
+        }
+      }
+
+      const offers = [];
+      for (const line of lines) {
+        const product = await getObj(client, `product:${line.sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${line.sku}' not found`);
+        }
+        InventoryLedger.checkMovementAllowed(product, 'IN');
+
+        if (!registeredSupplier) {
+          offers.push(null);
+          continue;
+        }
+
+        const item = await getObj(client, SupplierManager.itemKey(supplier_id, line.sku));
+        if (!item || item.status !== SUPPLIER_ITEM_STATUSES.ACTIVE) {
+          throw new RequestError(`Supplier '${supplier_id}' does not supply SKU '${line.sku}'`);
+        }
+
+        const offer = SupplierManager.buildOffer(registeredSupplier, item);
+        if (offer.min_order_quantity && line.quantity < offer.min_order_quantity) {
+          throw new RequestError(`Quantity for SKU '${line.sku}' is below supplier '${supplier_id}' minimum order quantity of ${offer.min_order_quantity}`);
+        }
+        offers.push(offer);
+      }
+
+      const now = new Date().toISOString();
+
+      // Without a date, the order is expected after the longest lead time among its lines
+      const leadTimes = offers.filter(offer => offer && offer.lead_time_days != null).map(offer => offer.lead_time_days);
+      const expectedAt = expected_at
+        ? new Date(expected_at).toISOString()
+        : (leadTimes.length > 0 ? new Date(Date.parse(now) + Math.max(...leadTimes) * 86400000).toISOString() : null);
+
+      const purchaseOrder = {
+        po_id: generateUuid(),
+        supplier: supplier || registeredSupplier.name,
+        supplier_id,
+        currency: registeredSupplier ? registeredSupplier.currency : null,
+        location_id,
+        expected_at: expectedAt,
+        notes,
+        lines: lines.map((line, index) => ({
+          line_id: String(index + 1),
+          sku: line.sku,
+          supplier_part_number: offers[index] ? offers[index].supplier_part_number : null,
+          quantity_ordered: line.quantity,
+          quantity_received: 0,
+          unit_cost: line.unit_cost != null ? line.unit_cost : (offers[index] ? offers[index].unit_cost : null)
+        })),
+        status: PO_STATUSES.DRAFT,
+        receipts: [],
+        discrepancies: [],
+        status_history: [{ status: PO_STATUSES.DRAFT, changed_at: now, changed_by: performedBy, reason: null }],
+        created_at: now,
+        created_by: performedBy,
+        updated_at: now
+      };
+
+      const setResponse = await client.set(this.purchaseOrderEntry(purchaseOrder));
+
+      return {
+        purchase_order: purchaseOrder,
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Approve a draft purchase order so it can be received against
+   */
+  async approvePurchaseOrder(poId, performedBy) {
+    return await this.changeStatus(poId, [PO_STATUSES.DRAFT], PO_STATUSES.APPROVED, performedBy, null, (po, now) => ({
+      approved_at: now,
+      approved_by: performedBy
+    }));
+  }
+
+  /**
+   * Close a purchase order; lines received short are flagged as under-receipts
+   */
+  async closePurchaseOrder(poId, performedBy, reason = null) {
+    const closable = [PO_STATUSES.APPROVED, PO_STATUSES.PARTIALLY_RECEIVED, PO_STATUSES.RECEIVED];
+    return await this.changeStatus(poId, closable, PO_STATUSES.CLOSED, performedBy, reason, (po, now) => ({
+      closed_at: now,
+      closed_by: performedBy,
+      discrepancies: [
+        ...po.discrepancies,
+        ...po.lines
+          .filter(line => line.quantity_received < line.quantity_ordered)
+          .map(line => this.buildDiscrepancy(DISCREPANCY_TYPES.UNDER_RECEIPT, line, now))
+      ]
+    }));
+  }
+
+  /**
+   * Cancel a purchase order that has not been received against
+   */
+  async cancelPurchaseOrder(poId, performedBy, reason = null) {
+    return await this.changeStatus(poId, [PO_STATUSES.DRAFT, PO_STATUSES.APPROVED], PO_STATUSES.CANCELLED, performedBy, reason, (po, now) => ({
+      cancelled_at: now,
+      cancelled_by: performedBy,
+      cancellation_reason: reason
+    }));
+  }
+
+  /**
+   * Receive stock against PO lines. Each received line becomes an IN transaction carrying
+   * purchase_order_id and po_line_id; quantities beyond the ordered amount are accepted and flagged.
+   */
+  async receivePurchaseOrder(poId, receiptData, performedBy) {
+    const { location_id, lines } = receiptData;
+
+    // Receipts and status changes of one order run one at a time, so each builds on the order as
+    // the previous one left it and a receipt cannot land on an order being closed or cancelled
+    return await withLock(`purchase_order:${poId}`, async () => {
+      const existing = await this.getPurchaseOrder(poId);
+      if (!existing) {
+        throw new RequestError(`Purchase order '${poId}' not found`);
+      }
+
+      if (existing.status !== PO_STATUSES.APPROVED && existing.status !== PO_STATUSES.PARTIALLY_RECEIVED) {
+        throw new RequestError(`Purchase order '${poId}' cannot be received while ${existing.status}`);
+      }
+
+      if (!Array.isArray(lines) || lines.length === 0) {
+        throw new RequestError('Missing required receipt field (lines)');
+      }
+
+      const receivingLocationId = location_id || existing.location_id;
+      await LocationManager.getActiveLocation(receivingLocationId);
+
+      return await withImmudb(async (client) => {
+        const now = new Date().toISOString();
+        const poLines = existing.lines.map(line => ({ ...line }));
+        const discrepancies = [...existing.discrepancies];
+        const transactions = [];
+        const receiptLines = [];
+
+        for (const receiptLine of lines) {
+          const poLine = poLines.find(line => line.line_id === String(receiptLine.line_id));
+          if (!poLine) {
+            throw new RequestError(`Purchase order '${poId}' has no line '${receiptLine.line_id}'`);
+          }
+
+          if (!Number.isInteger(receiptLine.quantity) || receiptLine.quantity <= 0) {
+            throw new RequestError(`Invalid quantity for line '${poLine.line_id}'. Quantity must be a positive integer.`);
+          }
+
+          const product = await getObj(client, `product:${poLine.sku}`);
+          InventoryLedger.checkMovementAllowed(product, 'IN');
+
+          const skuTransactions = [
+            ...await InventoryLedger.getTransactions(client, { sku: poLine.sku }),
+            ...transactions.filter(tx => tx.sku === poLine.sku)
+          ];
+
+          const trackingDetails = InventoryLedger.prepareInbound(product, skuTransactions, {
+            quantity: receiptLine.quantity,
+            location_id: receivingLocationId,
+            lot_number: receiptLine.lot_number,
+            manufactured_at: receiptLine.manufactured_at,
+            expires_at: receiptLine.expires_at,
+            serial_numbers: receiptLine.serial_numbers
+          });
+
+          const transaction = InventoryLedger.buildTransaction({
+            sku: poLine.sku,
+            type: 'IN',
+            quantity_change: receiptLine.quantity,
+            location_id: receivingLocationId,
+            reason: `Receipt against purchase order ${poId}`,
+            performed_by: performedBy,
+            purchase_order_id: poId,
+            po_line_id: poLine.line_id,
+            ...(poLine.unit_cost != null && { unit_cost: poLine.unit_cost }),
+            ...trackingDetails
+          });
+          transactions.push(transaction);
+
+          const wasOverReceived = poLine.quantity_received > poLine.quantity_ordered;
+          poLine.quantity_received += receiptLine.quantity;
+          if (!wasOverReceived && poLine.quantity_received > poLine.quantity_ordered) {
+            discrepancies.push(this.buildDiscrepancy(DISCREPANCY_TYPES.OVER_RECEIPT, poLine, now));
+          }
+
+          receiptLines.push({
+            line_id: poLine.line_id,
+            sku: poLine.sku,
+            quantity: receiptLine.quantity,
+            transaction_id: transaction.transaction_id
+          });
+        }
+
+        const fullyReceived = poLines.every(line => line.quantity_received >= line.quantity_ordered);
+        const status = fullyReceived ? PO_STATUSES.RECEIVED : PO_STATUSES.PARTIALLY_RECEIVED;
+
+        const purchaseOrder = {
+          ...existing,
+          lines: poLines,
+          status,
+          receipts: [
+            ...existing.receipts,
+            {
+              receipt_id: generateUuid(),
+              location_id: receivingLocationId,
+              received_at: now,
+              received_by: performedBy,
+              lines: receiptLines
+            }
+          ],
+          discrepancies,
+          status_history: status === existing.status
+            ? existing.status_history
+            : [...existing.status_history, { status, changed_at: now, changed_by: performedBy, reason: null }],
+          updated_at: now
+        };
+
+        const txResponse = await InventoryLedger.recordTransactions(client, transactions, [
+          this.purchaseOrderEntry(purchaseOrder)
+        ]);
+
+        return {
+          purchase_order: purchaseOrder,
+          transactions,
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Get purchase order by ID
+   */
+  async getPurchaseOrder(poId) {
+    return await withImmudb(async (client) => getObj(client, `purchase_order:${poId}`));
+  }
+
+  /**
+   * List purchase orders with filtering
+   */
+  async listPurchaseOrders(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'purchase_order:');
+      const purchaseOrders = [];
+
+      for (const item of entries) {
+        try {
+          const purchaseOrder = JSON.parse(item.value);
+
+          if (filters.status && purchaseOrder.status !== filters.status) continue;
+          if (filters.supplier && purchaseOrder.supplier !== filters.supplier) continue;
+          if (filters.supplier_id && purchaseOrder.supplier_id !== filters.supplier_id) continue;
+          if (filters.sku && !purchaseOrder.lines.some(line => line.sku === filters.sku)) continue;
+
+          purchaseOrders.push(purchaseOrder);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return purchaseOrders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    });
+  }
+
+  /**
+   * Move a purchase order to a new status, recording who changed it and why
+   */
+  async changeStatus(poId, allowedStatuses, status, performedBy, reason, buildChanges) {
+    // Shares receivePurchaseOrder's lock, so the status check and the write cannot interleave
+    return await withLock(`purchase_order:${poId}`, async () => {
+      const existing = await this.getPurchaseOrder(poId);
+      if (!existing) {
+        throw new RequestError(`Purchase order '${poId}' not found`);
+      }
+
+      if (existing.status === status) {
+        throw new RequestError(`Purchase order '${poId}' is already ${status}`);
+      }
+
+      if (!allowedStatuses.includes(existing.status)) {
+        throw new RequestError(`Purchase order '${poId}' cannot move from ${existing.status} to ${status}`);
+      }
+
+      const now = new Date().toISOString();
+      const purchaseOrder = {
+        ...existing,
+        ...buildChanges(existing, now),
+        status,
+        status_history: [...existing.status_history, { status, changed_at: now, changed_by: performedBy, reason }],
+        updated_at: now
+      };
+
+      return await withImmudb(async (client) => {
+        const setResponse = await client.set(this.purchaseOrderEntry(purchaseOrder));
+
+        return {
+          purchase_order: purchaseOrder,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Over- or under-receipt flag for a PO line
+   */
+  buildDiscrepancy(type, line, flaggedAt) {
+    return {
+      type,
+      line_id: line.line_id,
+      sku: line.sku,
+      quantity_ordered: line.quantity_ordered,
+      quantity_received: line.quantity_received,
+      difference: line.quantity_received - line.quantity_ordered,
+      flagged_at: flaggedAt
+    };
+  }
+
+  /**
+   * Key/value pair storing the latest version of a purchase order
+   */
+  purchaseOrderEntry(purchaseOrder) {
+    return {
+      key: Buffer.from(`purchase_order:${purchaseOrder.po_id}`),
+      value: objToBuffer(purchaseOrder)
+    };
+  }
+}
+
+module.exports = { PurchaseOrderManager: new PurchaseOrderManager(), PO_STATUSES, DISCREPANCY_TYPES };
@@ -0,0 +1,235 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, PRODUCT_STATUSES } = require('./inventory-ledger');
+const { ReservationManager } = require('./reservation-manager');
+const { PO_STATUSES } = require('./purchase-order-manager');
+const { SupplierManager } = require('./supplier-manager');
+const { generateUuid } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const REORDER_FIELDS = ['reorder_point', 'reorder_quantity', 'safety_stock'];
+
+const ALERT_STATUSES = {
+  OPEN: 'OPEN',
+  RESOLVED: 'RESOLVED'
+};
+
+const ALERT_LEVELS = {
+  BELOW_REORDER_POINT: 'BELOW_REORDER_POINT',
+  BELOW_SAFETY_STOCK: 'BELOW_SAFETY_STOCK'
+};
+
+/**
+ * Reorder points and low-stock alerts. A SKU is evaluated on its available stock
+ * (AVAILABLE stock minus reserved, all locations); crossing below its reorder point opens a
+ * `reorder_alert:<sku>` record, and recovering above it resolves the alert.
+ */
+class ReorderManager {
+  /**
+   * Validated reorder settings from a request body (only the fields given)
+   */
+  parseReorderSettings(data) {
+    const settings = {};
+
+    for (const field of REORDER_FIELDS) {
+      if (data[field] === undefined) continue;
+      if (data[field] !== null && (!Number.isInteger(data[field]) || data[field] < 0)) {
+        throw new RequestError(`Invalid ${field}. Must be a non-negative integer or null.`);
+      }
+      settings[field] = data[field];
+    }
+
+    return settings;
+  }
+
+  /**
+   * Re-evaluate the alerts of SKUs whose available stock just changed (use inside withImmudb).
+   * SKUs without a reorder point cost one product read; the rest share a single scan of the
+   * ledger and of reservations, however many SKUs the write touched.
+   */
+  async evaluateSkus(client, skus) {
+    const products = [];
+    for (const sku of new Set(skus)) {
+      const product = await getObj(client, `product:${sku}`);
+      if (product && product.reorder_point != null) products.push(product);
+    }
+    if (products.length === 0) return;
+
+    const evaluated = new Set(products.map(product => product.sku));
+    const transactionsBySku = {};
+    for (const tx of await InventoryLedger.getTransactions(client)) {
+      if (!evaluated.has(tx.sku)) continue;
+      (transactionsBySku[tx.sku] = transactionsBySku[tx.sku] || []).push(tx);
+    }
+    const reservedBySku = ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
+
+    for (const product of products) {
+      const { sku } = product;
+      const stock = InventoryLedger.summarizeStock(transactionsBySku[sku] || []);
+      const reserved = Object.values(reservedBySku[sku] || {}).reduce((sum, qty) => sum + qty, 0);
+      const available = stock.available_stock - reserved;
+
+      const existing = await getObj(client, `reorder_alert:${sku}`);
+      const isOpen = existing && existing.status === ALERT_STATUSES.OPEN;
+      const now = new Date().toISOString();
+
+      if (available <= product.reorder_point) {
+        const level = product.safety_stock != null && available <= product.safety_stock
+          ? ALERT_LEVELS.BELOW_SAFETY_STOCK
+          : ALERT_LEVELS.BELOW_REORDER_POINT;
+
+        if (isOpen && existing.level === level) continue;
+
+        await client.set(this.alertEntry({
+          ...(isOpen ? existing : { alert_id: generateUuid(), sku, triggered_at: now }),
+          status: ALERT_STATUSES.OPEN,
+          level,
+          available,
+          reorder_point: product.reorder_point,
+          safety_stock: product.safety_stock != null ? product.safety_stock : null,
+          updated_at: now
+        }));
+      } else if (isOpen) {
+        await client.set(this.alertEntry({
+          ...existing,
+          status: ALERT_STATUSES.RESOLVED,
+          available,
+          resolved_at: now,
+          updated_at: now
+        }));
+      }
+    }
+  }
+
+  /**
+   * Re-evaluate alerts once a write that changed available stock is stored; alerting must
+   * never fail the write, so errors are only logged
+   */
+  async evaluateAfterWrite(client, skus) {
+    try {
+      await this.evaluateSkus(client, skus);
+    } catch (alertError) {
+      console.warn('Error evaluating reorder alerts:', alertError);
+    }
+  }
+
+  /**
+   * Reorder suggestions for every active SKU whose inventory position (available plus open
+   * purchase order quantity) is at or below its reorder point. The preferred supplier's
+   * minimum order quantity is a floor on the suggested quantity.
+   */
+  async getReorderSuggestions(filters = {}) {
+    return await withImmudb(async (client) => {
+      const products = (await scanPrefix(client, 'product:'))
+        .map(item => JSON.parse(item.value))
+        .filter(product => product.reorder_point != null)
+        .filter(product => (product.status || PRODUCT_STATUSES.ACTIVE) === PRODUCT_STATUSES.ACTIVE)
+        .filter(product => !filters.sku || product.sku === filters.sku);
+
+      const transactions = await InventoryLedger.getTransactions(client);
+      const reservedBySku = ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
+      const onOrderBySku = this.summarizeOnOrder(
+        (await scanPrefix(client, 'purchase_order:')).map(item => JSON.parse(item.value))
+      );
+      const offersBySku = await SupplierManager.getOffersBySku(client);
+
+      const suggestions = [];
+      for (const product of products) {
+        const stock = InventoryLedger.summarizeStock(transactions.filter(tx => tx.sku === product.sku));
+        const onHand = stock.current_stock;
+        const reserved = Object.values(reservedBySku[product.sku] || {}).reduce((sum, qty) => sum + qty, 0);
+        const available = stock.available_stock - reserved;
+        const onOrder = onOrderBySku[product.sku] || 0;
+        const inventoryPosition = available + onOrder;
+
+        if (inventoryPosition > product.reorder_point) continue;
+
+        const suppliers = offersBySku[product.sku] || [];
+        const preferredSupplier = suppliers[0] || null;
+        if (filters.supplier_id && (!preferredSupplier || preferredSupplier.supplier_id !== filters.supplier_id)) continue;
+
+        suggestions.push({
+          sku: product.sku,
+          name: product.name,
+          supplier: product.supplier || null,
+          on_hand: onHand,
+          reserved,
+          available,
+          on_order: onOrder,
+          inventory_position: inventoryPosition,
+          reorder_point: product.reorder_point,
+          safety_stock: product.safety_stock != null ? product.safety_stock : null,
+          reorder_quantity: product.reorder_quantity != null ? product.reorder_quantity : null,
+          suggested_order_quantity: Math.max(
+            product.reorder_quantity || 0,
+            product.reorder_point - inventoryPosition,
+            (preferredSupplier && preferredSupplier.min_order_quantity) || 0
+          ),
+          preferred_supplier: preferredSupplier,
+          suppliers,
+          priority: product.safety_stock != null && available <= product.safety_stock ? 'CRITICAL' : 'NORMAL'
+        });
+      }
+
+      return suggestions.sort((a, b) =>
+        (a.priority === b.priority ? 0 : a.priority === 'CRITICAL' ? -1 : 1) ||
+        (a.inventory_position - a.reorder_point) - (b.inventory_position - b.reorder_point)
+      );
+    });
+  }
+
+  /**
+   * List low-stock alerts with filtering
+   */
+  async listAlerts(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'reorder_alert:');
+      const alerts = [];
+
+      for (const item of entries) {
+        try {
+          const alert = JSON.parse(item.value);
+
+          if (filters.status && alert.status !== filters.status) continue;
+          if (filters.sku && alert.sku !== filters.sku) continue;
+
+          alerts.push(alert);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return alerts.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    });
+  }
+
+  /**
+   * Quantity still expected per SKU from approved purchase orders
+   */
+  summarizeOnOrder(purchaseOrders) {
+    const onOrder = {};
+
+    for (const purchaseOrder of purchaseOrders) {
+      if (purchaseOrder.status !== PO_STATUSES.APPROVED && purchaseOrder.status !== PO_STATUSES.PARTIALLY_RECEIVED) continue;
+
+      for (const line of purchaseOrder.lines) {
+        const outstanding = Math.max(0, line.quantity_ordered - line.quantity_received);
+        onOrder[line.sku] = (onOrder[line.sku] || 0) + outstanding;
+      }
+    }
+
+    return onOrder;
+  }
+
+  /**
+   * Key/value pair storing the latest state of a SKU's low-stock alert
+   */
+  alertEntry(alert) {
+    return {
+      key: Buffer.from(`reorder_alert:${alert.sku}`),
+      value: objToBuffer(alert)
+    };
+  }
+}
+
+module.exports = { ReorderManager: new ReorderManager(), REORDER_FIELDS, ALERT_STATUSES, ALERT_LEVELS };
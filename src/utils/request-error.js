@@ -0,0 +1,21 @@
+/**
+ * An error the caller can correct: invalid input, an unknown record, or a state that does not
+ * allow the operation. Routes answer these with a 4xx chosen from the message; any other error
+ * (immudb unavailable, a bug) is an internal failure and answers 500 so clients know to retry.
+ */
+class RequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequestError';
+  }
+}
+
+/**
+ * JSON body for a failed request: a RequestError's own message, or the route's generic
+ * failure message with the underlying error for anything else
+ */
+const errorBody = (error, failureMessage) => (error instanceof RequestError
+  ? { message: error.message }
+  : { message: failureMessage, error: error && error.message ? error.message : String(error) });
+
+module.exports = { RequestError, errorBody };
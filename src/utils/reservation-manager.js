@@ -0,0 +1,361 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const RESERVATION_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  RELEASED: 'RELEASED',
+  COMMITTED: 'COMMITTED',
+  EXPIRED: 'EXPIRED' // Derived: an ACTIVE reservation past its expires_at
+};
+
+const DEFAULT_RESERVATION_TTL_MINUTES = 24 * 60;
+
+/**
+ * Holds stock for orders in flight. Reservations never touch the ledger until they
+ * are committed; they only reduce what is available to promise.
+ */
+class ReservationManager {
+  /**
+   * Reserve stock at a location against what is currently available
+   */
+  async createReservation(reservationData, performedBy) {
+    const {
+      sku,
+      quantity,
+      location_id = DEFAULT_LOCATION_ID,
+      reference = null,
+      expires_at,
+      ttl_minutes = DEFAULT_RESERVATION_TTL_MINUTES
+    } = reservationData;
+
+    if (!sku || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new RequestError('Missing or invalid reservation fields (sku, quantity). Quantity must be a positive integer.');
+    }
+
+    const now = new Date();
+    const expiresAt = expires_at ? new Date(expires_at) : new Date(now.getTime() + ttl_minutes * 60 * 1000);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= now) {
+      throw new RequestError('expires_at must be a future ISO 8601 timestamp');
+    }
+
+    await LocationManager.getActiveLocation(location_id);
+
+    return await InventoryLedger.withStockLock([sku], async () => {
+      return await withImmudb(async (client) => {
+        const product = await getObj(client, `product:${sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+        InventoryLedger.checkMovementAllowed(product, 'OUT');
+
+        const availability = await this.getAvailability(client, sku, location_id);
+        if (availability.available < quantity) {
+          throw new RequestError(`Insufficient available stock for SKU '${sku}' at location '${location_id}'. Available: ${availability.available}, attempting to reserve: ${quantity}.`);
+        }
+
+        const reservation = this.buildReservation({
+          sku,
+          quantity,
+          location_id,
+          reference,
+          expires_at: expiresAt.toISOString()
+        }, performedBy);
+
+        const setResponse = await client.set(this.reservationEntry(reservation));
+
+        // Reserving lowers available stock, so it may open a low-stock alert.
+        // Required here because the reorder manager itself depends on reservations.
+        const { ReorderManager } = require('./reorder-manager');
+        await ReorderManager.evaluateAfterWrite(client, [sku]);
+
+        return {
+          reservation,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Release an active (or expired) reservation without moving stock
+   */
+  async releaseReservation(reservationId, performedBy, reason = null) {
+    // The status check and the write must not interleave with another release or commit
+    return await withLock(`reservation:${reservationId}`, async () => {
+      const existing = await this.requireDirectReservation(reservationId, 'released');
+      const reservation = this.buildRelease(existing, performedBy, reason);
+
+      return await withImmudb(async (client) => {
+        const setResponse = await client.set(this.reservationEntry(reservation));
+
+        // Released stock is available again and may resolve a low-stock alert
+        const { ReorderManager } = require('./reorder-manager');
+        await ReorderManager.evaluateAfterWrite(client, [reservation.sku]);
+
+        return {
+          reservation,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Commit a reservation: post the OUT transaction for the reserved stock and close the
+   * reservation in the same immudb transaction
+   */
+  async commitReservation(reservationId, performedBy, commitData = {}) {
+    const { reason, lot_number, serial_numbers } = commitData;
+
+    // buildCommit leaves the reservation's own quantity out of its stock check, so two commits
+    // of one reservation would both pass it; they run one at a time and the second finds it COMMITTED
+    return await withLock(`reservation:${reservationId}`, async () => {
+      const existing = await this.requireDirectReservation(reservationId, 'committed');
+
+      return await InventoryLedger.withStockLock([existing.sku], async () => {
+        return await withImmudb(async (client) => {
+          const { reservation, transaction } = await this.buildCommit(client, existing, performedBy, {
+            reason,
+            lot_number,
+            serial_numbers
+          });
+
+          const txResponse = await InventoryLedger.recordTransactions(client, [transaction], [
+            this.reservationEntry(reservation)
+          ]);
+
+          return {
+            reservation,
+            transaction,
+            immudb_tx_hash: txResponse.id.toString()
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * A reservation that may be released or committed on its own. Reservations allocated by a
+   * sales order are released or committed by cancelling or shipping the order, under its lock.
+   */
+  async requireDirectReservation(reservationId, action) {
+    const existing = await this.getReservation(reservationId);
+    if (!existing) {
+      throw new RequestError(`Reservation '${reservationId}' not found`);
+    }
+
+    if (existing.reference) {
+      const salesOrder = await withImmudb(async (client) => getObj(client, `sales_order:${existing.reference}`));
+      if (salesOrder && (salesOrder.allocations || []).some(allocation => allocation.reservation_id === reservationId)) {
+        throw new RequestError(`Reservation '${reservationId}' belongs to sales order '${salesOrder.so_id}' and cannot be ${action} directly`);
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * Get reservation by ID
+   */
+  async getReservation(reservationId) {
+    const reservation = await withImmudb(async (client) => getObj(client, `reservation:${reservationId}`));
+    return reservation && this.withEffectiveStatus(reservation);
+  }
+
+  /**
+   * List reservations with filtering
+   */
+  async listReservations(filters = {}) {
+    return await withImmudb(async (client) => {
+      const reservations = await this.getReservations(client);
+
+      return reservations
+        .filter(reservation => {
+          if (filters.status && reservation.status !== filters.status) return false;
+          if (filters.sku && reservation.sku !== filters.sku) return false;
+          if (filters.location_id && reservation.location_id !== filters.location_id) return false;
+          if (filters.reference && reservation.reference !== filters.reference) return false;
+          return true;
+        })
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    });
+  }
+
+  /**
+   * All reservations with their effective status (use inside withImmudb)
+   */
+  async getReservations(client) {
+    const entries = await scanPrefix(client, 'reservation:');
+    const reservations = [];
+
+    for (const item of entries) {
+      try {
+        reservations.push(this.withEffectiveStatus(JSON.parse(item.value)));
+      } catch (parseError) {
+        continue; // Skip invalid entries
+      }
+    }
+
+    return reservations;
+  }
+
+  /**
+   * Reserved quantity per sku and location from reservations still holding stock
+   */
+  summarizeReserved(reservations) {
+    const reserved = {};
+
+    for (const reservation of reservations) {
+      if (reservation.status !== RESERVATION_STATUSES.ACTIVE) continue;
+      reserved[reservation.sku] = reserved[reservation.sku] || {};
+      reserved[reservation.sku][reservation.location_id] =
+        (reserved[reservation.sku][reservation.location_id] || 0) + reservation.quantity;
+    }
+
+    return reserved;
+  }
+
+  /**
+   * On-hand, held, reserved and available stock of one SKU at one location (use inside withImmudb).
+   * Held stock is on hand in a status other than AVAILABLE.
+   */
+  async getAvailability(client, sku, locationId, options = {}) {
+    const transactions = options.transactions || await InventoryLedger.getTransactions(client, { sku });
+    const stock = InventoryLedger.summarizeStock(
+      transactions.filter(tx => tx.location_id === locationId)
+    );
+
+    const excluded = options.excludeReservationIds || [];
+    const reservations = (await this.getReservations(client))
+      .filter(reservation => !excluded.includes(reservation.reservation_id));
+    const reserved = ((this.summarizeReserved(reservations)[sku] || {})[locationId]) || 0;
+
+    return {
+      on_hand: stock.current_stock,
+      held: stock.current_stock - stock.available_stock,
+      reserved,
+      available: stock.available_stock - reserved
+    };
+  }
+
+  /**
+   * New ACTIVE reservation record (expires_at null holds the stock until released or committed)
+   */
+  buildReservation({ sku, quantity, location_id, reference = null, expires_at = null }, performedBy) {
+    return {
+      reservation_id: generateUuid(),
+      sku,
+      quantity,
+      location_id,
+      reference,
+      status: RESERVATION_STATUSES.ACTIVE,
+      expires_at,
+      created_at: new Date().toISOString(),
+      created_by: performedBy
+    };
+  }
+
+  /**
+   * Released version of an active (or expired) reservation
+   */
+  buildRelease(existing, performedBy, reason = null) {
+    if (existing.status !== RESERVATION_STATUSES.ACTIVE && existing.status !== RESERVATION_STATUSES.EXPIRED) {
+      throw new RequestError(`Reservation '${existing.reservation_id}' is already ${existing.status}`);
+    }
+
+    return {
+      ...existing,
+      status: RESERVATION_STATUSES.RELEASED,
+      released_at: new Date().toISOString(),
+      released_by: performedBy,
+      release_reason: reason
+    };
+  }
+
+  /**
+   * OUT transaction for an active reservation and its committed version, not yet written
+   * (use inside withImmudb). pendingTransactions are entries built but not recorded yet,
+   * so several commits in one write do not consume the same lots or serials.
+   */
+  async buildCommit(client, existing, performedBy, commitData = {}, pendingTransactions = []) {
+    const { reason, lot_number, serial_numbers, ...details } = commitData;
+    const { reservation_id: reservationId, sku, quantity, location_id } = existing;
+
+    if (existing.status !== RESERVATION_STATUSES.ACTIVE) {
+      throw new RequestError(`Reservation '${reservationId}' is already ${existing.status}`);
+    }
+
+    const product = await getObj(client, `product:${sku}`);
+    InventoryLedger.checkMovementAllowed(product, 'OUT');
+
+    // The reservation's own quantity is on hand for it, and pending commits have already
+    // left on-hand stock; other holds are not available
+    const skuTransactions = [
+      ...await InventoryLedger.getTransactions(client, { sku }),
+      ...pendingTransactions.filter(tx => tx.sku === sku)
+    ];
+    const availability = await this.getAvailability(client, sku, location_id, {
+      transactions: skuTransactions,
+      excludeReservationIds: [reservationId, ...pendingTransactions.map(tx => tx.reservation_id)]
+    });
+    if (availability.available < quantity) {
+      throw new RequestError(`Insufficient stock for SKU '${sku}' at location '${location_id}'. Available: ${availability.available}, attempting to remove: ${quantity}.`);
+    }
+
+    const trackingDetails = InventoryLedger.prepareOutbound(product, skuTransactions, {
+      quantity,
+      location_id,
+      lot_number,
+      serial_numbers
+    });
+
+    const transaction = InventoryLedger.buildTransaction({
+      sku,
+      type: 'OUT',
+      quantity_change: -quantity,
+      location_id,
+      reason: reason || `Reservation ${reservationId} committed`,
+      performed_by: performedBy,
+      reservation_id: reservationId,
+      ...details,
+      ...trackingDetails
+    });
+
+    const reservation = {
+      ...existing,
+      status: RESERVATION_STATUSES.COMMITTED,
+      committed_at: transaction.timestamp,
+      committed_by: performedBy,
+      commit_transaction_id: transaction.transaction_id
+    };
+
+    return { reservation, transaction };
+  }
+
+  /**
+   * Report ACTIVE reservations past their expiry as EXPIRED
+   */
+  withEffectiveStatus(reservation) {
+    if (reservation.status === RESERVATION_STATUSES.ACTIVE && reservation.expires_at &&
+        new Date(reservation.expires_at) <= new Date()) {
+      return { ...reservation, status: RESERVATION_STATUSES.EXPIRED };
+    }
+    return reservation;
+  }
+
+  /**
+   * Key/value pair storing the latest state of a reservation
+   */
+  reservationEntry(reservation) {
+    return {
+      key: Buffer.from(`reservation:${reservation.reservation_id}`),
+      value: objToBuffer(reservation)
+    };
+  }
+}
+
+module.exports = { ReservationManager: new ReservationManager(), RESERVATION_STATUSES };
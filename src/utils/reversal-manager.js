@@ -0,0 +1,150 @@
+const { withImmudb, getObj } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID, STOCK_STATUSES } = require('./inventory-ledger');
+const { ReservationManager } = require('./reservation-manager');
+const { RmaManager, RMA_STATUSES } = require('./rma-manager');
+const { withLock } = require('./helpers');
+const { RequestError } = require('./request-error');
+
+// Entries written by a workflow are corrected through it, so its records stay in step with the ledger
+const WORKFLOW_FIELDS = [
+  'transfer_id', 'reservation_id', 'purchase_order_id', 'sales_order_id', 'count_session_id',
+  'assembly_id', 'rma_id', 'status_change_id'
+];
+
+/**
+ * Corrections to an append-only ledger. A mistaken entry is never edited; a REVERSAL entry
+ * with the opposite quantity, lots and serials is appended and points back at it through
+ * `reverses_transaction_id`.
+ */
+class ReversalManager {
+  /**
+   * Append the compensating entry for a transaction recorded in error
+   */
+  async reverseTransaction(transactionId, reason, performedBy) {
+    if (!reason) {
+      throw new RequestError('A reason is required to reverse a transaction');
+    }
+
+    // A transaction is reversed or returned (RmaManager.createRma) under the same lock, so the
+    // checks for an earlier reversal or return cannot interleave with another request's write
+    return await withLock(`transaction:${transactionId}`, async () => {
+      const original = await withImmudb(async (client) => getObj(client, `transaction:${transactionId}`));
+      if (!original) {
+        throw new RequestError(`Transaction '${transactionId}' not found`);
+      }
+
+      this.checkReversible(original);
+
+      // Taking back a receipt checks stock, so it runs under the SKU's stock lock
+      return await InventoryLedger.withStockLock([original.sku], async () => {
+        return await withImmudb(async (client) => {
+          // A returned shipment comes back through its RMA; reversing it too would count the stock twice
+          const rma = (await RmaManager.listRmasForShipment(client, transactionId))
+            .find(existing => existing.status !== RMA_STATUSES.CANCELLED);
+          if (rma) {
+            throw new RequestError(`Transaction '${transactionId}' has return '${rma.rma_id}' and cannot be reversed`);
+          }
+
+          const skuTransactions = await InventoryLedger.getTransactions(client, { sku: original.sku });
+          const reversal = skuTransactions.find(tx => tx.reverses_transaction_id === transactionId);
+          if (reversal) {
+            throw new RequestError(`Transaction '${transactionId}' was already reversed by '${reversal.transaction_id}'`);
+          }
+
+          const product = await getObj(client, `product:${original.sku}`);
+          if (!product) {
+            throw new RequestError(`Product with SKU '${original.sku}' not found`);
+          }
+          InventoryLedger.checkMovementAllowed(product, 'REVERSAL');
+
+          const locationId = original.location_id || DEFAULT_LOCATION_ID;
+          const quantity = Math.abs(original.quantity_change);
+          // Direct entries only ever touch the AVAILABLE bucket, so that is where the reversal takes stock from
+          const locationTransactions = skuTransactions.filter(tx =>
+            (tx.location_id || DEFAULT_LOCATION_ID) === locationId && (tx.stock_status || STOCK_STATUSES.AVAILABLE) === STOCK_STATUSES.AVAILABLE
+          );
+
+          if (original.quantity_change > 0) {
+            // Taking back a receipt needs the stock, its lots and serials to still be there
+            const availability = await ReservationManager.getAvailability(client, original.sku, locationId, {
+              transactions: skuTransactions
+            });
+            if (availability.available < quantity) {
+              throw new RequestError(`Insufficient stock for SKU '${original.sku}' at location '${locationId}' to reverse. Available: ${availability.available}, attempting to remove: ${quantity}.`);
+            }
+
+            const lots = InventoryLedger.summarizeLots(locationTransactions);
+            for (const allocation of original.lot_allocations || []) {
+              InventoryLedger.allocateLots(lots, allocation.quantity, allocation.lot_number);
+            }
+
+            if (original.serial_numbers) {
+              InventoryLedger.checkSerials(InventoryLedger.summarizeSerials(locationTransactions), original.serial_numbers, quantity, { inbound: false, location_id: locationId });
+            }
+          } else if (original.serial_numbers) {
+            InventoryLedger.checkSerials(InventoryLedger.summarizeSerials(skuTransactions), original.serial_numbers, quantity, { inbound: true, location_id: locationId });
+          }
+
+          const transaction = InventoryLedger.buildTransaction({
+            sku: original.sku,
+            type: 'REVERSAL',
+            quantity_change: -original.quantity_change,
+            location_id: locationId,
+            reason,
+            performed_by: performedBy,
+            reverses_transaction_id: transactionId,
+            reversed_type: original.type,
+            ...(original.lot_allocations && { lot_allocations: original.lot_allocations }),
+            ...(original.serial_numbers && { serial_numbers: original.serial_numbers })
+          });
+
+          const setResponse = await InventoryLedger.recordTransaction(client, transaction);
+
+          return {
+            transaction,
+            reversed_transaction: original,
+            immudb_tx_hash: setResponse.id.toString()
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * Throw unless the entry was recorded directly and moved stock
+   */
+  checkReversible(transaction) {
+    const { transaction_id: transactionId } = transaction;
+
+    if (transaction.reverses_transaction_id) {
+      throw new RequestError(`Transaction '${transactionId}' is itself a reversal and cannot be reversed`);
+    }
+
+    const workflowField = WORKFLOW_FIELDS.find(field => transaction[field]);
+    if (workflowField) {
+      throw new RequestError(`Transaction '${transactionId}' belongs to ${workflowField} '${transaction[workflowField]}' and cannot be reversed directly`);
+    }
+
+    if (transaction.quantity_change === 0) {
+      throw new RequestError(`Transaction '${transactionId}' moved no stock and cannot be reversed`);
+    }
+  }
+
+  /**
+   * Mark each entry that a later entry in the list reverses
+   */
+  markReversed(transactions) {
+    const reversedBy = {};
+    for (const tx of transactions) {
+      if (tx.reverses_transaction_id) reversedBy[tx.reverses_transaction_id] = tx.transaction_id;
+    }
+
+    return transactions.map(tx => ({
+      ...tx,
+      reversed: Boolean(reversedBy[tx.transaction_id]),
+      reversed_by_transaction_id: reversedBy[tx.transaction_id] || null
+    }));
+  }
+}
+
+module.exports = { ReversalManager: new ReversalManager(), WORKFLOW_FIELDS };
@@ -0,0 +1,527 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, QUARANTINE_LOCATION_ID, STOCK_STATUSES } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+// Required on use: approvals value stock through the valuation manager, which depends on this module
+const approvals = () => require('./approval-manager');
+
+const RMA_STATUSES = {
+  AUTHORIZED: 'AUTHORIZED',
+  RECEIVED: 'RECEIVED',
+  INSPECTED: 'INSPECTED',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED'
+};
+
+const INSPECTION_CONDITIONS = ['RESELLABLE', 'DAMAGED', 'DEFECTIVE'];
+
+const RMA_DISPOSITIONS = {
+  RESTOCK: 'RESTOCK',
+  SCRAP: 'SCRAP',
+  RETURN_TO_VENDOR: 'RETURN_TO_VENDOR'
+};
+
+/**
+ * Customer returns. An RMA authorizes the return of part of an OUT shipment; the goods are
+ * received into the QUARANTINE pseudo-location, inspected, then restocked, scrapped or
+ * returned to the vendor. Every step writes a ledger entry carrying `rma_id` together with
+ * the new state of `rma:<id>` in one immudb transaction.
+ */
+class RmaManager {
+  /**
+   * Authorize a return against an original OUT transaction
+   */
+  async createRma(rmaData, performedBy) {
+    const {
+      original_transaction_id,
+      quantity,
+      reason,
+      customer = null,
+      lot_number = null,
+      serial_numbers,
+      return_location_id = null
+    } = rmaData;
+
+    if (!original_transaction_id || !reason || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new RequestError('Missing or invalid RMA fields (original_transaction_id, quantity, reason). Quantity must be a positive integer.');
+    }
+
+    if (return_location_id) {
+      await LocationManager.getActiveLocation(return_location_id);
+    }
+
+    // Shares ReversalManager.reverseTransaction's lock on the shipment, so a return and a reversal
+    // of it, or two returns over its returnable quantity, cannot both pass their checks
+    return await withLock(`transaction:${original_transaction_id}`, async () => {
+      return await withImmudb(async (client) => {
+        const shipment = await getObj(client, `transaction:${original_transaction_id}`);
+        if (!shipment) {
+          throw new RequestError(`Transaction '${original_transaction_id}' not found`);
+        }
+
+        // Internal movements out of a location are not shipments a customer could return
+        if (shipment.type !== 'OUT' || shipment.transfer_id || shipment.assembly_id || shipment.rma_id) {
+          throw new RequestError(`Transaction '${original_transaction_id}' is not a customer shipment`);
+        }
+
+        // A reversed shipment already put its stock back; returning it too would count it twice
+        const reversal = (await InventoryLedger.getTransactions(client, { sku: shipment.sku }))
+          .find(tx => tx.reverses_transaction_id === original_transaction_id);
+        if (reversal) {
+          throw new RequestError(`Transaction '${original_transaction_id}' was reversed by '${reversal.transaction_id}' and cannot be returned`);
+        }
+
+        const product = await getObj(client, `product:${shipment.sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${shipment.sku}' not found`);
+        }
+        InventoryLedger.checkMovementAllowed(product, 'RETURN');
+
+        const alreadyReturned = (await this.listRmasForShipment(client, original_transaction_id))
+          .filter(rma => rma.status !== RMA_STATUSES.CANCELLED)
+          .reduce((sum, rma) => sum + (rma.status === RMA_STATUSES.AUTHORIZED ? rma.quantity_authorized : rma.quantity_received), 0);
+        const returnable = -shipment.quantity_change - alreadyReturned;
+        if (quantity > returnable) {
+          throw new RequestError(`Only ${returnable} unit(s) of transaction '${original_transaction_id}' remain returnable; requested ${quantity}.`);
+        }
+
+        const rma = {
+          rma_id: generateUuid(),
+          sku: shipment.sku,
+          original_transaction_id,
+          customer,
+          reason,
+          quantity_authorized: quantity,
+          quantity_received: 0,
+          quantity_dispositioned: 0,
+          lot_number: this.returnedLot(shipment, lot_number),
+          serial_numbers: this.returnedSerials(product, shipment, serial_numbers, quantity),
+          return_location_id: return_location_id || shipment.location_id,
+          status: RMA_STATUSES.AUTHORIZED,
+          inspection: null,
+          dispositions: [],
+          transaction_ids: [],
+          status_history: [],
+          created_at: new Date().toISOString(),
+          created_by: performedBy
+        };
+        this.recordStatus(rma, RMA_STATUSES.AUTHORIZED, performedBy, rma.created_at);
+
+        const setResponse = await client.set(this.rmaEntry(rma));
+
+        return {
+          rma,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * The lot a return comes back into: the one named, or the shipment's only lot
+   */
+  returnedLot(shipment, lotNumber) {
+    const lots = (shipment.lot_allocations || []).map(allocation => allocation.lot_number);
+
+    if (lotNumber) {
+      if (!lots.includes(lotNumber)) {
+        throw new RequestError(`Lot '${lotNumber}' was not part of transaction '${shipment.transaction_id}'`);
+      }
+      return lotNumber;
+    }
+
+    if (lots.length > 1) {
+      throw new RequestError(`lot_number is required; transaction '${shipment.transaction_id}' shipped lots ${lots.join(', ')}`);
+    }
+
+    return lots[0] || null;
+  }
+
+  /**
+   * The serials a return of a serialized product covers; each must have left in the shipment
+   */
+  returnedSerials(product, shipment, serialNumbers, quantity) {
+    if (!product.serialized) {
+      if (serialNumbers) {
+        throw new RequestError(`Product with SKU '${product.sku}' is not serialized.`);
+      }
+      return null;
+    }
+
+    if (!Array.isArray(serialNumbers) || serialNumbers.length !== quantity || new Set(serialNumbers).size !== quantity) {
+      throw new RequestError(`Serialized product requires serial_numbers listing exactly ${quantity} distinct serial(s)`);
+    }
+
+    for (const serial of serialNumbers) {
+      if (!(shipment.serial_numbers || []).includes(serial)) {
+        throw new RequestError(`Serial '${serial}' was not part of transaction '${shipment.transaction_id}'`);
+      }
+    }
+
+    return serialNumbers;
+  }
+
+  /**
+   * Receive the returned goods into quarantine; fewer than authorized may arrive
+   */
+  async receiveRma(rmaId, receiptData, performedBy) {
+    return await this.recordStep(rmaId, [RMA_STATUSES.AUTHORIZED], 'received', performedBy, async (client, rma, product) => {
+      const { quantity = rma.quantity_authorized } = receiptData;
+
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > rma.quantity_authorized) {
+        throw new RequestError(`Invalid quantity. Must be a positive integer no greater than the ${rma.quantity_authorized} authorized.`);
+      }
+
+      let serialNumbers = receiptData.serial_numbers;
+      if (rma.serial_numbers) {
+        serialNumbers = serialNumbers || (quantity === rma.quantity_authorized ? rma.serial_numbers : null);
+        for (const serial of serialNumbers || []) {
+          if (!rma.serial_numbers.includes(serial)) {
+            throw new RequestError(`Serial '${serial}' is not authorized on RMA '${rma.rma_id}'`);
+          }
+        }
+      }
+
+      const trackingDetails = InventoryLedger.prepareInbound(product, await InventoryLedger.getTransactions(client, { sku: rma.sku }), {
+        quantity,
+        location_id: QUARANTINE_LOCATION_ID,
+        lot_number: rma.lot_number,
+        serial_numbers: serialNumbers
+      });
+
+      const transactions = [InventoryLedger.buildTransaction({
+        sku: rma.sku,
+        type: 'IN',
+        quantity_change: quantity,
+        location_id: QUARANTINE_LOCATION_ID,
+        // Held in the QUARANTINE status too, so returned goods are never counted as available
+        stock_status: STOCK_STATUSES.QUARANTINE,
+        reason: `Return ${rma.rma_id}: ${rma.reason}`,
+        performed_by: performedBy,
+        rma_id: rma.rma_id,
+        ...trackingDetails
+      })];
+
+      return {
+        transactions,
+        changes: {
+          status: RMA_STATUSES.RECEIVED,
+          quantity_received: quantity,
+          received_serial_numbers: trackingDetails.serial_numbers || null,
+          received_at: transactions[0].timestamp,
+          received_by: performedBy
+        }
+      };
+    });
+  }
+
+  /**
+   * Record the inspection outcome as a zero-quantity ledger entry in quarantine
+   */
+  async inspectRma(rmaId, inspectionData, performedBy) {
+    const { condition, notes = null } = inspectionData;
+
+    if (!INSPECTION_CONDITIONS.includes(condition)) {
+      throw new RequestError(`Invalid condition: ${condition}. Valid conditions: ${INSPECTION_CONDITIONS.join(', ')}`);
+    }
+
+    return await this.recordStep(rmaId, [RMA_STATUSES.RECEIVED], 'inspected', performedBy, async (client, rma) => {
+      const transactions = [InventoryLedger.buildTransaction({
+        sku: rma.sku,
+        type: 'INSPECTION',
+        quantity_change: 0,
+        location_id: QUARANTINE_LOCATION_ID,
+        reason: `Inspection ${rma.rma_id}: ${condition}`,
+        performed_by: performedBy,
+        rma_id: rma.rma_id,
+        inspection_condition: condition
+      })];
+
+      return {
+        transactions,
+        changes: {
+          status: RMA_STATUSES.INSPECTED,
+          inspection: {
+            condition,
+            notes,
+            inspected_at: transactions[0].timestamp,
+            inspected_by: performedBy
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Move inspected goods out of quarantine: back into stock (RESTOCK), written off (SCRAP)
+   * or shipped back to the supplier (RETURN_TO_VENDOR). Part of the quantity may go each
+   * way; the RMA closes once nothing is left in quarantine. A scrap worth more than the approval
+   * threshold is held for a second user, as a manual adjustment would be; requester is the user
+   * asking for it, and decision ({ approval, approver }) is passed when that approval replays it.
+   */
+  async dispositionRma(rmaId, dispositionData, performedBy, { requester = null, decision = null } = {}) {
+    const { disposition, location_id = null, supplier_id = null, notes = null } = dispositionData;
+
+    if (!Object.values(RMA_DISPOSITIONS).includes(disposition)) {
+      throw new RequestError(`Invalid disposition: ${disposition}. Valid dispositions: ${Object.values(RMA_DISPOSITIONS).join(', ')}`);
+    }
+
+    const existing = await this.getRma(rmaId);
+    const restockLocationId = disposition === RMA_DISPOSITIONS.RESTOCK
+      ? location_id || (existing && existing.return_location_id)
+      : null;
+    if (restockLocationId) {
+      await LocationManager.getActiveLocation(restockLocationId);
+    }
+
+    return await this.recordStep(rmaId, [RMA_STATUSES.INSPECTED], 'dispositioned', performedBy, async (client, rma, product) => {
+      const remaining = rma.quantity_received - rma.quantity_dispositioned;
+      const { quantity = remaining } = dispositionData;
+
+      if (!Number.isInteger(quantity) || quantity <= 0 || quantity > remaining) {
+        throw new RequestError(`Invalid quantity. Must be a positive integer no greater than the ${remaining} left in quarantine.`);
+      }
+
+      InventoryLedger.checkMovementAllowed(product, disposition === RMA_DISPOSITIONS.RESTOCK ? 'RETURN' : 'OUT');
+
+      if (supplier_id && !(await getObj(client, `supplier:${supplier_id}`))) {
+        throw new RequestError(`Supplier '${supplier_id}' not found`);
+      }
+
+      // The RMA's own lot and serials leave quarantine, not other returns held there
+      const trackingDetails = rma.lot_number ? { lot_allocations: [{ lot_number: rma.lot_number, quantity }] } : {};
+      if (rma.received_serial_numbers) {
+        const dispositioned = rma.dispositions.flatMap(entry => entry.serial_numbers || []);
+        const held = rma.received_serial_numbers.filter(serial => !dispositioned.includes(serial));
+        const serialNumbers = dispositionData.serial_numbers || (quantity === held.length ? held : null);
+
+        if (!Array.isArray(serialNumbers) || serialNumbers.length !== quantity || serialNumbers.some(serial => !held.includes(serial))) {
+          throw new RequestError(`Serialized product requires serial_numbers listing ${quantity} of the serials held: ${held.join(', ')}`);
+        }
+        trackingDetails.serial_numbers = serialNumbers;
+      }
+
+      // Goods leave quarantine in the status they arrived in; returns received before they were
+      // given the QUARANTINE status arrived without one
+      const receipt = await getObj(client, `transaction:${rma.transaction_ids[0]}`);
+      const quarantineStatus = receipt.stock_status ? { stock_status: receipt.stock_status } : {};
+
+      const details = {
+        sku: rma.sku,
+        reason: `Return ${rma.rma_id}: ${disposition}`,
+        performed_by: performedBy,
+        rma_id: rma.rma_id,
+        rma_disposition: disposition,
+        ...trackingDetails
+      };
+
+      let transactions;
+      let approval = null;
+      if (disposition === RMA_DISPOSITIONS.RESTOCK) {
+        const outTransaction = InventoryLedger.buildTransaction({ ...details, ...quarantineStatus, type: 'OUT', quantity_change: -quantity, location_id: QUARANTINE_LOCATION_ID });
+        const inTransaction = InventoryLedger.buildTransaction({ ...details, type: 'IN', quantity_change: quantity, location_id: restockLocationId });
+        inTransaction.timestamp = outTransaction.timestamp;
+        transactions = [outTransaction, inTransaction];
+      } else if (disposition === RMA_DISPOSITIONS.SCRAP) {
+        const scrap = InventoryLedger.buildTransaction({ ...details, ...quarantineStatus, type: 'ADJUSTMENT', quantity_change: -quantity, location_id: QUARANTINE_LOCATION_ID });
+
+        const { ApprovalManager, APPROVAL_STATUSES } = approvals();
+        if (decision) {
+          scrap.approval_id = decision.approval.approval_id;
+          scrap.approved_by = decision.approver.username;
+          approval = ApprovalManager.decide(decision.approval, APPROVAL_STATUSES.APPROVED, decision.approver, null, scrap.timestamp);
+          approval.transaction_id = scrap.transaction_id;
+        } else {
+          const value = ApprovalManager.transactionValue(product, await InventoryLedger.getTransactions(client, { sku: rma.sku }), scrap);
+          if (ApprovalManager.requiresApproval(scrap, value)) {
+            return {
+              approval: ApprovalManager.buildApproval(scrap, value, dispositionData, performedBy, requester, { rma_id: rma.rma_id })
+            };
+          }
+        }
+
+        transactions = [scrap];
+      } else {
+        transactions = [InventoryLedger.buildTransaction({
+          ...details,
+          ...quarantineStatus,
+          type: 'OUT',
+          quantity_change: -quantity,
+          location_id: QUARANTINE_LOCATION_ID,
+          ...(supplier_id && { supplier_id })
+        })];
+      }
+
+      const quantityDispositioned = rma.quantity_dispositioned + quantity;
+      const closed = quantityDispositioned === rma.quantity_received;
+
+      return {
+        transactions,
+        approval,
+        changes: {
+          ...(closed && { status: RMA_STATUSES.CLOSED, closed_at: transactions[0].timestamp }),
+          quantity_dispositioned: quantityDispositioned,
+          dispositions: [...rma.dispositions, {
+            disposition,
+            quantity,
+            location_id: restockLocationId,
+            supplier_id,
+            notes,
+            serial_numbers: trackingDetails.serial_numbers || null,
+            transaction_ids: transactions.map(tx => tx.transaction_id),
+            approval_id: approval ? approval.approval_id : null,
+            dispositioned_at: transactions[0].timestamp,
+            dispositioned_by: performedBy
+          }]
+        }
+      };
+    });
+  }
+
+  /**
+   * Cancel an RMA whose goods have not arrived
+   */
+  async cancelRma(rmaId, reason, performedBy) {
+    return await this.recordStep(rmaId, [RMA_STATUSES.AUTHORIZED], 'cancelled', performedBy, async () => ({
+      transactions: [],
+      changes: {
+        status: RMA_STATUSES.CANCELLED,
+        cancellation_reason: reason || null
+      }
+    }));
+  }
+
+  /**
+   * Apply one step of the returns flow: build its ledger entries and RMA changes, then write
+   * them together
+   */
+  async recordStep(rmaId, allowedStatuses, action, performedBy, buildStep) {
+    // Steps of one RMA run one at a time, so each checks the status and quantities the previous
+    // step left and a disposition cannot move the same goods out of quarantine twice
+    return await withLock(`rma:${rmaId}`, async () => {
+      return await withImmudb(async (client) => {
+        const existing = await getObj(client, `rma:${rmaId}`);
+        if (!existing) {
+          throw new RequestError(`RMA '${rmaId}' not found`);
+        }
+
+        if (!allowedStatuses.includes(existing.status)) {
+          throw new RequestError(`RMA '${rmaId}' cannot be ${action} while ${existing.status}`);
+        }
+
+        const product = await getObj(client, `product:${existing.sku}`);
+        const { transactions = [], changes, approval = null } = await buildStep(client, existing, product);
+
+        const { ApprovalManager, APPROVAL_STATUSES } = approvals();
+
+        // A step held for approval writes only the approval; the RMA is unchanged until it is approved
+        if (approval && approval.status === APPROVAL_STATUSES.PENDING) {
+          const setResponse = await client.set(ApprovalManager.approvalEntry(approval));
+
+          return {
+            rma: existing,
+            transactions,
+            approval,
+            immudb_tx_hash: setResponse.id.toString()
+          };
+        }
+
+        const now = transactions.length > 0 ? transactions[0].timestamp : new Date().toISOString();
+
+        const rma = {
+          ...existing,
+          ...changes,
+          transaction_ids: [...existing.transaction_ids, ...transactions.map(tx => tx.transaction_id)],
+          updated_at: now
+        };
+        if (changes.status) this.recordStatus(rma, changes.status, performedBy, now);
+
+        const relatedEntries = [this.rmaEntry(rma), ...(approval ? [ApprovalManager.approvalEntry(approval)] : [])];
+        const txResponse = transactions.length > 0
+          ? await InventoryLedger.recordTransactions(client, transactions, relatedEntries)
+          : await client.set(this.rmaEntry(rma));
+
+        return {
+          rma,
+          transactions,
+          ...(approval && { approval }),
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Append a status change to the RMA's history
+   */
+  recordStatus(rma, status, performedBy, changedAt) {
+    rma.status_history = [...rma.status_history, { status, changed_at: changedAt, changed_by: performedBy }];
+  }
+
+  /**
+   * Get RMA by ID
+   */
+  async getRma(rmaId) {
+    return await withImmudb(async (client) => getObj(client, `rma:${rmaId}`));
+  }
+
+  /**
+   * The original shipment and every ledger entry written for an RMA, oldest first
+   */
+  async getRmaTransactions(rma) {
+    return await withImmudb(async (client) => {
+      const transactions = await InventoryLedger.getTransactions(client, { sku: rma.sku });
+      return transactions.filter(tx => tx.transaction_id === rma.original_transaction_id || tx.rma_id === rma.rma_id);
+    });
+  }
+
+  /**
+   * List RMAs with filtering
+   */
+  async listRmas(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'rma:');
+      const rmas = [];
+
+      for (const item of entries) {
+        try {
+          const rma = JSON.parse(item.value);
+
+          if (filters.status && rma.status !== filters.status) continue;
+          if (filters.sku && rma.sku !== filters.sku) continue;
+          if (filters.original_transaction_id && rma.original_transaction_id !== filters.original_transaction_id) continue;
+
+          rmas.push(rma);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return rmas.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    });
+  }
+
+  /**
+   * RMAs raised against one shipment (use inside withImmudb)
+   */
+  async listRmasForShipment(client, transactionId) {
+    return (await scanPrefix(client, 'rma:'))
+      .map(item => JSON.parse(item.value))
+      .filter(rma => rma.original_transaction_id === transactionId);
+  }
+
+  /**
+   * Key/value pair storing the latest state of an RMA
+   */
+  rmaEntry(rma) {
+    return {
+      key: Buffer.from(`rma:${rma.rma_id}`),
+      value: objToBuffer(rma)
+    };
+  }
+}
+
+module.exports = { RmaManager: new RmaManager(), RMA_STATUSES, RMA_DISPOSITIONS, INSPECTION_CONDITIONS };
@@ -0,0 +1,402 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, PSEUDO_LOCATION_IDS } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { ReservationManager } = require('./reservation-manager');
+const { ReorderManager } = require('./reorder-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const SO_STATUSES = {
+  DRAFT: 'DRAFT',
+  CONFIRMED: 'CONFIRMED',
+  PICKING: 'PICKING',
+  PACKED: 'PACKED',
+  SHIPPED: 'SHIPPED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Sales orders from confirmation to shipment. Confirming an order reserves its lines
+ * (one reservation per line and location); shipping commits those reservations, so
+ * every OUT transaction carries the sales order and line it fulfils.
+ */
+class SalesOrderManager {
+  /**
+   * Create a draft sales order
+   */
+  async createSalesOrder(orderData, performedBy) {
+    const {
+      customer,
+      reference = null,
+      location_id = null,
+      lines
+    } = orderData;
+
+    if (!customer || !Array.isArray(lines) || lines.length === 0) {
+      throw new RequestError('Missing required sales order fields (customer, lines)');
+    }
+
+    for (const line of lines) {
+      if (!line.sku || !Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new RequestError('Each line requires a sku and a quantity that is a positive integer');
+      }
+    }
+
+    for (const locationId of new Set([location_id, ...lines.map(line => line.location_id)])) {
+      if (locationId) await LocationManager.getActiveLocation(locationId);
+    }
+
+    return await withImmudb(async (client) => {
+      for (const line of lines) {
+        const product = await getObj(client, `product:${line.sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${line.sku}' not found`);
+        }
+        InventoryLedger.checkMovementAllowed(product, 'OUT');
+      }
+
+      const now = new Date().toISOString();
+      const salesOrder = {
+        so_id: generateUuid(),
+        customer,
+        reference,
+        location_id,
+        lines: lines.map((line, index) => ({
+          line_id: String(index + 1),
+          sku: line.sku,
+          quantity: line.quantity,
+          location_id: line.location_id || location_id || null
+        })),
+        allocations: [],
+        status: SO_STATUSES.DRAFT,
+        status_history: [{ status: SO_STATUSES.DRAFT, changed_at: now, changed_by: performedBy }],
+        created_at: now,
+        created_by: performedBy,
+        updated_at: now
+      };
+
+      const setResponse = await client.set(this.salesOrderEntry(salesOrder));
+
+      return {
+        sales_order: salesOrder,
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Confirm a draft order, reserving every line. Lines with a location reserve there;
+   * the others are allocated across locations, largest available stock first.
+   */
+  async confirmSalesOrder(soId, performedBy) {
+    // Each transition checks the order's status and then writes; transitions of one order run one
+    // at a time so a concurrent ship or cancel cannot act on a status that has already moved on
+    return await withLock(`sales_order:${soId}`, async () => {
+      const existing = await this.requireStatus(soId, [SO_STATUSES.DRAFT], SO_STATUSES.CONFIRMED);
+
+      return await InventoryLedger.withStockLock(existing.lines.map(line => line.sku), async () => {
+        return await withImmudb(async (client) => {
+          const reservedBySku = ReservationManager.summarizeReserved(await ReservationManager.getReservations(client));
+          const allocated = {};
+          const reservations = [];
+          const allocations = [];
+
+          for (const line of existing.lines) {
+            InventoryLedger.checkMovementAllowed(await getObj(client, `product:${line.sku}`), 'OUT');
+
+            const stock = InventoryLedger.summarizeStock(await InventoryLedger.getTransactions(client, { sku: line.sku }));
+            const available = (locationId) => (stock.available_by_location[locationId] || 0) -
+              ((reservedBySku[line.sku] || {})[locationId] || 0) -
+              (allocated[`${line.sku}|${locationId}`] || 0);
+
+            const candidates = line.location_id
+              ? [line.location_id]
+              : Object.keys(stock.available_by_location)
+                .filter(locationId => !PSEUDO_LOCATION_IDS.includes(locationId) && available(locationId) > 0)
+                .sort((a, b) => available(b) - available(a));
+
+            let remaining = line.quantity;
+            for (const locationId of candidates) {
+              if (remaining <= 0) break;
+              const quantity = Math.min(remaining, available(locationId));
+              if (quantity <= 0) continue;
+
+              const reservation = ReservationManager.buildReservation({
+                sku: line.sku,
+                quantity,
+                location_id: locationId,
+                reference: soId
+              }, performedBy);
+              reservations.push(reservation);
+              allocations.push({
+                reservation_id: reservation.reservation_id,
+                line_id: line.line_id,
+                sku: line.sku,
+                location_id: locationId,
+                quantity
+              });
+              allocated[`${line.sku}|${locationId}`] = (allocated[`${line.sku}|${locationId}`] || 0) + quantity;
+              remaining -= quantity;
+            }
+
+            if (remaining > 0) {
+              const where = line.location_id ? ` at location '${line.location_id}'` : '';
+              throw new RequestError(`Insufficient available stock for SKU '${line.sku}'${where} to confirm line '${line.line_id}'. Short by ${remaining}.`);
+            }
+          }
+
+          const salesOrder = this.withStatus(existing, SO_STATUSES.CONFIRMED, performedBy, {
+            allocations,
+            confirmed_by: performedBy
+          });
+
+          const setResponse = await client.setAll({
+            kvsList: [
+              ...reservations.map(reservation => ReservationManager.reservationEntry(reservation)),
+              this.salesOrderEntry(salesOrder)
+            ]
+          });
+          await ReorderManager.evaluateAfterWrite(client, reservations.map(reservation => reservation.sku));
+
+          return {
+            sales_order: salesOrder,
+            reservations,
+            immudb_tx_hash: setResponse.id.toString()
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * Generate the pick list for a confirmed order and start picking
+   */
+  async pickSalesOrder(soId, performedBy) {
+    return await withLock(`sales_order:${soId}`, async () => {
+      const existing = await this.requireStatus(soId, [SO_STATUSES.CONFIRMED], SO_STATUSES.PICKING);
+      const salesOrder = this.withStatus(existing, SO_STATUSES.PICKING, performedBy, {
+        pick_list: this.buildPickList(existing)
+      });
+
+      return await this.saveSalesOrder(salesOrder);
+    });
+  }
+
+  /**
+   * Mark a picked order as packed
+   */
+  async packSalesOrder(soId, performedBy, packData = {}) {
+    return await withLock(`sales_order:${soId}`, async () => {
+      const existing = await this.requireStatus(soId, [SO_STATUSES.PICKING], SO_STATUSES.PACKED);
+      const salesOrder = this.withStatus(existing, SO_STATUSES.PACKED, performedBy, {
+        packages: packData.packages || null
+      });
+
+      return await this.saveSalesOrder(salesOrder);
+    });
+  }
+
+  /**
+   * Ship a packed order: commit every allocation into an OUT transaction referencing the
+   * order, all in one immudb transaction. Serialized or lot-specific allocations take
+   * serial_numbers / lot_number from shipData.allocations, keyed by reservation_id.
+   */
+  async shipSalesOrder(soId, performedBy, shipData = {}) {
+    return await withLock(`sales_order:${soId}`, async () => {
+      const existing = await this.requireStatus(soId, [SO_STATUSES.PACKED], SO_STATUSES.SHIPPED);
+      const allocationDetails = shipData.allocations || [];
+
+      return await InventoryLedger.withStockLock(existing.allocations.map(allocation => allocation.sku), async () => {
+        return await withImmudb(async (client) => {
+          const transactions = [];
+          const reservations = [];
+
+          for (const allocation of existing.allocations) {
+            const reservation = await getObj(client, `reservation:${allocation.reservation_id}`);
+            const details = allocationDetails.find(a => a.reservation_id === allocation.reservation_id) || {};
+
+            const commit = await ReservationManager.buildCommit(client, reservation, performedBy, {
+              reason: `Sales order ${soId}`,
+              lot_number: details.lot_number,
+              serial_numbers: details.serial_numbers,
+              sales_order_id: soId,
+              so_line_id: allocation.line_id
+            }, transactions);
+
+            transactions.push(commit.transaction);
+            reservations.push(commit.reservation);
+          }
+
+          const salesOrder = this.withStatus(existing, SO_STATUSES.SHIPPED, performedBy, {
+            tracking_number: shipData.tracking_number || null,
+            carrier: shipData.carrier || null,
+            shipment_transaction_ids: transactions.map(tx => tx.transaction_id)
+          });
+
+          const txResponse = await InventoryLedger.recordTransactions(client, transactions, [
+            ...reservations.map(reservation => ReservationManager.reservationEntry(reservation)),
+            this.salesOrderEntry(salesOrder)
+          ]);
+
+          return {
+            sales_order: salesOrder,
+            transactions,
+            immudb_tx_hash: txResponse.id.toString()
+          };
+        });
+      });
+    });
+  }
+
+  /**
+   * Cancel an order that has not shipped, releasing its reservations
+   */
+  async cancelSalesOrder(soId, performedBy, reason = null) {
+    return await withLock(`sales_order:${soId}`, async () => {
+      const cancellable = [SO_STATUSES.DRAFT, SO_STATUSES.CONFIRMED, SO_STATUSES.PICKING, SO_STATUSES.PACKED];
+      const existing = await this.requireStatus(soId, cancellable, SO_STATUSES.CANCELLED);
+
+      return await withImmudb(async (client) => {
+        const releases = [];
+        for (const allocation of existing.allocations) {
+          const reservation = ReservationManager.withEffectiveStatus(
+            await getObj(client, `reservation:${allocation.reservation_id}`)
+          );
+          releases.push(ReservationManager.buildRelease(reservation, performedBy, `Sales order ${soId} cancelled`));
+        }
+
+        const salesOrder = this.withStatus(existing, SO_STATUSES.CANCELLED, performedBy, {
+          cancellation_reason: reason
+        });
+
+        const setResponse = await client.setAll({
+          kvsList: [
+            ...releases.map(reservation => ReservationManager.reservationEntry(reservation)),
+            this.salesOrderEntry(salesOrder)
+          ]
+        });
+        await ReorderManager.evaluateAfterWrite(client, releases.map(reservation => reservation.sku));
+
+        return {
+          sales_order: salesOrder,
+          immudb_tx_hash: setResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Get sales order by ID
+   */
+  async getSalesOrder(soId) {
+    return await withImmudb(async (client) => getObj(client, `sales_order:${soId}`));
+  }
+
+  /**
+   * List sales orders with filtering
+   */
+  async listSalesOrders(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'sales_order:');
+      const salesOrders = [];
+
+      for (const item of entries) {
+        try {
+          const salesOrder = JSON.parse(item.value);
+
+          if (filters.status && salesOrder.status !== filters.status) continue;
+          if (filters.customer && salesOrder.customer !== filters.customer) continue;
+          if (filters.sku && !salesOrder.lines.some(line => line.sku === filters.sku)) continue;
+
+          salesOrders.push(salesOrder);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return salesOrders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    });
+  }
+
+  /**
+   * Allocations grouped by the location they are picked from
+   */
+  buildPickList(salesOrder) {
+    const byLocation = {};
+
+    for (const allocation of salesOrder.allocations) {
+      if (!byLocation[allocation.location_id]) {
+        byLocation[allocation.location_id] = { location_id: allocation.location_id, lines: [] };
+      }
+      byLocation[allocation.location_id].lines.push({
+        line_id: allocation.line_id,
+        sku: allocation.sku,
+        quantity: allocation.quantity,
+        reservation_id: allocation.reservation_id
+      });
+    }
+
+    return Object.values(byLocation).sort((a, b) => a.location_id.localeCompare(b.location_id));
+  }
+
+  /**
+   * Load an order and check it may move to the target status
+   */
+  async requireStatus(soId, allowedStatuses, status) {
+    const existing = await this.getSalesOrder(soId);
+    if (!existing) {
+      throw new RequestError(`Sales order '${soId}' not found`);
+    }
+
+    if (existing.status === status) {
+      throw new RequestError(`Sales order '${soId}' is already ${status}`);
+    }
+
+    if (!allowedStatuses.includes(existing.status)) {
+      throw new RequestError(`Sales order '${soId}' cannot move from ${existing.status} to ${status}`);
+    }
+
+    return existing;
+  }
+
+  /**
+   * New version of an order in the given status
+   */
+  withStatus(existing, status, performedBy, changes = {}) {
+    const now = new Date().toISOString();
+    return {
+      ...existing,
+      ...changes,
+      status,
+      status_history: [...existing.status_history, { status, changed_at: now, changed_by: performedBy }],
+      updated_at: now
+    };
+  }
+
+  /**
+   * Store a new version of an order
+   */
+  async saveSalesOrder(salesOrder) {
+    return await withImmudb(async (client) => {
+      const setResponse = await client.set(this.salesOrderEntry(salesOrder));
+
+      return {
+        sales_order: salesOrder,
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Key/value pair storing the latest version of a sales order
+   */
+  salesOrderEntry(salesOrder) {
+    return {
+      key: Buffer.from(`sales_order:${salesOrder.so_id}`),
+      value: objToBuffer(salesOrder)
+    };
+  }
+}
+
+module.exports = { SalesOrderManager: new SalesOrderManager(), SO_STATUSES };
@@ -0,0 +1,161 @@
+const { withImmudb, getObj } = require('../immudb-client');
+const { InventoryLedger, DEFAULT_LOCATION_ID, STOCK_STATUSES } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { ReservationManager } = require('./reservation-manager');
+const { generateUuid } = require('./helpers');
+const { RequestError } = require('./request-error');
+
+/**
+ * Moves stock between status buckets (AVAILABLE, QUARANTINE, DAMAGED, ON_HOLD) at a location.
+ * A status change is a pair of STATUS_CHANGE ledger entries sharing a `status_change_id`:
+ * one out of the old bucket and one into the new, so on-hand stock never changes.
+ */
+class StockStatusManager {
+  /**
+   * Move a quantity, a lot or named serials from one bucket to another
+   */
+  async changeStatus(changeData, performedBy) {
+    const {
+      sku,
+      location_id = DEFAULT_LOCATION_ID,
+      from_status = STOCK_STATUSES.AVAILABLE,
+      to_status,
+      reason,
+      lot_number = null,
+      serial_numbers
+    } = changeData;
+    const statuses = Object.values(STOCK_STATUSES);
+
+    if (!sku || !to_status || !reason) {
+      throw new RequestError('Missing required fields: sku, to_status, reason');
+    }
+
+    for (const status of [from_status, to_status]) {
+      if (!statuses.includes(status)) {
+        throw new RequestError(`Invalid stock status: ${status}. Valid statuses: ${statuses.join(', ')}`);
+      }
+    }
+
+    if (from_status === to_status) {
+      throw new RequestError('from_status and to_status must differ');
+    }
+
+    await LocationManager.getActiveLocation(location_id);
+
+    return await InventoryLedger.withStockLock([sku], async () => {
+      return await withImmudb(async (client) => {
+        const product = await getObj(client, `product:${sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+        InventoryLedger.checkMovementAllowed(product, 'STATUS_CHANGE');
+
+        const skuTransactions = await InventoryLedger.getTransactions(client, { sku });
+        const bucketTransactions = skuTransactions.filter(tx =>
+          tx.location_id === location_id && (tx.stock_status || STOCK_STATUSES.AVAILABLE) === from_status
+        );
+
+        // A whole lot or the named serials move unless a quantity is given
+        let { quantity } = changeData;
+        if (quantity === undefined && lot_number) {
+          const lot = InventoryLedger.summarizeLots(bucketTransactions).find(l => l.lot_number === lot_number);
+          quantity = lot ? lot.quantity : 0;
+        } else if (quantity === undefined && Array.isArray(serial_numbers)) {
+          quantity = serial_numbers.length;
+        }
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw new RequestError('Invalid quantity. Must be a positive integer, or omitted with lot_number or serial_numbers.');
+        }
+
+        // Reserved stock stays promised, so only the unreserved part of AVAILABLE can be held
+        const movable = from_status === STOCK_STATUSES.AVAILABLE
+          ? (await ReservationManager.getAvailability(client, sku, location_id, { transactions: skuTransactions })).available
+          : InventoryLedger.summarizeStock(bucketTransactions).current_stock;
+        if (movable < quantity) {
+          throw new RequestError(`Insufficient ${from_status} stock for SKU '${sku}' at location '${location_id}'. Movable: ${movable}, attempting to move: ${quantity}.`);
+        }
+
+        const trackingDetails = InventoryLedger.prepareOutbound(product, skuTransactions, {
+          quantity,
+          location_id,
+          lot_number,
+          serial_numbers,
+          stock_status: from_status
+        });
+
+        const statusChangeId = generateUuid();
+        const details = {
+          sku,
+          type: 'STATUS_CHANGE',
+          location_id,
+          reason,
+          performed_by: performedBy,
+          status_change_id: statusChangeId,
+          from_status,
+          to_status,
+          ...trackingDetails
+        };
+        const outTransaction = InventoryLedger.buildTransaction({ ...details, quantity_change: -quantity, stock_status: from_status });
+        const inTransaction = InventoryLedger.buildTransaction({ ...details, quantity_change: quantity, stock_status: to_status });
+        inTransaction.timestamp = outTransaction.timestamp;
+
+        const txResponse = await InventoryLedger.recordTransactions(client, [outTransaction, inTransaction]);
+
+        return {
+          status_change: {
+            status_change_id: statusChangeId,
+            sku,
+            location_id,
+            quantity,
+            from_status,
+            to_status,
+            lot_allocations: trackingDetails.lot_allocations || null,
+            serial_numbers: trackingDetails.serial_numbers || null,
+            reason,
+            performed_by: performedBy,
+            changed_at: outTransaction.timestamp
+          },
+          transactions: [outTransaction, inTransaction],
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Stock in buckets other than AVAILABLE, per SKU, location, status and lot
+   */
+  async getHeldStock(filters = {}) {
+    return await withImmudb(async (client) => {
+      const transactions = (await InventoryLedger.getTransactions(client, { sku: filters.sku, location_id: filters.location_id }))
+        .filter(tx => tx.stock_status && tx.stock_status !== STOCK_STATUSES.AVAILABLE)
+        .filter(tx => !filters.status || tx.stock_status === filters.status);
+
+      const rows = {};
+      for (const tx of transactions) {
+        const key = `${tx.sku}|${tx.location_id}|${tx.stock_status}`;
+        if (!rows[key]) {
+          rows[key] = { sku: tx.sku, location_id: tx.location_id, stock_status: tx.stock_status, quantity: 0, transactions: [] };
+        }
+        rows[key].quantity += tx.quantity_change;
+        rows[key].transactions.push(tx);
+      }
+
+      return Object.values(rows)
+        .filter(row => row.quantity !== 0)
+        .map(({ transactions: rowTransactions, ...row }) => ({
+          ...row,
+          lots: InventoryLedger.summarizeLots(rowTransactions)
+            .filter(lot => lot.quantity !== 0)
+            .map(lot => ({ lot_number: lot.lot_number, quantity: lot.quantity, expires_at: lot.expires_at })),
+          serial_numbers: Object.values(InventoryLedger.summarizeSerials(rowTransactions))
+            .filter(serial => serial.in_stock)
+            .map(serial => serial.serial_number)
+        }))
+        .sort((a, b) => a.sku.localeCompare(b.sku) || a.location_id.localeCompare(b.location_id) || a.stock_status.localeCompare(b.stock_status));
+    });
+  }
+}
+
+module.exports = { StockStatusManager: new StockStatusManager() };
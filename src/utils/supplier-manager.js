@@ -0,0 +1,405 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { ValuationManager } = require('./valuation-manager');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const SUPPLIER_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  INACTIVE: 'INACTIVE'
+};
+
+// A supplier's link to a SKU is never deleted, only marked removed
+const SUPPLIER_ITEM_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  REMOVED: 'REMOVED'
+};
+
+const SUPPLIER_FIELDS = ['name', 'contacts', 'lead_time_days', 'currency', 'min_order_quantity', 'notes'];
+
+/**
+ * Supplier master data and what each supplier provides. A supplier lives at
+ * `supplier:<id>`; each SKU it supplies has a `supplier_item:<id>:<sku>` record with the
+ * supplier's part number and cost, and may override the supplier's lead time and minimum
+ * order quantity.
+ */
+class SupplierManager {
+  /**
+   * Create new supplier
+   */
+  async createSupplier(supplierData, performedBy) {
+    const { supplier_id } = supplierData;
+
+    if (!supplier_id || !supplierData.name) {
+      throw new RequestError('Missing required fields: supplier_id, name');
+    }
+
+    if (typeof supplier_id !== 'string' || supplier_id.includes(':')) {
+      throw new RequestError('Invalid supplier_id. Must be a string without colons.');
+    }
+
+    const now = new Date().toISOString();
+    const supplier = {
+      supplier_id,
+      name: null,
+      contacts: [],
+      lead_time_days: null,
+      currency: null,
+      min_order_quantity: null,
+      notes: null,
+      ...this.parseSupplierFields(supplierData),
+      status: SUPPLIER_STATUSES.ACTIVE,
+      created_at: now,
+      created_by: performedBy,
+      updated_at: now
+    };
+
+    return await withImmudb(async (client) => {
+      if (await getObj(client, `supplier:${supplier_id}`)) {
+        throw new RequestError(`Supplier '${supplier_id}' already exists`);
+      }
+
+      await client.set(this.supplierEntry(supplier));
+      return supplier;
+    });
+  }
+
+  /**
+   * Get supplier by ID
+   */
+  async getSupplier(supplierId) {
+    return await withImmudb(async (client) => getObj(client, `supplier:${supplierId}`));
+  }
+
+  /**
+   * List suppliers with filtering; a sku filter keeps those that supply it
+   */
+  async listSuppliers(filters = {}) {
+    return await withImmudb(async (client) => {
+      const suppliers = (await scanPrefix(client, 'supplier:'))
+        .map(item => JSON.parse(item.value))
+        .filter(supplier => !filters.status || supplier.status === filters.status);
+
+      if (!filters.sku) {
+        return suppliers.sort((a, b) => a.supplier_id.localeCompare(b.supplier_id));
+      }
+
+      const supplierIds = new Set((await this.getActiveItems(client))
+        .filter(item => item.sku === filters.sku)
+        .map(item => item.supplier_id));
+
+      return suppliers
+        .filter(supplier => supplierIds.has(supplier.supplier_id))
+        .sort((a, b) => a.supplier_id.localeCompare(b.supplier_id));
+    });
+  }
+
+  /**
+   * Update supplier (writes a new version of the supplier key)
+   */
+  async updateSupplier(supplierId, updates, performedBy) {
+    const changes = this.parseSupplierFields(updates);
+
+    if (updates.status !== undefined) {
+      if (!Object.values(SUPPLIER_STATUSES).includes(updates.status)) {
+        throw new RequestError(`Invalid supplier status: ${updates.status}. Valid statuses: ${Object.values(SUPPLIER_STATUSES).join(', ')}`);
+      }
+      changes.status = updates.status;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new RequestError(`No updatable fields given. Updatable fields: ${[...SUPPLIER_FIELDS, 'status'].join(', ')}`);
+    }
+
+    return await withImmudb(async (client) => {
+      const existing = await getObj(client, `supplier:${supplierId}`);
+      if (!existing) {
+        throw new RequestError(`Supplier '${supplierId}' not found`);
+      }
+
+      const supplier = {
+        ...existing,
+        ...changes,
+        updated_at: new Date().toISOString(),
+        updated_by: performedBy
+      };
+
+      await client.set(this.supplierEntry(supplier));
+      return supplier;
+    });
+  }
+
+  /**
+   * Validated supplier fields from a request body (only the fields given)
+   */
+  parseSupplierFields(data) {
+    const fields = {};
+
+    if (data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new RequestError('Invalid name. Must be a non-empty string.');
+      }
+      fields.name = data.name.trim();
+    }
+
+    if (data.contacts !== undefined) {
+      if (!Array.isArray(data.contacts) || data.contacts.some(contact => !contact || typeof contact !== 'object' || (!contact.name && !contact.email))) {
+        throw new RequestError('Invalid contacts. Each needs at least a name or an email.');
+      }
+      fields.contacts = data.contacts.map(({ name = null, email = null, phone = null, role = null }) => ({ name, email, phone, role }));
+    }
+
+    if (data.currency !== undefined) {
+      if (data.currency !== null && (typeof data.currency !== 'string' || !/^[A-Za-z]{3}$/.test(data.currency))) {
+        throw new RequestError('Invalid currency. Use a three-letter ISO 4217 code, e.g. EUR.');
+      }
+      fields.currency = data.currency ? data.currency.toUpperCase() : null;
+    }
+
+    Object.assign(fields, this.parseOrderTerms(data));
+
+    if (data.notes !== undefined) fields.notes = data.notes;
+
+    return fields;
+  }
+
+  /**
+   * Validated lead time and minimum order quantity (only the fields given)
+   */
+  parseOrderTerms(data) {
+    const terms = {};
+
+    if (data.lead_time_days !== undefined) {
+      if (data.lead_time_days !== null && (!Number.isInteger(data.lead_time_days) || data.lead_time_days < 0)) {
+        throw new RequestError('Invalid lead_time_days. Must be a non-negative integer or null.');
+      }
+      terms.lead_time_days = data.lead_time_days;
+    }
+
+    if (data.min_order_quantity !== undefined) {
+      if (data.min_order_quantity !== null && (!Number.isInteger(data.min_order_quantity) || data.min_order_quantity < 1)) {
+        throw new RequestError('Invalid min_order_quantity. Must be a positive integer or null.');
+      }
+      terms.min_order_quantity = data.min_order_quantity;
+    }
+
+    return terms;
+  }
+
+  /**
+   * Add or update the terms on which a supplier provides a SKU. Marking it preferred clears
+   * the flag on the SKU's other suppliers in the same immudb transaction.
+   */
+  async setSupplierItem(supplierId, sku, itemData, performedBy) {
+    const changes = this.parseOrderTerms(itemData);
+
+    if (itemData.supplier_part_number !== undefined) {
+      changes.supplier_part_number = itemData.supplier_part_number === null ? null : String(itemData.supplier_part_number);
+    }
+
+    if (itemData.unit_cost !== undefined) {
+      changes.unit_cost = itemData.unit_cost === null ? null : ValuationManager.parseUnitCost(itemData.unit_cost);
+    }
+
+    if (itemData.preferred !== undefined) {
+      if (typeof itemData.preferred !== 'boolean') {
+        throw new RequestError('Invalid preferred. Must be true or false.');
+      }
+      changes.preferred = itemData.preferred;
+    }
+
+    return await withImmudb(async (client) => {
+      const supplier = await getObj(client, `supplier:${supplierId}`);
+      if (!supplier) {
+        throw new RequestError(`Supplier '${supplierId}' not found`);
+      }
+
+      const product = await getObj(client, `product:${sku}`);
+      if (!product) {
+        throw new RequestError(`Product with SKU '${sku}' not found`);
+      }
+
+      if (product.variants) {
+        throw new RequestError(`Product with SKU '${sku}' is a variant parent; map its variant SKUs instead`);
+      }
+
+      const existing = await getObj(client, this.itemKey(supplierId, sku));
+      const isNew = !existing || existing.status === SUPPLIER_ITEM_STATUSES.REMOVED;
+      const now = new Date().toISOString();
+
+      const item = {
+        supplier_id: supplierId,
+        sku,
+        supplier_part_number: null,
+        unit_cost: null,
+        lead_time_days: null,
+        min_order_quantity: null,
+        preferred: false,
+        ...(isNew ? { created_at: now, created_by: performedBy } : existing),
+        ...changes,
+        status: SUPPLIER_ITEM_STATUSES.ACTIVE,
+        updated_at: now,
+        updated_by: performedBy
+      };
+
+      const kvsList = [this.itemEntry(item)];
+      if (item.preferred) {
+        for (const other of await this.getActiveItems(client)) {
+          if (other.sku !== sku || other.supplier_id === supplierId || !other.preferred) continue;
+          kvsList.push(this.itemEntry({ ...other, preferred: false, updated_at: now, updated_by: performedBy }));
+        }
+      }
+
+      const setResponse = await client.setAll({ kvsList });
+
+      return {
+        item,
+        created: isNew,
+        immudb_tx_hash: setResponse.id.toString()
+      };
+    });
+  }
+
+  /**
+   * Stop listing a SKU under a supplier
+   */
+  async removeSupplierItem(supplierId, sku, performedBy) {
+    return await withImmudb(async (client) => {
+      const existing = await getObj(client, this.itemKey(supplierId, sku));
+      if (!existing || existing.status === SUPPLIER_ITEM_STATUSES.REMOVED) {
+        throw new RequestError(`Supplier '${supplierId}' does not supply SKU '${sku}'`);
+      }
+
+      const item = {
+        ...existing,
+        preferred: false,
+        status: SUPPLIER_ITEM_STATUSES.REMOVED,
+        updated_at: new Date().toISOString(),
+        updated_by: performedBy
+      };
+
+      await client.set(this.itemEntry(item));
+      return item;
+    });
+  }
+
+  /**
+   * What a supplier provides, with each product's name
+   */
+  async listSupplierItems(supplierId) {
+    return await withImmudb(async (client) => {
+      const supplier = await getObj(client, `supplier:${supplierId}`);
+      if (!supplier) {
+        throw new RequestError(`Supplier '${supplierId}' not found`);
+      }
+
+      const items = (await scanPrefix(client, `supplier_item:${supplierId}:`))
+        .map(entry => JSON.parse(entry.value))
+        .filter(item => item.status === SUPPLIER_ITEM_STATUSES.ACTIVE);
+
+      const offers = [];
+      for (const item of items) {
+        const product = await getObj(client, `product:${item.sku}`);
+        offers.push({ ...this.buildOffer(supplier, item), product_name: product ? product.name : null });
+      }
+
+      return offers.sort((a, b) => a.sku.localeCompare(b.sku));
+    });
+  }
+
+  /**
+   * A SKU's suppliers, best first
+   */
+  async getSkuSuppliers(sku) {
+    return await withImmudb(async (client) => (await this.getOffersBySku(client))[sku] || []);
+  }
+
+  /**
+   * Every SKU's offers from active suppliers, best first (use inside withImmudb)
+   */
+  async getOffersBySku(client) {
+    const suppliers = {};
+    for (const entry of await scanPrefix(client, 'supplier:')) {
+      const supplier = JSON.parse(entry.value);
+      suppliers[supplier.supplier_id] = supplier;
+    }
+
+    const offersBySku = {};
+    for (const item of await this.getActiveItems(client)) {
+      const supplier = suppliers[item.supplier_id];
+      if (!supplier || supplier.status !== SUPPLIER_STATUSES.ACTIVE) continue;
+
+      (offersBySku[item.sku] = offersBySku[item.sku] || []).push(this.buildOffer(supplier, item));
+    }
+
+    for (const offers of Object.values(offersBySku)) {
+      offers.sort((a, b) =>
+        (b.preferred - a.preferred) ||
+        ((a.unit_cost ?? Infinity) - (b.unit_cost ?? Infinity)) ||
+        ((a.lead_time_days ?? Infinity) - (b.lead_time_days ?? Infinity)) ||
+        a.supplier_id.localeCompare(b.supplier_id)
+      );
+    }
+
+    return offersBySku;
+  }
+
+  /**
+   * Active supplier items across all suppliers (use inside withImmudb)
+   */
+  async getActiveItems(client) {
+    return (await scanPrefix(client, 'supplier_item:'))
+      .map(entry => JSON.parse(entry.value))
+      .filter(item => item.status === SUPPLIER_ITEM_STATUSES.ACTIVE);
+  }
+
+  /**
+   * The terms a supplier offers a SKU on; item settings override the supplier's own
+   */
+  buildOffer(supplier, item) {
+    return {
+      supplier_id: supplier.supplier_id,
+      supplier_name: supplier.name,
+      sku: item.sku,
+      supplier_part_number: item.supplier_part_number,
+      unit_cost: item.unit_cost,
+      currency: supplier.currency,
+      lead_time_days: item.lead_time_days ?? supplier.lead_time_days,
+      min_order_quantity: item.min_order_quantity ?? supplier.min_order_quantity,
+      preferred: item.preferred
+    };
+  }
+
+  /**
+   * Key of a supplier's item record for a SKU
+   */
+  itemKey(supplierId, sku) {
+    return `supplier_item:${supplierId}:${sku}`;
+  }
+
+  /**
+   * Key/value pair storing a supplier
+   */
+  supplierEntry(supplier) {
+    return {
+      key: Buffer.from(`supplier:${supplier.supplier_id}`),
+      value: objToBuffer(supplier)
+    };
+  }
+
+  /**
+   * Key/value pair storing a supplier's item for a SKU
+   */
+  itemEntry(item) {
+    return {
+      key: Buffer.from(this.itemKey(item.supplier_id, item.sku)),
+      value: objToBuffer(item)
+    };
+  }
+}
+
+module.exports = {
+  SupplierManager: new SupplierManager(),
+  SUPPLIER_STATUSES,
+  SUPPLIER_ITEM_STATUSES,
+  SUPPLIER_FIELDS
+};
@@ -0,0 +1,262 @@
+const { withImmudb, objToBuffer, getObj, scanPrefix } = require('../immudb-client');
+const { InventoryLedger, IN_TRANSIT_LOCATION_ID } = require('./inventory-ledger');
+const { LocationManager } = require('./location-manager');
+const { ReservationManager } = require('./reservation-manager');
+const { generateUuid, withLock } = require('./helpers');
+const { Buffer } = require('buffer');
+const { RequestError } = require('./request-error');
+
+const TRANSFER_STATUSES = {
+  IN_TRANSIT: 'IN_TRANSIT',
+  RECEIVED: 'RECEIVED',
+  CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Moves stock between locations. Each step writes a paired OUT/IN through the
+ * IN_TRANSIT pseudo-location together with the transfer record in one immudb
+ * transaction, so the ledger never shows stock leaving without arriving.
+ */
+class TransferManager {
+  /**
+   * Dispatch stock from the source location into transit
+   */
+  async dispatchTransfer(transferData, performedBy) {
+    const {
+      sku,
+      quantity,
+      from_location_id,
+      to_location_id,
+      lot_number = null,
+      serial_numbers,
+      reason = 'Stock transfer'
+    } = transferData;
+
+    if (!sku || !from_location_id || !to_location_id || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new RequestError('Missing or invalid transfer fields (sku, quantity, from_location_id, to_location_id). Quantity must be a positive integer.');
+    }
+
+    if (from_location_id === to_location_id) {
+      throw new RequestError('Source and destination locations must differ');
+    }
+
+    await LocationManager.getActiveLocation(from_location_id);
+    await LocationManager.getActiveLocation(to_location_id);
+
+    return await InventoryLedger.withStockLock([sku], async () => {
+      return await withImmudb(async (client) => {
+        const product = await getObj(client, `product:${sku}`);
+        if (!product) {
+          throw new RequestError(`Product with SKU '${sku}' not found`);
+        }
+        InventoryLedger.checkMovementAllowed(product, 'TRANSFER');
+
+        // Reserved stock at the source is already promised and cannot be moved
+        const skuTransactions = await InventoryLedger.getTransactions(client, { sku });
+        const availability = await ReservationManager.getAvailability(client, sku, from_location_id, {
+          transactions: skuTransactions
+        });
+        if (availability.available < quantity) {
+          throw new RequestError(`Insufficient stock for SKU '${sku}' at location '${from_location_id}'. Available: ${availability.available}, attempting to transfer: ${quantity}.`);
+        }
+
+        // Lots and serials travel with the stock so the destination keeps their balances and custody
+        const trackingDetails = InventoryLedger.prepareOutbound(product, skuTransactions, {
+          quantity,
+          location_id: from_location_id,
+          lot_number,
+          serial_numbers
+        });
+
+        const transferId = generateUuid();
+        const transactions = this.buildMovement(transferId, sku, quantity, from_location_id, IN_TRANSIT_LOCATION_ID, reason, performedBy, trackingDetails);
+
+        const transfer = {
+          transfer_id: transferId,
+          sku,
+          quantity,
+          from_location_id,
+          to_location_id,
+          ...trackingDetails,
+          reason,
+          status: TRANSFER_STATUSES.IN_TRANSIT,
+          dispatched_at: transactions[0].timestamp,
+          dispatched_by: performedBy,
+          dispatch_transaction_ids: transactions.map(tx => tx.transaction_id),
+          received_at: null,
+          received_by: null,
+          receipt_transaction_ids: []
+        };
+
+        const txResponse = await InventoryLedger.recordTransactions(client, transactions, [
+          this.transferEntry(transfer)
+        ]);
+
+        return {
+          transfer,
+          transactions,
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Receive an in-transit transfer at its destination
+   */
+  async receiveTransfer(transferId, performedBy) {
+    return await this.closeTransfer(transferId, TRANSFER_STATUSES.RECEIVED, performedBy);
+  }
+
+  /**
+   * Cancel an in-transit transfer, returning the stock to its source
+   */
+  async cancelTransfer(transferId, performedBy, reason = 'Transfer cancelled') {
+    return await this.closeTransfer(transferId, TRANSFER_STATUSES.CANCELLED, performedBy, reason);
+  }
+
+  /**
+   * Move in-transit stock to the destination (RECEIVED) or back to the source (CANCELLED)
+   */
+  async closeTransfer(transferId, status, performedBy, reason = null) {
+    // The status is checked before the write, so closes of one transfer run one at a time
+    // and a concurrent receive or cancel finds it already closed
+    return await withLock(`transfer:${transferId}`, async () => {
+      const existing = await this.getTransfer(transferId);
+      if (!existing) {
+        throw new RequestError(`Transfer '${transferId}' not found`);
+      }
+
+      if (existing.status !== TRANSFER_STATUSES.IN_TRANSIT) {
+        throw new RequestError(`Transfer '${transferId}' is already ${existing.status}`);
+      }
+
+      const targetLocationId = status === TRANSFER_STATUSES.RECEIVED
+        ? existing.to_location_id
+        : existing.from_location_id;
+
+      await LocationManager.getActiveLocation(targetLocationId);
+
+      return await withImmudb(async (client) => {
+        const transactions = this.buildMovement(
+          transferId,
+          existing.sku,
+          existing.quantity,
+          IN_TRANSIT_LOCATION_ID,
+          targetLocationId,
+          reason || existing.reason,
+          performedBy,
+          {
+            ...(existing.lot_allocations && { lot_allocations: existing.lot_allocations }),
+            ...(existing.serial_numbers && { serial_numbers: existing.serial_numbers })
+          }
+        );
+
+        const transactionIds = transactions.map(tx => tx.transaction_id);
+        const transfer = status === TRANSFER_STATUSES.RECEIVED ? {
+          ...existing,
+          status,
+          received_at: transactions[0].timestamp,
+          received_by: performedBy,
+          receipt_transaction_ids: transactionIds
+        } : {
+          ...existing,
+          status,
+          cancelled_at: transactions[0].timestamp,
+          cancelled_by: performedBy,
+          cancellation_reason: reason,
+          cancellation_transaction_ids: transactionIds
+        };
+
+        const txResponse = await InventoryLedger.recordTransactions(client, transactions, [
+          this.transferEntry(transfer)
+        ]);
+
+        return {
+          transfer,
+          transactions,
+          immudb_tx_hash: txResponse.id.toString()
+        };
+      });
+    });
+  }
+
+  /**
+   * Get transfer by ID
+   */
+  async getTransfer(transferId) {
+    return await withImmudb(async (client) => getObj(client, `transfer:${transferId}`));
+  }
+
+  /**
+   * List transfers with filtering
+   */
+  async listTransfers(filters = {}) {
+    return await withImmudb(async (client) => {
+      const entries = await scanPrefix(client, 'transfer:');
+      const transfers = [];
+
+      for (const item of entries) {
+        try {
+          const transfer = JSON.parse(item.value);
+
+          if (filters.status && transfer.status !== filters.status) continue;
+          if (filters.sku && transfer.sku !== filters.sku) continue;
+          if (filters.location_id &&
+              transfer.from_location_id !== filters.location_id &&
+              transfer.to_location_id !== filters.location_id) continue;
+
+          transfers.push(transfer);
+        } catch (parseError) {
+          continue; // Skip invalid entries
+        }
+      }
+
+      return transfers.sort((a, b) => new Date(b.dispatched_at) - new Date(a.dispatched_at));
+    });
+  }
+
+  /**
+   * Paired OUT/IN ledger entries moving a quantity between two locations
+   */
+  buildMovement(transferId, sku, quantity, fromLocationId, toLocationId, reason, performedBy, trackingDetails = {}) {
+    const outTransaction = InventoryLedger.buildTransaction({
+      sku,
+      type: 'OUT',
+      quantity_change: -quantity,
+      location_id: fromLocationId,
+      reason,
+      performed_by: performedBy,
+      transfer_id: transferId,
+      ...trackingDetails
+    });
+
+    const inTransaction = InventoryLedger.buildTransaction({
+      sku,
+      type: 'IN',
+      quantity_change: quantity,
+      location_id: toLocationId,
+      reason,
+      performed_by: performedBy,
+      transfer_id: transferId,
+      ...trackingDetails
+    });
+
+    // Both halves of a movement share one instant
+    inTransaction.timestamp = outTransaction.timestamp;
+
+    return [outTransaction, inTransaction];
+  }
+
+  /**
+   * Key/value pair storing the latest state of a transfer
+   */
+  transferEntry(transfer) {
+    return {
+      key: Buffer.from(`transfer:${transfer.transfer_id}`),
+      value: objToBuffer(transfer)
+    };
+  }
+}
+
+module.exports = { TransferManager: new TransferManager(), TRANSFER_STATUSES };
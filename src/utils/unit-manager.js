@@ -0,0 +1,121 @@
+const { RequestError } = require('./request-error');
+
+// Unit products are counted in unless they define another base unit
+const DEFAULT_BASE_UNIT = 'EA';
+
+/**
+ * Units of measure. A product counts stock in its base unit and may define alternate units
+ * (e.g. CASE = 12 EA); the ledger always holds base quantities, so conversions only apply
+ * when entering movements and reporting stock.
+ */
+class UnitManager {
+  /**
+   * Validated unit settings from a request body (only the fields given)
+   */
+  parseUnitSettings(data, currentBaseUnit = DEFAULT_BASE_UNIT) {
+    const settings = {};
+
+    if (data.base_unit !== undefined) {
+      settings.base_unit = this.normalizeUnit(data.base_unit, 'base_unit');
+    }
+
+    if (data.units !== undefined) {
+      if (!data.units || typeof data.units !== 'object' || Array.isArray(data.units)) {
+        throw new RequestError('Invalid units. Map each alternate unit to its size in base units, e.g. { "CASE": 12 }');
+      }
+
+      settings.units = {};
+      for (const [unit, factor] of Object.entries(data.units)) {
+        if (!Number.isInteger(factor) || factor < 1) {
+          throw new RequestError(`Invalid conversion factor for unit '${unit}'. Must be a positive integer of base units.`);
+        }
+        settings.units[this.normalizeUnit(unit, 'unit')] = factor;
+      }
+    }
+
+    const baseUnit = settings.base_unit || currentBaseUnit;
+    if (settings.units && settings.units[baseUnit] !== undefined) {
+      throw new RequestError(`Unit '${baseUnit}' is the base unit and cannot be an alternate unit`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * How many base units one of the given unit holds for a product
+   */
+  unitFactor(product, unit) {
+    const baseUnit = product.base_unit || DEFAULT_BASE_UNIT;
+    const normalized = this.normalizeUnit(unit, 'unit');
+
+    if (normalized === baseUnit) return 1;
+
+    const factor = (product.units || {})[normalized];
+    if (!factor) {
+      const known = [baseUnit, ...Object.keys(product.units || {})];
+      throw new RequestError(`Invalid unit '${unit}' for SKU '${product.sku}'. Units: ${known.join(', ')}`);
+    }
+
+    return factor;
+  }
+
+  /**
+   * A quantity entered in any of the product's units, with its base-unit equivalent
+   */
+  toBaseQuantity(product, quantity, unit = null) {
+    const baseUnit = product.base_unit || DEFAULT_BASE_UNIT;
+    const enteredUnit = unit ? this.normalizeUnit(unit, 'unit') : baseUnit;
+    const factor = this.unitFactor(product, enteredUnit);
+
+    return {
+      entered_quantity: quantity,
+      entered_unit: enteredUnit,
+      base_quantity: quantity * factor,
+      base_unit: baseUnit,
+      factor
+    };
+  }
+
+  /**
+   * A base-unit quantity expressed in another unit (to three decimals)
+   */
+  fromBaseQuantity(product, baseQuantity, unit) {
+    return Math.round((baseQuantity / this.unitFactor(product, unit)) * 1000) / 1000;
+  }
+
+  /**
+   * Stock figures (on hand, held, reserved, available, per location) converted to a unit
+   */
+  convertStock(product, stock, unit) {
+    const convert = (quantity) => this.fromBaseQuantity(product, quantity, unit);
+    const converted = {
+      unit: this.normalizeUnit(unit, 'unit'),
+      factor: this.unitFactor(product, unit)
+    };
+
+    for (const field of ['on_hand', 'held', 'reserved', 'available']) {
+      if (stock[field] !== undefined) converted[field] = convert(stock[field]);
+    }
+
+    if (stock.stock_by_location) {
+      converted.stock_by_location = {};
+      for (const [locationId, quantity] of Object.entries(stock.stock_by_location)) {
+        converted.stock_by_location[locationId] = convert(quantity);
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Unit codes are stored upper-case
+   */
+  normalizeUnit(unit, field) {
+    if (typeof unit !== 'string' || !unit.trim()) {
+      throw new RequestError(`Invalid ${field}. Must be a non-empty string.`);
+    }
+    return unit.trim().toUpperCase();
+  }
+}
+
+module.exports = { UnitManager: new UnitManager(), DEFAULT_BASE_UNIT };
@@ -18,7 +18,7 @@ const USER_ROLES = {
     permissions: [
       'users.create', 'users.read', 'users.update', 'users.delete',
       'certificates.create', 'certificates.read', 'certificates.revoke',
-      'audit.read', 'inventory.read', 'inventory.write', 'products.read', 'products.write'
+      'audit.read', 'inventory.read', 'inventory.write', 'inventory.approve', 'products.read', 'products.write'
     ]
   },
   USER: {
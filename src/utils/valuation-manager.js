@@ -0,0 +1,159 @@
+const { withImmudb, scanPrefix } = require('../immudb-client');
+const { InventoryLedger } = require('./inventory-ledger');
+const { RMA_DISPOSITIONS } = require('./rma-manager');
+const { RequestError } = require('./request-error');
+
+const VALUATION_METHODS = ['FIFO', 'LIFO', 'WEIGHTED_AVG'];
+
+/**
+ * Values stock by replaying the ledger up to a point in time, the same way the
+ * time-travel query derives historical stock. Inbound entries add cost layers at their
+ * `unit_cost`; outbound entries consume layers per the costing method. Transfers and
+ * restocked returns only move stock between locations and do not change its cost.
+ */
+class ValuationManager {
+  /**
+   * Validated unit_cost from a request body (undefined when not given)
+   */
+  parseUnitCost(unitCost) {
+    if (unitCost === undefined || unitCost === null) return undefined;
+    if (typeof unitCost !== 'number' || !isFinite(unitCost) || unitCost < 0) {
+      throw new RequestError('Invalid unit_cost. Must be a non-negative number.');
+    }
+    return unitCost;
+  }
+
+  /**
+   * Per-SKU and total stock value at a point in time
+   */
+  async getValuation({ method = 'FIFO', as_of = null, sku = null } = {}) {
+    if (!VALUATION_METHODS.includes(method)) {
+      throw new RequestError(`Invalid valuation method: ${method}. Valid methods: ${VALUATION_METHODS.join(', ')}`);
+    }
+
+    const asOf = as_of ? new Date(as_of) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw new RequestError('Invalid as_of format. Use ISO 8601 format: YYYY-MM-DDTHH:mm:ss.sssZ');
+    }
+
+    return await withImmudb(async (client) => {
+      const products = (await scanPrefix(client, 'product:'))
+        .map(item => JSON.parse(item.value))
+        .filter(product => !sku || product.sku === sku);
+
+      const transactions = await InventoryLedger.getTransactions(client, { until: asOf });
+
+      const skus = products.map(product => {
+        const valuation = this.valueTransactions(transactions.filter(tx => tx.sku === product.sku), method);
+        return {
+          sku: product.sku,
+          name: product.name,
+          ...valuation
+        };
+      }).sort((a, b) => a.sku.localeCompare(b.sku));
+
+      return {
+        method,
+        as_of: asOf.toISOString(),
+        skus,
+        total_quantity: skus.reduce((sum, row) => sum + row.quantity, 0),
+        total_value: this.round(skus.reduce((sum, row) => sum + row.value, 0)),
+        uncosted_quantity: skus.reduce((sum, row) => sum + row.uncosted_quantity, 0)
+      };
+    });
+  }
+
+  /**
+   * Replay one SKU's ledger entries (oldest first) into cost layers and value what remains.
+   * Inbound entries without unit_cost are costed at the current average, or left uncosted
+   * when nothing costed is on hand.
+   */
+  valueTransactions(transactions, method) {
+    let layers = [];
+
+    for (const tx of transactions) {
+      if (tx.transfer_id || tx.status_change_id || tx.rma_disposition === RMA_DISPOSITIONS.RESTOCK || tx.quantity_change === 0) continue;
+
+      if (tx.quantity_change > 0) {
+        const unitCost = tx.unit_cost != null ? tx.unit_cost : this.averageCost(layers);
+        layers.push({ quantity: tx.quantity_change, unit_cost: unitCost, received_at: tx.timestamp, transaction_id: tx.transaction_id });
+
+        if (method === 'WEIGHTED_AVG') {
+          layers = this.poolLayers(layers);
+        }
+        continue;
+      }
+
+      let remaining = -tx.quantity_change;
+      let consumeOrder = method === 'LIFO' ? [...layers].reverse() : layers;
+
+      // Reversing a receipt takes back the layer it created, at its cost
+      if (tx.reverses_transaction_id) {
+        consumeOrder = [
+          ...consumeOrder.filter(layer => layer.transaction_id === tx.reverses_transaction_id),
+          ...consumeOrder.filter(layer => layer.transaction_id !== tx.reverses_transaction_id)
+        ];
+      }
+      for (const layer of consumeOrder) {
+        if (remaining <= 0) break;
+        const take = Math.min(layer.quantity, remaining);
+        layer.quantity -= take;
+        remaining -= take;
+      }
+      layers = layers.filter(layer => layer.quantity > 0);
+    }
+
+    const costed = layers.filter(layer => layer.unit_cost !== null);
+    const quantity = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    const value = costed.reduce((sum, layer) => sum + layer.quantity * layer.unit_cost, 0);
+    const costedQuantity = costed.reduce((sum, layer) => sum + layer.quantity, 0);
+
+    return {
+      quantity,
+      value: this.round(value),
+      average_unit_cost: costedQuantity > 0 ? this.round(value / costedQuantity) : null,
+      uncosted_quantity: quantity - costedQuantity,
+      ...(method !== 'WEIGHTED_AVG' && {
+        layers: layers.map(({ transaction_id, ...layer }) => ({ ...layer, unit_cost: layer.unit_cost === null ? null : this.round(layer.unit_cost) }))
+      })
+    };
+  }
+
+  /**
+   * Merge every costed layer into one at the weighted-average cost
+   */
+  poolLayers(layers) {
+    const uncosted = layers.filter(layer => layer.unit_cost === null);
+    const costed = layers.filter(layer => layer.unit_cost !== null);
+    if (costed.length <= 1) return layers;
+
+    const quantity = costed.reduce((sum, layer) => sum + layer.quantity, 0);
+    return [
+      ...uncosted,
+      {
+        quantity,
+        unit_cost: costed.reduce((sum, layer) => sum + layer.quantity * layer.unit_cost, 0) / quantity,
+        received_at: costed[costed.length - 1].received_at
+      }
+    ];
+  }
+
+  /**
+   * Weighted-average unit cost of the costed layers (null when none)
+   */
+  averageCost(layers) {
+    const costed = layers.filter(layer => layer.unit_cost !== null && layer.quantity > 0);
+    const quantity = costed.reduce((sum, layer) => sum + layer.quantity, 0);
+    if (quantity === 0) return null;
+    return costed.reduce((sum, layer) => sum + layer.quantity * layer.unit_cost, 0) / quantity;
+  }
+
+  /**
+   * Round a money amount to cents
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = { ValuationManager: new ValuationManager(), VALUATION_METHODS };
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const app = require('../server');
+const { UserManager } = require('../src/utils/user-manager');
 
 describe('Immudb Inventory Management API', () => {
   const API_KEY = 'supersecretapikey';
@@ -157,6 +158,2045 @@ describe('Immudb Inventory Management API', () => {
         expect(response.body.message).toContain('API key');
       });
     });
+
+    describe('GET /api/products', () => {
+      test('should list products with filters', async () => {
+        const response = await request(app)
+          .get(`${BASE_URL}/products`)
+          .query({ category: 'electronics', q: 'gaming', min_price: 100 })
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body.products.map(product => product.sku)).toContain(testSku);
+        expect(response.body.products.every(product => product.price >= 100)).toBe(true);
+      });
+
+      test('should page through products with a cursor', async () => {
+        const first = await request(app)
+          .get(`${BASE_URL}/products`)
+          .query({ limit: 1 })
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(first.body.products).toHaveLength(1);
+        if (!first.body.has_more) return;
+
+        const second = await request(app)
+          .get(`${BASE_URL}/products`)
+          .query({ limit: 1, cursor: first.body.next_cursor })
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(second.body.products[0].sku > first.body.products[0].sku).toBe(true);
+      });
+
+      test('should return 400 for an invalid sort field', async () => {
+        const response = await request(app)
+          .get(`${BASE_URL}/products`)
+          .query({ sort: 'colour' })
+          .set('X-API-Key', API_KEY)
+          .expect(400);
+
+        expect(response.body.message).toContain('Invalid sort field');
+      });
+    });
+
+    describe('PATCH /api/products/:sku', () => {
+      test('should write a new product version', async () => {
+        const response = await request(app)
+          .patch(`${BASE_URL}/products/${testSku}`)
+          .set('X-API-Key', API_KEY)
+          .send({ price: 1499.99, supplier: 'New Supplier' })
+          .expect(200);
+
+        expect(response.body.product.price).toBe(1499.99);
+        expect(response.body.product.version).toBe(2);
+        expect(response.body.product.sku).toBe(testSku);
+      });
+
+      test('should reject an invalid price', async () => {
+        await request(app)
+          .patch(`${BASE_URL}/products/${testSku}`)
+          .set('X-API-Key', API_KEY)
+          .send({ price: -5 })
+          .expect(400);
+      });
+
+      test('should list every version from key history', async () => {
+        const response = await request(app)
+          .get(`${BASE_URL}/products/${testSku}/versions`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body.versions).toHaveLength(2);
+        expect(response.body.versions[0].product.price).toBe(2500);
+        expect(response.body.versions[1]).toHaveProperty('immudb_tx_id');
+        expect(response.body.versions[1]).toHaveProperty('changed_by');
+      });
+
+      test('should return the version valid at as_of', async () => {
+        const versions = await request(app)
+          .get(`${BASE_URL}/products/${testSku}/versions`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        const response = await request(app)
+          .get(`${BASE_URL}/products/${testSku}?as_of=${versions.body.versions[0].changed_at}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body.version).toBe(1);
+      });
+    });
+  });
+
+  describe('Location Management', () => {
+    const locationId = `WH-TEST-${Date.now()}`;
+
+    describe('POST /api/locations', () => {
+      test('should create a new location successfully', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/locations`)
+          .set('X-API-Key', API_KEY)
+          .send({ location_id: locationId, name: 'Test Warehouse', type: 'WAREHOUSE' })
+          .expect(201);
+
+        expect(response.body).toHaveProperty('location');
+        expect(response.body.location.location_id).toBe(locationId);
+        expect(response.body.location.status).toBe('ACTIVE');
+      });
+
+      test('should return 400 when missing required fields', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/locations`)
+          .set('X-API-Key', API_KEY)
+          .send({ name: 'No Id Warehouse' })
+          .expect(400);
+
+        expect(response.body.message).toContain('Missing required');
+      });
+    });
+
+    describe('PUT /api/locations/:locationId', () => {
+      const spareLocationId = `${locationId}-SPARE`;
+
+      test('should reactivate a deactivated location', async () => {
+        await request(app)
+          .post(`${BASE_URL}/locations`)
+          .set('X-API-Key', API_KEY)
+          .send({ location_id: spareLocationId, name: 'Spare Warehouse' })
+          .expect(201);
+
+        await request(app)
+          .delete(`${BASE_URL}/locations/${spareLocationId}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        const response = await request(app)
+          .put(`${BASE_URL}/locations/${spareLocationId}`)
+          .set('X-API-Key', API_KEY)
+          .send({ status: 'ACTIVE' })
+          .expect(200);
+
+        expect(response.body.location.status).toBe('ACTIVE');
+      });
+
+      test('should not deactivate through PUT', async () => {
+        const response = await request(app)
+          .put(`${BASE_URL}/locations/${spareLocationId}`)
+          .set('X-API-Key', API_KEY)
+          .send({ status: 'INACTIVE' })
+          .expect(400);
+
+        expect(response.body.message).toContain('DELETE');
+      });
+
+      test('should accept an update without a body', async () => {
+        const response = await request(app)
+          .put(`${BASE_URL}/locations/${spareLocationId}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body.location.status).toBe('ACTIVE');
+      });
+    });
+
+    describe('POST /api/inventory/transaction with location_id', () => {
+      test('should record stock at a specific location', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/inventory/transaction`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: testSku, type: 'IN', quantity: 3, reason: 'Restock', location_id: locationId })
+          .expect(201);
+
+        expect(response.body.transaction.location_id).toBe(locationId);
+      });
+
+      test('should reject OUT beyond the stock held at that location', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/inventory/transaction`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: testSku, type: 'OUT', quantity: 4, reason: 'Sale', location_id: locationId })
+          .expect(400);
+
+        expect(response.body.message).toContain('Insufficient stock');
+      });
+
+      test('should return 404 for an unknown location', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/inventory/transaction`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: testSku, type: 'IN', quantity: 1, reason: 'Restock', location_id: 'NO-SUCH-LOCATION' })
+          .expect(404);
+
+        expect(response.body.message).toContain('not found');
+      });
+    });
+
+    describe('GET /api/products/:sku per-location stock', () => {
+      test('should split current stock by location', async () => {
+        const response = await request(app)
+          .get(`${BASE_URL}/products/${testSku}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body).toHaveProperty('stock_by_location');
+        expect(response.body.stock_by_location[locationId]).toBe(3);
+      });
+    });
+
+    describe('POST /api/inventory/transfers', () => {
+      let transferId;
+
+      test('should dispatch stock into transit', async () => {
+        const before = await request(app)
+          .get(`${BASE_URL}/products/${testSku}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        const response = await request(app)
+          .post(`${BASE_URL}/inventory/transfers`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: testSku, quantity: 2, from_location_id: locationId, to_location_id: 'DEFAULT' })
+          .expect(201);
+
+        expect(response.body.transfer.status).toBe('IN_TRANSIT');
+        expect(response.body.transactions).toHaveLength(2);
+        transferId = response.body.transfer.transfer_id;
+
+        // Stock in transit is still on hand but cannot be sold until it is received
+        const after = await request(app)
+          .get(`${BASE_URL}/products/${testSku}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(after.body.on_hand).toBe(before.body.on_hand);
+        expect(after.body.held).toBe(before.body.held + 2);
+        expect(after.body.available).toBe(before.body.available - 2);
+      });
+
+      test('should reject a transfer larger than the source stock', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/inventory/transfers`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: testSku, quantity: 100, from_location_id: locationId, to_location_id: 'DEFAULT' })
+          .expect(400);
+
+        expect(response.body.message).toContain('Insufficient stock');
+      });
+
+      test('should receive the transfer exactly once', async () => {
+        const response = await request(app)
+          .post(`${BASE_URL}/inventory/transfers/${transferId}/receive`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body.transfer.status).toBe('RECEIVED');
+
+        await request(app)
+          .post(`${BASE_URL}/inventory/transfers/${transferId}/receive`)
+          .set('X-API-Key', API_KEY)
+          .expect(409);
+      });
+
+      test('should close a transfer once when receive and cancel race', async () => {
+        const dispatched = await request(app)
+          .post(`${BASE_URL}/inventory/transfers`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: testSku, quantity: 1, from_location_id: locationId, to_location_id: 'DEFAULT' })
+          .expect(201);
+
+        const racingId = dispatched.body.transfer.transfer_id;
+        const responses = await Promise.all([
+          request(app).post(`${BASE_URL}/inventory/transfers/${racingId}/receive`).set('X-API-Key', API_KEY),
+          request(app).post(`${BASE_URL}/inventory/transfers/${racingId}/cancel`).set('X-API-Key', API_KEY)
+        ]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      });
+    });
+  });
+
+  describe('Lot Tracking', () => {
+    const lotSku = `LOT-${Date.now()}`;
+    const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lotSku, name: 'Test Yoghurt', price: 2.5, quantity: 5, lot_number: 'LATE', expires_at: inDays(60) });
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lotSku, type: 'IN', quantity: 4, reason: 'Delivery', lot_number: 'EARLY', expires_at: inDays(10) });
+    });
+
+    test('should consume lots first-expired-first-out', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lotSku, type: 'OUT', quantity: 6, reason: 'Sale' })
+        .expect(201);
+
+      expect(response.body.transaction.lot_allocations).toEqual([
+        { lot_number: 'EARLY', quantity: 4 },
+        { lot_number: 'LATE', quantity: 2 }
+      ]);
+    });
+
+    test('should reject an OUT beyond the named lot', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lotSku, type: 'OUT', quantity: 1, reason: 'Sale', lot_number: 'EARLY' })
+        .expect(400);
+
+      expect(response.body.message).toContain("lot 'EARLY'");
+    });
+
+    test('should report lots expiring within the window', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/inventory/expiring`)
+        .set('X-API-Key', API_KEY)
+        .query({ within: '90d', sku: lotSku })
+        .expect(200);
+
+      expect(response.body.lots).toHaveLength(1);
+      expect(response.body.lots[0]).toMatchObject({ lot_number: 'LATE', quantity: 3 });
+    });
+
+    test('should return 400 for an invalid window', async () => {
+      await request(app)
+        .get(`${BASE_URL}/inventory/expiring`)
+        .set('X-API-Key', API_KEY)
+        .query({ within: 'soon' })
+        .expect(400);
+    });
+  });
+
+  describe('Serialized Items', () => {
+    const serialSku = `SER-${Date.now()}`;
+    const serial = `SN-${Date.now()}`;
+
+    test('should require one serial per unit for serialized products', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: serialSku, name: 'Test Phone', price: 999, quantity: 2, serialized: true, serial_numbers: [serial] })
+        .expect(400);
+
+      expect(response.body.message).toContain('serial_numbers');
+    });
+
+    test('should register serials on receipt and require them on OUT', async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: serialSku, name: 'Test Phone', price: 999, quantity: 1, serialized: true, serial_numbers: [serial] })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: serialSku, type: 'OUT', quantity: 1, reason: 'Sale' })
+        .expect(400);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: serialSku, type: 'OUT', quantity: 1, reason: 'Sale', serial_numbers: [serial] })
+        .expect(201);
+    });
+
+    test('should return the verified custody chain of a serial', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/inventory/serials/${serial}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.custody_chain).toHaveLength(2);
+      expect(response.body.status).toBe('OUT_OF_STOCK');
+      expect(response.body.immudb_verification_status).toBe('OK');
+    });
+
+    test('should reject a serial already registered to another SKU', async () => {
+      const otherSku = `${serialSku}-OTHER`;
+
+      const response = await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: otherSku, name: 'Other Phone', price: 999, quantity: 1, serialized: true, serial_numbers: [serial] })
+        .expect(409);
+
+      expect(response.body.message).toContain(`registered to SKU '${serialSku}'`);
+
+      await request(app)
+        .get(`${BASE_URL}/products/${otherSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(404);
+
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: otherSku, name: 'Other Phone', price: 999, quantity: 1, serialized: true, serial_numbers: [`${serial}-B`] })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: otherSku, type: 'IN', quantity: 1, reason: 'Restock', serial_numbers: [serial] })
+        .expect(400);
+    });
+
+    test('should return 404 for an unknown serial', async () => {
+      await request(app)
+        .get(`${BASE_URL}/inventory/serials/NO-SUCH-SERIAL`)
+        .set('X-API-Key', API_KEY)
+        .expect(404);
+    });
+  });
+
+  describe('Stock Reservations', () => {
+    const reservationSku = `RES-${Date.now()}`;
+    let reservationId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reservationSku, name: 'Reserved Widget', price: 5, quantity: 10 })
+        .expect(200);
+    });
+
+    test('should reserve stock and split on_hand, reserved and available', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/reservations`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reservationSku, quantity: 7, reference: 'SO-1' })
+        .expect(201);
+
+      reservationId = response.body.reservation.reservation_id;
+      expect(response.body.reservation.status).toBe('ACTIVE');
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${reservationSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.on_hand).toBe(10);
+      expect(product.body.reserved).toBe(7);
+      expect(product.body.available).toBe(3);
+    });
+
+    test('should reject OUT transactions beyond available stock', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reservationSku, type: 'OUT', quantity: 4, reason: 'Sale' })
+        .expect(400);
+
+      expect(response.body.message).toContain('available: 3');
+    });
+
+    test('should commit a reservation into an OUT transaction only once', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/reservations/${reservationId}/commit`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(200);
+
+      expect(response.body.reservation.status).toBe('COMMITTED');
+      expect(response.body.transaction.quantity_change).toBe(-7);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/reservations/${reservationId}/release`)
+        .set('X-API-Key', API_KEY)
+        .expect(409);
+    });
+
+    test('should commit a reservation only once when asked concurrently', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/reservations`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reservationSku, quantity: 2 })
+        .expect(201);
+
+      const { reservation_id: concurrentId } = response.body.reservation;
+      const commit = () => request(app)
+        .post(`${BASE_URL}/inventory/reservations/${concurrentId}/commit`)
+        .set('X-API-Key', API_KEY)
+        .send({});
+
+      const responses = await Promise.all([commit(), commit()]);
+      expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${reservationSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.on_hand).toBe(1);
+    });
+
+    test('should let only one of concurrent requests take the last units', async () => {
+      const racingSku = `RES-RACE-${Date.now()}`;
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: racingSku, name: 'Raced Widget', price: 5, quantity: 3 })
+        .expect(200);
+
+      const responses = await Promise.all([
+        request(app)
+          .post(`${BASE_URL}/inventory/transaction`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: racingSku, type: 'OUT', quantity: 2, reason: 'Sale' }),
+        request(app)
+          .post(`${BASE_URL}/inventory/reservations`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: racingSku, quantity: 2 }),
+        request(app)
+          .post(`${BASE_URL}/inventory/transaction`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: racingSku, type: 'OUT', quantity: 2, reason: 'Sale' })
+      ]);
+
+      expect(responses.filter(response => response.status === 201)).toHaveLength(1);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${racingSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.available).toBe(1);
+    });
+
+    test('should return 404 for an unknown reservation', async () => {
+      await request(app)
+        .get(`${BASE_URL}/inventory/reservations/NO-SUCH-RESERVATION`)
+        .set('X-API-Key', API_KEY)
+        .expect(404);
+    });
+  });
+
+  describe('Purchase Orders', () => {
+    const poSku = `PO-${Date.now()}`;
+    let poId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: poSku, name: 'Purchased Widget', price: 5, quantity: 1 })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/purchase-orders`)
+        .set('X-API-Key', API_KEY)
+        .send({ supplier: 'ACME Supplies', lines: [{ sku: poSku, quantity: 5, unit_cost: 2.5 }] })
+        .expect(201);
+
+      poId = response.body.purchase_order.po_id;
+    });
+
+    test('should reject line quantities that are not positive integers', async () => {
+      for (const quantity of ['3', 1.5]) {
+        await request(app)
+          .post(`${BASE_URL}/purchase-orders`)
+          .set('X-API-Key', API_KEY)
+          .send({ supplier: 'ACME Supplies', lines: [{ sku: poSku, quantity }] })
+          .expect(400);
+      }
+    });
+
+    test('should not receive against a draft purchase order', async () => {
+      await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/receipts`)
+        .set('X-API-Key', API_KEY)
+        .send({ lines: [{ line_id: '1', quantity: 2 }] })
+        .expect(409);
+    });
+
+    test('should receive an approved purchase order and flag over-receipts', async () => {
+      await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/approve`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/receipts`)
+        .set('X-API-Key', API_KEY)
+        .send({ lines: [{ line_id: '1', quantity: '2' }] })
+        .expect(400);
+
+      const partial = await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/receipts`)
+        .set('X-API-Key', API_KEY)
+        .send({ lines: [{ line_id: '1', quantity: 2 }] })
+        .expect(201);
+
+      expect(partial.body.purchase_order.status).toBe('PARTIALLY_RECEIVED');
+      expect(partial.body.transactions[0].purchase_order_id).toBe(poId);
+      expect(partial.body.transactions[0].po_line_id).toBe('1');
+
+      const over = await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/receipts`)
+        .set('X-API-Key', API_KEY)
+        .send({ lines: [{ line_id: '1', quantity: 4 }] })
+        .expect(201);
+
+      expect(over.body.purchase_order.status).toBe('RECEIVED');
+      expect(over.body.purchase_order.discrepancies[0].type).toBe('OVER_RECEIPT');
+    });
+
+    test('should close a received purchase order but not cancel it', async () => {
+      await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/cancel`)
+        .set('X-API-Key', API_KEY)
+        .expect(409);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/purchase-orders/${poId}/close`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.purchase_order.status_history.map(change => change.status))
+        .toEqual(['DRAFT', 'APPROVED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED']);
+    });
+
+    test('should count every one of concurrent receipts against the order', async () => {
+      const created = await request(app)
+        .post(`${BASE_URL}/purchase-orders`)
+        .set('X-API-Key', API_KEY)
+        .send({ supplier: 'ACME Supplies', lines: [{ sku: poSku, quantity: 4 }] })
+        .expect(201);
+
+      const concurrentPoId = created.body.purchase_order.po_id;
+      await request(app)
+        .post(`${BASE_URL}/purchase-orders/${concurrentPoId}/approve`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const receive = () => request(app)
+        .post(`${BASE_URL}/purchase-orders/${concurrentPoId}/receipts`)
+        .set('X-API-Key', API_KEY)
+        .send({ lines: [{ line_id: '1', quantity: 2 }] })
+        .expect(201);
+      await Promise.all([receive(), receive()]);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/purchase-orders/${concurrentPoId}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.purchase_order.status).toBe('RECEIVED');
+      expect(response.body.purchase_order.receipts).toHaveLength(2);
+      expect(response.body.purchase_order.lines[0].quantity_received).toBe(4);
+    });
+  });
+
+  describe('Sales Orders', () => {
+    const soSku = `SO-${Date.now()}`;
+    let soId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: soSku, name: 'Sold Widget', price: 5, quantity: 10 })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/sales-orders`)
+        .set('X-API-Key', API_KEY)
+        .send({ customer: 'Test Customer', lines: [{ sku: soSku, quantity: 4 }] })
+        .expect(201);
+
+      soId = response.body.sales_order.so_id;
+    });
+
+    test('should reserve stock when the order is confirmed', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/sales-orders/${soId}/confirm`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.sales_order.allocations).toHaveLength(1);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${soSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.reserved).toBe(4);
+      expect(product.body.available).toBe(6);
+    });
+
+    test('should not release or commit a sales order reservation directly', async () => {
+      const order = await request(app)
+        .get(`${BASE_URL}/sales-orders/${soId}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const reservationId = order.body.sales_order.allocations[0].reservation_id;
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/reservations/${reservationId}/release`)
+        .set('X-API-Key', API_KEY)
+        .expect(409);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/reservations/${reservationId}/commit`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(409);
+    });
+
+    test('should group the pick list by location', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/sales-orders/${soId}/pick`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.sales_order.pick_list[0].location_id).toBe('DEFAULT');
+      expect(response.body.sales_order.pick_list[0].lines[0].quantity).toBe(4);
+    });
+
+    test('should post OUT transactions referencing the order on shipment', async () => {
+      await request(app)
+        .post(`${BASE_URL}/sales-orders/${soId}/pack`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/sales-orders/${soId}/ship`)
+        .set('X-API-Key', API_KEY)
+        .send({ carrier: 'UPS', tracking_number: '1Z999' })
+        .expect(200);
+
+      expect(response.body.transactions[0].sales_order_id).toBe(soId);
+      expect(response.body.transactions[0].quantity_change).toBe(-4);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${soSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.on_hand).toBe(6);
+      expect(product.body.reserved).toBe(0);
+    });
+
+    test('should not cancel a shipped order', async () => {
+      await request(app)
+        .post(`${BASE_URL}/sales-orders/${soId}/cancel`)
+        .set('X-API-Key', API_KEY)
+        .expect(409);
+    });
+
+    test('should ship an order once when two shipments race', async () => {
+      const created = await request(app)
+        .post(`${BASE_URL}/sales-orders`)
+        .set('X-API-Key', API_KEY)
+        .send({ customer: 'Test Customer', lines: [{ sku: soSku, quantity: 1 }] })
+        .expect(201);
+
+      const racingId = created.body.sales_order.so_id;
+      for (const step of ['confirm', 'pick', 'pack']) {
+        await request(app)
+          .post(`${BASE_URL}/sales-orders/${racingId}/${step}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+      }
+
+      const ship = () => request(app).post(`${BASE_URL}/sales-orders/${racingId}/ship`).set('X-API-Key', API_KEY);
+      const responses = await Promise.all([ship(), ship()]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${soSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.on_hand).toBe(5);
+    });
+  });
+
+  describe('Cycle Counts', () => {
+    const countSku = `CNT-${Date.now()}`;
+    let sessionId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: countSku, name: 'Counted Widget', price: 5, quantity: 10 })
+        .expect(200);
+    });
+
+    test('should freeze expected quantities when a session opens', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/cycle-counts`)
+        .set('X-API-Key', API_KEY)
+        .send({ skus: [countSku], location_ids: ['DEFAULT'] })
+        .expect(201);
+
+      sessionId = response.body.session.session_id;
+      expect(response.body.session.lines[0].expected_quantity).toBe(10);
+    });
+
+    test('should show variances for counted lines', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/cycle-counts/${sessionId}/counts`)
+        .set('X-API-Key', API_KEY)
+        .send({ counts: [{ sku: countSku, location_id: 'DEFAULT', counted_quantity: 8 }] })
+        .expect(200);
+
+      expect(response.body.session.lines[0].variance).toBe(-2);
+      expect(response.body.session.summary.net_variance).toBe(-2);
+    });
+
+    test('should require inventory.approve to approve a count', async () => {
+      await request(app)
+        .post(`${BASE_URL}/cycle-counts/${sessionId}/approve`)
+        .set('X-API-Key', API_KEY)
+        .expect(403);
+    });
+
+    test('should post variances once when two approvals race', async () => {
+      const { token } = await UserManager.authenticateUser('admin', 'admin123!');
+
+      const approve = () => request(app)
+        .post(`${BASE_URL}/cycle-counts/${sessionId}/approve`)
+        .set('Authorization', `Bearer ${token}`);
+      const responses = await Promise.all([approve(), approve()]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${countSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.current_stock).toBe(8);
+    });
+  });
+
+  describe('Reorder Points', () => {
+    const reorderSku = `ROP-${Date.now()}`;
+
+    test('should reject invalid reorder settings', async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: `${reorderSku}-BAD`, name: 'Bad Widget', price: 5, quantity: 1, reorder_point: -1 })
+        .expect(400);
+    });
+
+    test('should suggest a reorder once stock falls to the reorder point', async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reorderSku, name: 'Reordered Widget', price: 5, quantity: 20, reorder_point: 10, reorder_quantity: 25, safety_stock: 3 })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reorderSku, type: 'OUT', quantity: 12, reason: 'Sale' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/inventory/reorder-suggestions?sku=${reorderSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.suggestions).toHaveLength(1);
+      expect(response.body.suggestions[0].available).toBe(8);
+      expect(response.body.suggestions[0].suggested_order_quantity).toBe(25);
+    });
+
+    test('should open and resolve a low-stock alert as stock is reserved and released', async () => {
+      const reservedSku = `${reorderSku}-RES`;
+      const { token } = await UserManager.authenticateUser('admin', 'admin123!');
+      const openAlertSkus = async () => {
+        const dashboard = await request(app)
+          .get(`${BASE_URL}/admin/dashboard`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+        return dashboard.body.low_stock_alerts.alerts.map(alert => alert.sku);
+      };
+
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reservedSku, name: 'Reserved Reorder Widget', price: 5, quantity: 10, reorder_point: 5 })
+        .expect(200);
+
+      const reservation = await request(app)
+        .post(`${BASE_URL}/inventory/reservations`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: reservedSku, quantity: 6 })
+        .expect(201);
+
+      expect(await openAlertSkus()).toContain(reservedSku);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/reservations/${reservation.body.reservation.reservation_id}/release`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(await openAlertSkus()).not.toContain(reservedSku);
+    });
+  });
+
+  describe('Inventory Valuation', () => {
+    const valuedSku = `VAL-${Date.now()}`;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: valuedSku, name: 'Valued Widget', price: 20, quantity: 10, unit_cost: 5 })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: valuedSku, type: 'IN', quantity: 10, reason: 'Restock', unit_cost: 7 })
+        .expect(201);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: valuedSku, type: 'OUT', quantity: 10, reason: 'Sale' })
+        .expect(201);
+    });
+
+    test('should value remaining stock per costing method', async () => {
+      const expected = { FIFO: 70, LIFO: 50, WEIGHTED_AVG: 60 };
+
+      for (const [method, value] of Object.entries(expected)) {
+        const response = await request(app)
+          .get(`${BASE_URL}/reports/valuation?method=${method}&sku=${valuedSku}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200);
+
+        expect(response.body.skus[0].quantity).toBe(10);
+        expect(response.body.skus[0].value).toBe(value);
+      }
+    });
+
+    test('should reject unit_cost on OUT transactions', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: valuedSku, type: 'OUT', quantity: 1, reason: 'Sale', unit_cost: 5 })
+        .expect(400);
+    });
+
+    test('should reject an unknown valuation method', async () => {
+      await request(app)
+        .get(`${BASE_URL}/reports/valuation?method=AVERAGE`)
+        .set('X-API-Key', API_KEY)
+        .expect(400);
+    });
+
+    test('should reject a repeated valuation method', async () => {
+      await request(app)
+        .get(`${BASE_URL}/reports/valuation?method=FIFO&method=LIFO`)
+        .set('X-API-Key', API_KEY)
+        .expect(400);
+    });
+  });
+
+  describe('Product Lifecycle', () => {
+    const lifecycleSku = `LIFE-TEST-${Date.now()}`;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lifecycleSku, name: 'Lifecycle Product', price: 10, quantity: 5 })
+        .expect(200);
+    });
+
+    test('should keep both of two concurrent updates', async () => {
+      const update = (changes) => request(app)
+        .patch(`${BASE_URL}/products/${lifecycleSku}`)
+        .set('X-API-Key', API_KEY)
+        .send(changes)
+        .expect(200);
+
+      await Promise.all([update({ name: 'Lifecycle Product v2' }), update({ price: 12 })]);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/products/${lifecycleSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body).toEqual(expect.objectContaining({ name: 'Lifecycle Product v2', price: 12, version: 3 }));
+    });
+
+    test('should require a reason for a status change', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/products/${lifecycleSku}/status`)
+        .set('X-API-Key', API_KEY)
+        .send({ status: 'DISCONTINUED' })
+        .expect(400);
+
+      expect(response.body.message).toContain('reason');
+    });
+
+    test('should block receiving but allow selling down a discontinued product', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/products/${lifecycleSku}/status`)
+        .set('X-API-Key', API_KEY)
+        .send({ status: 'DISCONTINUED', reason: 'End of line' })
+        .expect(200);
+
+      expect(response.body.product.status).toBe('DISCONTINUED');
+      expect(response.body.product.status_reason).toBe('End of line');
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lifecycleSku, type: 'IN', quantity: 1, reason: 'Restock' })
+        .expect(409);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lifecycleSku, type: 'OUT', quantity: 1, reason: 'Sale' })
+        .expect(201);
+    });
+
+    test('should block all movements and hide an archived product from the snapshot', async () => {
+      await request(app)
+        .post(`${BASE_URL}/products/${lifecycleSku}/status`)
+        .set('X-API-Key', API_KEY)
+        .send({ status: 'ARCHIVED', reason: 'Sold out' })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: lifecycleSku, type: 'OUT', quantity: 1, reason: 'Sale' })
+        .expect(409);
+
+      const snapshot = await request(app)
+        .get(`${BASE_URL}/inventory/snapshot`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(snapshot.body.map(item => item.sku)).not.toContain(lifecycleSku);
+
+      const withArchived = await request(app)
+        .get(`${BASE_URL}/inventory/snapshot?include_archived=true`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(withArchived.body.map(item => item.sku)).toContain(lifecycleSku);
+    });
+  });
+
+  describe('Product Variants', () => {
+    const parentSku = `TEE-TEST-${Date.now()}`;
+
+    test('should create a parent with generated variant SKUs', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({
+          sku: parentSku,
+          name: 'Test Tee',
+          price: 19.99,
+          variant_attributes: { size: ['S', 'M'], colour: ['Red'] }
+        })
+        .expect(200);
+
+      expect(response.body.variants.map(variant => variant.sku)).toEqual([`${parentSku}-S-RED`, `${parentSku}-M-RED`]);
+      expect(response.body.variants[0].parent_sku).toBe(parentSku);
+    });
+
+    test('should reject stock movements against the parent', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: parentSku, type: 'IN', quantity: 1, reason: 'Restock' })
+        .expect(409);
+    });
+
+    test('should roll variant stock up to the parent', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: `${parentSku}-S-RED`, type: 'IN', quantity: 4, reason: 'Restock' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/products/${parentSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.on_hand).toBe(4);
+      expect(response.body.variants).toHaveLength(2);
+
+      const snapshot = await request(app)
+        .get(`${BASE_URL}/inventory/snapshot?group_by=parent`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const parentRow = snapshot.body.find(item => item.sku === parentSku);
+      expect(parentRow.on_hand).toBe(4);
+      expect(parentRow.variants).toHaveLength(2);
+    });
+  });
+
+  describe('Units of Measure', () => {
+    const unitSku = `COLA-TEST-${Date.now()}`;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: unitSku, name: 'Test Cola', price: 0.99, quantity: 6, units: { CASE: 12 } })
+        .expect(200);
+    });
+
+    test('should record a movement entered in cases in base units', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: unitSku, type: 'IN', quantity: 2, unit: 'CASE', reason: 'Supplier delivery' })
+        .expect(201);
+
+      expect(response.body.transaction.quantity_change).toBe(24);
+      expect(response.body.transaction.entered_quantity).toBe(2);
+      expect(response.body.transaction.entered_unit).toBe('CASE');
+      expect(response.body.transaction.base_unit).toBe('EA');
+    });
+
+    test('should return 400 for a unit the product does not define', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: unitSku, type: 'OUT', quantity: 1, unit: 'PALLET', reason: 'Sale' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Invalid unit');
+    });
+
+    test('should report stock in a requested unit', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/products/${unitSku}?unit=CASE`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.current_stock).toBe(30);
+      expect(response.body.unit_stock.unit).toBe('CASE');
+      expect(response.body.unit_stock.on_hand).toBe(2.5);
+    });
+  });
+
+  describe('Kits and Assemblies', () => {
+    const suffix = Date.now();
+    const componentSku = `MUG-TEST-${suffix}`;
+    const kitSku = `GIFT-TEST-${suffix}`;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: componentSku, name: 'Test Mug', price: 5, quantity: 5 })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: kitSku, name: 'Test Gift Box', price: 20, quantity: 0, bom: [{ sku: componentSku, quantity: 2 }] })
+        .expect(200);
+    });
+
+    test('should derive kit availability from component stock', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/products/${kitSku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.kit_availability.buildable).toBe(2);
+    });
+
+    test('should consume components and produce the kit in one transaction', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/assemblies`)
+        .set('X-API-Key', API_KEY)
+        .send({ kit_sku: kitSku, quantity: 2 })
+        .expect(201);
+
+      expect(response.body.transactions).toHaveLength(2);
+      expect(response.body.transactions.map(tx => tx.quantity_change)).toEqual([-4, 2]);
+    });
+
+    test('should return 400 when components are short', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/assemblies`)
+        .set('X-API-Key', API_KEY)
+        .send({ kit_sku: kitSku, quantity: 1 })
+        .expect(400);
+
+      expect(response.body.message).toContain('Insufficient stock');
+    });
+
+    test('should disassemble kits back into components', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/disassemblies`)
+        .set('X-API-Key', API_KEY)
+        .send({ kit_sku: kitSku, quantity: 1 })
+        .expect(201);
+
+      expect(response.body.assembly.type).toBe('DISASSEMBLY');
+      expect(response.body.transactions.map(tx => tx.quantity_change)).toEqual([-1, 2]);
+    });
+  });
+
+  describe('Barcodes', () => {
+    const suffix = Date.now();
+    const sku = `SCAN-TEST-${suffix}`;
+    const otherSku = `SCAN-TEST-${suffix}-2`;
+    const code = `INT-${suffix}`;
+
+    // UPC-A with a GS1 check digit, unique to this run
+    const gs1 = (digits) => {
+      const sum = digits.split('').reverse()
+        .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+      return `${digits}${(10 - (sum % 10)) % 10}`;
+    };
+    const upc = gs1(String(suffix).slice(-11).padStart(11, '1'));
+
+    beforeAll(async () => {
+      for (const productSku of [sku, otherSku]) {
+        await request(app)
+          .post(`${BASE_URL}/products`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku: productSku, name: 'Test Scanned Item', price: 3, quantity: 1 })
+          .expect(200);
+      }
+    });
+
+    test('should reject a barcode with a bad check digit', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/products/${sku}/barcodes`)
+        .set('X-API-Key', API_KEY)
+        .send({ type: 'EAN13', code: '4006381333932' })
+        .expect(400);
+
+      expect(response.body.message).toContain('check digit');
+    });
+
+    test('should register a barcode and resolve it to the SKU', async () => {
+      await request(app)
+        .post(`${BASE_URL}/products/${sku}/barcodes`)
+        .set('X-API-Key', API_KEY)
+        .send({ type: 'CODE128', code })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/products/by-barcode/${code}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.sku).toBe(sku);
+    });
+
+    test('should render a ZPL label', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/products/${sku}/label?format=zpl`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.text).toContain(`^FD${code}^FS`);
+    });
+
+    test('should refuse the EAN-13 form of a UPC-A registered to another SKU', async () => {
+      const responses = await Promise.all([
+        request(app)
+          .post(`${BASE_URL}/products/${sku}/barcodes`)
+          .set('X-API-Key', API_KEY)
+          .send({ type: 'UPCA', code: upc }),
+        request(app)
+          .post(`${BASE_URL}/products/${otherSku}/barcodes`)
+          .set('X-API-Key', API_KEY)
+          .send({ type: 'EAN13', code: `0${upc}` })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const winner = responses[0].status === 201 ? sku : otherSku;
+      const response = await request(app)
+        .get(`${BASE_URL}/products/by-barcode/0${upc}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.sku).toBe(winner);
+    });
+  });
+
+  describe('Bulk Import', () => {
+    const suffix = Date.now();
+    const csv = [
+      'sku,name,price,quantity',
+      `IMPORT-TEST-${suffix}-1,Imported One,4.5,10`,
+      `IMPORT-TEST-${suffix}-2,Imported Two,abc,1`
+    ].join('\n');
+
+    test('should report row errors in a dry run without writing', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/import/products?mode=dry_run`)
+        .set('X-API-Key', API_KEY)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body.valid_rows).toBe(1);
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ line: 3, message: expect.stringContaining('Invalid price') })
+      ]);
+
+      await request(app)
+        .get(`${BASE_URL}/products/IMPORT-TEST-${suffix}-1`)
+        .set('X-API-Key', API_KEY)
+        .expect(404);
+    });
+
+    test('should import valid rows with their opening balance', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/import/products?mode=commit`)
+        .set('X-API-Key', API_KEY)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(202);
+
+      const jobId = response.body.job.job_id;
+      let job;
+      for (let attempt = 0; attempt < 20; attempt++) {
+        job = (await request(app)
+          .get(`${BASE_URL}/import/jobs/${jobId}`)
+          .set('X-API-Key', API_KEY)
+          .expect(200)).body.job;
+        if (job.status !== 'PROCESSING') break;
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+
+      expect(job.status).toBe('COMPLETED');
+      expect(job.imported_rows).toBe(1);
+      expect(job.failed_rows).toBe(1);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/IMPORT-TEST-${suffix}-1`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.current_stock).toBe(10);
+    });
+  });
+
+  describe('Bulk Export', () => {
+    test('should stream the catalogue as CSV', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/export/products`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(response.text.split('\r\n')[0]).toMatch(/^sku,name,description,price/);
+    });
+
+    test('should stream ledger entries as NDJSON within a date range', async () => {
+      const response = await request(app)
+        .get(`${BASE_URL}/export/transactions?format=ndjson&start_date=2000-01-01&end_date=2999-12-31`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const rows = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(rows.length).toBeGreaterThan(0);
+      expect(rows[0]).toHaveProperty('transaction_id');
+      expect(rows[0]).toHaveProperty('immudb_tx_id');
+    });
+
+    test('should reject an invalid date filter', async () => {
+      await request(app)
+        .get(`${BASE_URL}/export/transactions?start_date=not-a-date`)
+        .set('X-API-Key', API_KEY)
+        .expect(400);
+    });
+  });
+
+  describe('Suppliers', () => {
+    const suffix = Date.now();
+    const supplierId = `SUP-TEST-${suffix}`;
+    const sku = `SUPPLIED-TEST-${suffix}`;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, name: 'Test Supplied Part', price: 2, quantity: 0 })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/suppliers`)
+        .set('X-API-Key', API_KEY)
+        .send({ supplier_id: supplierId, name: 'Test Supplier', currency: 'eur', lead_time_days: 5, min_order_quantity: 10 })
+        .expect(201);
+    });
+
+    test('should link a SKU to the supplier with its part number and cost', async () => {
+      await request(app)
+        .put(`${BASE_URL}/suppliers/${supplierId}/items/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .send({ supplier_part_number: 'TS-1', unit_cost: 1.25 })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/products/${sku}/suppliers`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.suppliers).toEqual([
+        expect.objectContaining({ supplier_id: supplierId, currency: 'EUR', unit_cost: 1.25, lead_time_days: 5 })
+      ]);
+    });
+
+    test('should hold purchase orders to the supplier minimum order quantity', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/purchase-orders`)
+        .set('X-API-Key', API_KEY)
+        .send({ supplier_id: supplierId, lines: [{ sku, quantity: 5 }] })
+        .expect(400);
+
+      expect(response.body.message).toContain('minimum order quantity');
+    });
+
+    test('should default purchase order lines to the supplier terms', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/purchase-orders`)
+        .set('X-API-Key', API_KEY)
+        .send({ supplier_id: supplierId, lines: [{ sku, quantity: 10 }] })
+        .expect(201);
+
+      expect(response.body.purchase_order.supplier).toBe('Test Supplier');
+      expect(response.body.purchase_order.lines[0]).toEqual(expect.objectContaining({ supplier_part_number: 'TS-1', unit_cost: 1.25 }));
+    });
+  });
+
+  describe('Customer Returns', () => {
+    const sku = `RETURNED-TEST-${Date.now()}`;
+    let shipmentId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, name: 'Test Returned Item', price: 5, quantity: 10 })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'OUT', quantity: 3, reason: 'Customer order' })
+        .expect(201);
+
+      shipmentId = response.body.transaction.transaction_id;
+    });
+
+    test('should not authorize more than was shipped', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipmentId, quantity: 4, reason: 'Too many' })
+        .expect(400);
+
+      expect(response.body.message).toContain('remain returnable');
+    });
+
+    test('should take a return through quarantine, inspection and restock', async () => {
+      const created = await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipmentId, quantity: 2, reason: 'Wrong colour' })
+        .expect(201);
+
+      const rmaId = created.body.rma.rma_id;
+
+      await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/receive`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(200);
+
+      const quarantined = await request(app)
+        .get(`${BASE_URL}/products/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(quarantined.body.on_hand).toBe(9);
+      expect(quarantined.body.held).toBe(2);
+      expect(quarantined.body.available).toBe(7);
+
+      await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/inspect`)
+        .set('X-API-Key', API_KEY)
+        .send({ condition: 'RESELLABLE' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/disposition`)
+        .set('X-API-Key', API_KEY)
+        .send({ disposition: 'RESTOCK' })
+        .expect(200);
+
+      expect(response.body.rma.status).toBe('CLOSED');
+
+      const detail = await request(app)
+        .get(`${BASE_URL}/returns/${rmaId}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(detail.body.transactions.map(tx => `${tx.type}@${tx.location_id}`)).toEqual([
+        'OUT@DEFAULT', 'IN@QUARANTINE', 'INSPECTION@QUARANTINE', 'OUT@QUARANTINE', 'IN@DEFAULT'
+      ]);
+    });
+
+    test('should not cancel a closed return', async () => {
+      const list = await request(app)
+        .get(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .query({ sku, status: 'CLOSED' })
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/returns/${list.body.rmas[0].rma_id}/cancel`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(409);
+    });
+
+    test('should cancel a return sent without a body', async () => {
+      const created = await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipmentId, quantity: 1, reason: 'Changed mind' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/returns/${created.body.rma.rma_id}/cancel`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(response.body.rma.status).toBe('CANCELLED');
+    });
+
+    test('should restock a return only once when dispositioned concurrently', async () => {
+      const created = await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipmentId, quantity: 1, reason: 'Wrong size' })
+        .expect(201);
+
+      const rmaId = created.body.rma.rma_id;
+      await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/receive`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/inspect`)
+        .set('X-API-Key', API_KEY)
+        .send({ condition: 'RESELLABLE' })
+        .expect(200);
+
+      const restock = () => request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/disposition`)
+        .set('X-API-Key', API_KEY)
+        .send({ disposition: 'RESTOCK' });
+
+      const responses = await Promise.all([restock(), restock()]);
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body.on_hand).toBe(10);
+    });
+  });
+
+  describe('Transaction Reversals', () => {
+    const sku = `REVERSED-TEST-${Date.now()}`;
+    let transactionId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, name: 'Test Reversed Item', price: 5, quantity: 10 })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'IN', quantity: 5, reason: 'Keyed twice' })
+        .expect(201);
+
+      transactionId = response.body.transaction.transaction_id;
+    });
+
+    test('should require a reason', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transactions/${transactionId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transactions/${transactionId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .expect(400);
+    });
+
+    test('should append a compensating entry and mark the original reversed', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transactions/${transactionId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .send({ reason: 'Duplicate receipt' })
+        .expect(201);
+
+      expect(response.body.transaction).toEqual(expect.objectContaining({
+        type: 'REVERSAL',
+        quantity_change: -5,
+        reverses_transaction_id: transactionId
+      }));
+
+      const history = await request(app)
+        .get(`${BASE_URL}/inventory/history/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      const original = history.body.find(tx => tx.transaction_id === transactionId);
+      expect(original.reversed).toBe(true);
+      expect(original.reversed_by_transaction_id).toBe(response.body.transaction.transaction_id);
+      expect(history.body[history.body.length - 1].running_balance).toBe(10);
+    });
+
+    test('should not reverse the same transaction twice', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transactions/${transactionId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .send({ reason: 'Again' })
+        .expect(409);
+    });
+
+    test('should reverse a transaction only once when asked concurrently', async () => {
+      const receipt = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'IN', quantity: 3, reason: 'Keyed twice' })
+        .expect(201);
+
+      const receiptId = receipt.body.transaction.transaction_id;
+      const reverse = () => request(app)
+        .post(`${BASE_URL}/inventory/transactions/${receiptId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .send({ reason: 'Duplicate receipt' });
+
+      const responses = await Promise.all([reverse(), reverse()]);
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const history = await request(app)
+        .get(`${BASE_URL}/inventory/history/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(history.body.filter(tx => tx.reverses_transaction_id === receiptId)).toHaveLength(1);
+      expect(history.body[history.body.length - 1].running_balance).toBe(10);
+    });
+
+    test('should not reverse a shipment that is being returned', async () => {
+      const shipment = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'OUT', quantity: 4, reason: 'Customer order' })
+        .expect(201);
+
+      const shipmentId = shipment.body.transaction.transaction_id;
+
+      await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipmentId, quantity: 4, reason: 'Refused delivery' })
+        .expect(201);
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transactions/${shipmentId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .send({ reason: 'Never shipped' })
+        .expect(409);
+    });
+
+    test('should not accept a return against a reversed shipment', async () => {
+      const shipment = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'OUT', quantity: 2, reason: 'Customer order' })
+        .expect(201);
+
+      const shipmentId = shipment.body.transaction.transaction_id;
+
+      await request(app)
+        .post(`${BASE_URL}/inventory/transactions/${shipmentId}/reverse`)
+        .set('X-API-Key', API_KEY)
+        .send({ reason: 'Never shipped' })
+        .expect(201);
+
+      await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipmentId, quantity: 2, reason: 'Refused delivery' })
+        .expect(409);
+    });
+  });
+
+  describe('Transaction Approvals', () => {
+    const sku = `APPROVED-TEST-${Date.now()}`;
+    let approvalId;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, name: 'Test Approved Item', price: 5, quantity: 10 })
+        .expect(200);
+    });
+
+    test('should record movements under the approval threshold directly', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'ADJUSTMENT', quantity: 2, reason: 'Found in aisle' })
+        .expect(201);
+    });
+
+    test('should reject quantities that are not positive integers', async () => {
+      for (const quantity of ['abc', '3', 1.5, 0]) {
+        await request(app)
+          .post(`${BASE_URL}/inventory/transaction`)
+          .set('X-API-Key', API_KEY)
+          .send({ sku, type: 'OUT', quantity, reason: 'Sale' })
+          .expect(400);
+      }
+    });
+
+    test('should hold a large adjustment for approval without touching the ledger', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'ADJUSTMENT', quantity: 300, reason: 'Unrecorded pallet' })
+        .expect(202);
+
+      expect(response.body.approval).toEqual(expect.objectContaining({ status: 'PENDING', value: 1500 }));
+      approvalId = response.body.approval.approval_id;
+
+      const history = await request(app)
+        .get(`${BASE_URL}/inventory/history/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(history.body[history.body.length - 1].running_balance).toBe(12);
+    });
+
+    test('should require inventory.approve to approve a held movement', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/approvals/${approvalId}/approve`)
+        .set('X-API-Key', API_KEY)
+        .expect(403);
+
+      const response = await request(app)
+        .get(`${BASE_URL}/inventory/approvals`)
+        .set('X-API-Key', API_KEY)
+        .query({ sku, status: 'PENDING' })
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+    });
+
+    test('should post a held movement once when two approvals race', async () => {
+      // The default admin holds inventory.approve and is not the API key user who asked
+      const { token } = await UserManager.authenticateUser('admin', 'admin123!');
+
+      const approve = () => request(app)
+        .post(`${BASE_URL}/inventory/approvals/${approvalId}/approve`)
+        .set('Authorization', `Bearer ${token}`);
+      const responses = await Promise.all([approve(), approve()]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const history = await request(app)
+        .get(`${BASE_URL}/inventory/history/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(history.body.filter(tx => tx.approval_id === approvalId)).toHaveLength(1);
+      expect(history.body[history.body.length - 1].running_balance).toBe(312);
+    });
+
+    test('should reject a held movement sent without a body', async () => {
+      const held = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'ADJUSTMENT', quantity: 250, reason: 'Miscount' })
+        .expect(202);
+
+      const { token } = await UserManager.authenticateUser('admin', 'admin123!');
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/approvals/${held.body.approval.approval_id}/reject`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.approval).toEqual(expect.objectContaining({ status: 'REJECTED', decision_reason: null }));
+    });
+
+    test('should hold a large RMA scrap until it is approved', async () => {
+      const scrapSku = `SCRAPPED-TEST-${Date.now()}`;
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: scrapSku, name: 'Test Scrapped Item', price: 500, quantity: 10 })
+        .expect(200);
+
+      // Committing a reservation ships without the approval step
+      const reservation = await request(app)
+        .post(`${BASE_URL}/inventory/reservations`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku: scrapSku, quantity: 3 })
+        .expect(201);
+
+      const shipment = await request(app)
+        .post(`${BASE_URL}/inventory/reservations/${reservation.body.reservation.reservation_id}/commit`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(200);
+
+      const created = await request(app)
+        .post(`${BASE_URL}/returns`)
+        .set('X-API-Key', API_KEY)
+        .send({ original_transaction_id: shipment.body.transaction.transaction_id, quantity: 3, reason: 'Crushed' })
+        .expect(201);
+
+      const rmaId = created.body.rma.rma_id;
+
+      await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/receive`)
+        .set('X-API-Key', API_KEY)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/inspect`)
+        .set('X-API-Key', API_KEY)
+        .send({ condition: 'DAMAGED' })
+        .expect(200);
+
+      const held = await request(app)
+        .post(`${BASE_URL}/returns/${rmaId}/disposition`)
+        .set('X-API-Key', API_KEY)
+        .send({ disposition: 'SCRAP' })
+        .expect(202);
+
+      expect(held.body.approval).toEqual(expect.objectContaining({ status: 'PENDING', rma_id: rmaId, value: 1500 }));
+      expect(held.body.rma.status).toBe('INSPECTED');
+
+      const { token } = await UserManager.authenticateUser('admin', 'admin123!');
+      const approved = await request(app)
+        .post(`${BASE_URL}/inventory/approvals/${held.body.approval.approval_id}/approve`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(201);
+
+      expect(approved.body.transaction).toEqual(expect.objectContaining({
+        type: 'ADJUSTMENT',
+        quantity_change: -3,
+        rma_id: rmaId,
+        approval_id: held.body.approval.approval_id
+      }));
+      expect(approved.body.rma.status).toBe('CLOSED');
+    });
+  });
+
+  describe('Stock Status', () => {
+    const sku = `HELD-TEST-${Date.now()}`;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, name: 'Test Held Item', price: 5, quantity: 10 })
+        .expect(200);
+    });
+
+    test('should reject an unknown status', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/status-changes`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, to_status: 'LOST', quantity: 1, reason: 'QA' })
+        .expect(400);
+    });
+
+    test('should hold stock without removing it from on-hand', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/status-changes`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, to_status: 'QUARANTINE', quantity: 6, reason: 'Failed QA sample' })
+        .expect(201);
+
+      expect(response.body.transactions.map(tx => [tx.type, tx.stock_status, tx.quantity_change])).toEqual([
+        ['STATUS_CHANGE', 'AVAILABLE', -6],
+        ['STATUS_CHANGE', 'QUARANTINE', 6]
+      ]);
+
+      const product = await request(app)
+        .get(`${BASE_URL}/products/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(product.body).toEqual(expect.objectContaining({ current_stock: 10, held: 6, available: 4 }));
+      expect(product.body.stock_by_status).toEqual(expect.objectContaining({ AVAILABLE: 4, QUARANTINE: 6 }));
+    });
+
+    test('should not ship held stock', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, type: 'OUT', quantity: 5, reason: 'Customer order' })
+        .expect(400);
+    });
+  });
+
+  describe('Idempotency Keys', () => {
+    const sku = `IDEMPOTENT-TEST-${Date.now()}`;
+    const idempotencyKey = `test-${Date.now()}`;
+    const movement = { sku, type: 'IN', quantity: 3, reason: 'Handheld receipt' };
+    let original;
+
+    beforeAll(async () => {
+      await request(app)
+        .post(`${BASE_URL}/products`)
+        .set('X-API-Key', API_KEY)
+        .send({ sku, name: 'Test Idempotent Item', price: 5, quantity: 10 })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(movement)
+        .expect(201);
+
+      original = response.body;
+    });
+
+    test('should replay the original response instead of writing again', async () => {
+      const response = await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .set('Idempotency-Key', idempotencyKey)
+        .send(movement)
+        .expect(201);
+
+      expect(response.headers['idempotent-replayed']).toBe('true');
+      expect(response.body.transaction.transaction_id).toBe(original.transaction.transaction_id);
+      expect(response.body.immudb_tx_hash).toBe(original.immudb_tx_hash);
+
+      const history = await request(app)
+        .get(`${BASE_URL}/inventory/history/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(history.body[history.body.length - 1].running_balance).toBe(13);
+    });
+
+    test('should refuse a key reused for a different request', async () => {
+      await request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({ ...movement, quantity: 4 })
+        .expect(422);
+    });
+
+    test('should write once when two requests with one key arrive together', async () => {
+      const raceKey = `${idempotencyKey}-race`;
+      const send = () => request(app)
+        .post(`${BASE_URL}/inventory/transaction`)
+        .set('X-API-Key', API_KEY)
+        .set('Idempotency-Key', raceKey)
+        .send({ ...movement, quantity: 2 });
+
+      const responses = await Promise.all([send(), send()]);
+      expect(responses.map(response => response.status)).toContain(201);
+
+      const history = await request(app)
+        .get(`${BASE_URL}/inventory/history/${sku}`)
+        .set('X-API-Key', API_KEY)
+        .expect(200);
+
+      expect(history.body[history.body.length - 1].running_balance).toBe(15);
+    });
+
+    test('should answer 404 for an unknown path even with a key', async () => {
+      await request(app)
+        .post(`${BASE_URL}/no-such-route`)
+        .set('Idempotency-Key', `${idempotencyKey}-unknown`)
+        .expect(404);
+    });
+
+    test('should compare import files the route parses itself', async () => {
+      const importKey = `${idempotencyKey}-import`;
+      const importFile = (rowSku) => request(app)
+        .post(`${BASE_URL}/import/products?mode=dry_run`)
+        .set('X-API-Key', API_KEY)
+        .set('Content-Type', 'text/csv')
+        .set('Idempotency-Key', importKey)
+        .send(`sku,name,price,quantity\n${rowSku},Imported Item,5,1\n`);
+
+      await importFile(`${sku}-A`).expect(200);
+      await importFile(`${sku}-B`).expect(422);
+    });
   });
 
   describe('Time Travel Queries', () => {